@@ -6,10 +6,32 @@
 class MusicTherapyApp {
     constructor() {
         // Core components
+        this.mediaPipeLoader = null;
+        this.mediaPipeReport = null;
         this.handTracker = null;
         this.visualEffects = null;
         this.audioProcessor = null;
         this.therapeuticActivities = null;
+        this.sessionRecorder = null;
+        this.sessionPlayer = null;
+        this.syntheticHandSource = null;
+        this.studentProfiles = null;
+        this.calibrator = null;
+        this.gestureTrainer = null;
+        this.triggerZones = null;
+        this.zoneSounds = null;
+        this.dwellSelector = null;
+        
+        // Remembered camera for this computer
+        this.cameraSettingsKey = 'littleHands.camera';
+        this.cameraPreference = { deviceId: null, label: '' };
+        
+        // Trigger zone being drawn on the preview: { type, start, current, points }
+        this.zoneDraft = null;
+        
+        // Choice cards on the canvas that students choose by dwelling with a hand
+        this.choiceCards = [];
+        this.dwellStates = new Map();
         
         // DOM elements
         this.elements = {
@@ -30,26 +52,125 @@ class MusicTherapyApp {
             // Controls
             toggleCamera: document.getElementById('toggleCamera'),
             clearCanvas: document.getElementById('clearCanvas'),
+            saveSnapshot: document.getElementById('saveSnapshot'),
+            undoStroke: document.getElementById('undoStroke'),
+            redoStroke: document.getElementById('redoStroke'),
             visualMode: document.getElementById('visualMode'),
             handMode: document.getElementById('handMode'),
+            toggleActivities: document.getElementById('toggleActivities'),
+            
+            // Therapeutic activities
+            activityPanel: document.getElementById('activityPanel'),
+            activityList: document.getElementById('activityList'),
+            startActivity: document.getElementById('startActivity'),
+            pauseActivity: document.getElementById('pauseActivity'),
+            stopActivity: document.getElementById('stopActivity'),
+            activityProgress: document.getElementById('activityProgress'),
             
             // Status
             cameraStatus: document.getElementById('cameraStatus'),
             handsStatus: document.getElementById('handsStatus'),
             modeStatus: document.getElementById('modeStatus'),
+            activityStatus: document.getElementById('activityStatus'),
+            tremorStatus: document.getElementById('tremorStatus'),
+            offlineStatus: document.getElementById('offlineStatus'),
             
             // Settings
             settingsPanel: document.getElementById('settingsPanel'),
             toggleSettings: document.getElementById('toggleSettings'),
             sensitivity: document.getElementById('sensitivity'),
             sensitivityValue: document.getElementById('sensitivityValue'),
-            trailLength: document.getElementById('trailLength'),
-            trailLengthValue: document.getElementById('trailLengthValue'),
+            smoothingPreset: document.getElementById('smoothingPreset'),
+            tremorSuppression: document.getElementById('tremorSuppression'),
+            gestureNavigation: document.getElementById('gestureNavigation'),
+            movementStatus: document.getElementById('movementStatus'),
             brushSize: document.getElementById('brushSize'),
             brushSizeValue: document.getElementById('brushSizeValue'),
+            drawPoint: document.getElementById('drawPoint'),
+            penMode: document.getElementById('penMode'),
+            modeSettings: document.getElementById('modeSettings'),
+            depthBrushSize: document.getElementById('depthBrushSize'),
+            depthSpread: document.getElementById('depthSpread'),
+            depthOpacity: document.getElementById('depthOpacity'),
+            depthVolume: document.getElementById('depthVolume'),
             colorMode: document.getElementById('colorMode'),
+            studentName: document.getElementById('studentName'),
+            studentList: document.getElementById('studentList'),
+            startCalibration: document.getElementById('startCalibration'),
+            clearCalibration: document.getElementById('clearCalibration'),
+            calibrationStatus: document.getElementById('calibrationStatus'),
+            gestureName: document.getElementById('gestureName'),
+            customGestureName: document.getElementById('customGestureName'),
+            trainGesture: document.getElementById('trainGesture'),
+            gestureTemplateList: document.getElementById('gestureTemplateList'),
+            gestureTrainingStatus: document.getElementById('gestureTrainingStatus'),
+            zoneName: document.getElementById('zoneName'),
+            zoneShape: document.getElementById('zoneShape'),
+            drawZone: document.getElementById('drawZone'),
+            zoneList: document.getElementById('zoneList'),
+            zoneEditorStatus: document.getElementById('zoneEditorStatus'),
+            choiceCardSet: document.getElementById('choiceCardSet'),
+            dwellTime: document.getElementById('dwellTime'),
+            dwellTimeValue: document.getElementById('dwellTimeValue'),
+            handSource: document.getElementById('handSource'),
+            bodyGroup: document.getElementById('bodyGroup'),
+            bodyPointLeft: document.getElementById('bodyPointLeft'),
+            bodyPointRight: document.getElementById('bodyPointRight'),
+            cameraGroup: document.getElementById('cameraGroup'),
+            cameraDevice: document.getElementById('cameraDevice'),
+            cameraResolution: document.getElementById('cameraResolution'),
+            cameraFrameRate: document.getElementById('cameraFrameRate'),
+            modelComplexity: document.getElementById('modelComplexity'),
+            cameraMount: document.getElementById('cameraMount'),
+            inputPointer: document.getElementById('inputPointer'),
+            inputKeyboard: document.getElementById('inputKeyboard'),
+            inputSwitch: document.getElementById('inputSwitch'),
+            inputGamepad: document.getElementById('inputGamepad'),
+            simulationGroup: document.getElementById('simulationGroup'),
+            simulationScript: document.getElementById('simulationScript'),
             audioEnabled: document.getElementById('audioEnabled'),
-            symmetryMode: document.getElementById('symmetryMode'),
+            symmetryMirror: document.getElementById('symmetryMirror'),
+            symmetrySegments: document.getElementById('symmetrySegments'),
+            moveSymmetryCenter: document.getElementById('moveSymmetryCenter'),
+            resetSymmetryCenter: document.getElementById('resetSymmetryCenter'),
+            symmetryStatus: document.getElementById('symmetryStatus'),
+            showDiagnostics: document.getElementById('showDiagnostics'),
+            
+            // Tracking diagnostics overlay
+            diagnosticsPanel: document.getElementById('diagnosticsPanel'),
+            diagnosticsList: document.getElementById('diagnosticsList'),
+            
+            // Session recording and replay
+            toggleRecording: document.getElementById('toggleRecording'),
+            downloadRecording: document.getElementById('downloadRecording'),
+            loadRecording: document.getElementById('loadRecording'),
+            recordingStatus: document.getElementById('recordingStatus'),
+            
+            // Artwork export
+            saveDrawing: document.getElementById('saveDrawing'),
+            snapshotGesture: document.getElementById('snapshotGesture'),
+            recordTimeLapse: document.getElementById('recordTimeLapse'),
+            saveTimeLapse: document.getElementById('saveTimeLapse'),
+            artworkStatus: document.getElementById('artworkStatus'),
+            replayBar: document.getElementById('replayBar'),
+            replayPlayPause: document.getElementById('replayPlayPause'),
+            replaySeek: document.getElementById('replaySeek'),
+            replayTime: document.getElementById('replayTime'),
+            replaySpeed: document.getElementById('replaySpeed'),
+            replayClose: document.getElementById('replayClose'),
+            
+            // Dwell-to-select choice cards
+            choiceBoard: document.getElementById('choiceBoard'),
+            choiceBoardCards: document.getElementById('choiceBoardCards'),
+            choiceBoardCaption: document.getElementById('choiceBoardCaption'),
+            
+            // Range of motion calibration overlay
+            calibrationOverlay: document.getElementById('calibrationOverlay'),
+            calibrationIcon: document.getElementById('calibrationIcon'),
+            calibrationPrompt: document.getElementById('calibrationPrompt'),
+            calibrationStep: document.getElementById('calibrationStep'),
+            calibrationProgressBar: document.getElementById('calibrationProgressBar'),
+            cancelCalibration: document.getElementById('cancelCalibration'),
             
             closeError: document.getElementById('closeError')
         };
@@ -58,9 +179,16 @@ class MusicTherapyApp {
         this.state = {
             isInitialized: false,
             cameraActive: false,
+            replayActive: false,
+            mainLoopRunning: false,
+            handSource: 'camera', // 'camera', 'body' (head and upper body), 'simulation' or 'none' (virtual input only)
             handsDetected: 0,
             currentMode: 'drawing',
             audioEnabled: false,
+            selectedActivity: null,
+            depthVolume: false, // Zone notes louder as the hand reaches toward the camera
+            placingSymmetryCenter: false, // The next canvas click moves the symmetry centre
+            previousRangeMapping: null,
             errors: []
         };
         
@@ -68,7 +196,8 @@ class MusicTherapyApp {
         this.performance = {
             frameCount: 0,
             lastFpsTime: 0,
-            fps: 0
+            fps: 0,
+            lastActivityStatusTime: 0
         };
         
         this.init();
@@ -84,6 +213,12 @@ class MusicTherapyApp {
             // Show loading screen
             this.showLoadingScreen('Initializing application...');
             
+            // Cache the app for offline sessions, then load hand tracking from the app's own copy
+            this.registerServiceWorker();
+            this.showLoadingScreen('Loading hand tracking...');
+            this.mediaPipeLoader = new MediaPipeLoader();
+            this.mediaPipeReport = await this.mediaPipeLoader.load();
+            
             // Initialize components
             await this.initializeComponents();
             
@@ -91,6 +226,24 @@ class MusicTherapyApp {
             // Set up event listeners
             this.setupEventListeners();
             
+            this.buildVisualModeOptions();
+            this.buildModeSettings();
+            this.buildSimulationScriptOptions();
+            this.buildBodyPointOptions();
+            this.buildSymmetryOptions();
+            this.updateArtworkControls();
+            
+            // Reopen the camera chosen last time, at the saved quality
+            this.loadCameraSettings();
+            this.refreshCameraList();
+            
+            // Restore the last student and reapply their calibration and personal gestures
+            this.loadStudentProfile();
+            
+            console.log('Building activity panel...');
+            // Build activity picker from the registered activities
+            this.buildActivityPanel();
+            
             console.log('Setting up canvas...');
             // Set up canvas
             this.setupCanvas();
@@ -102,14 +255,69 @@ class MusicTherapyApp {
             this.state.isInitialized = true;
             this.hideLoadingScreen();
             
+            this.reportMediaPipeAssets(this.mediaPipeReport);
+            
             console.log('Application initialized successfully');
             
+            // ?simulate=<script> starts straight into a simulated session (demos, headless testing)
+            const simulateScript = new URLSearchParams(window.location.search).get('simulate');
+            if (simulateScript) {
+                this.elements.handSource.value = 'simulation';
+                if (this.syntheticHandSource.scripts[simulateScript]) {
+                    this.elements.simulationScript.value = simulateScript;
+                }
+                this.setHandSource('simulation');
+                await this.startCamera();
+            }
+            
         } catch (error) {
             console.error('Failed to initialize application:', error);
             this.showError('Failed to initialize application: ' + error.message);
         }
     }
     
+    /**
+     * Cache the app with a service worker so it keeps working without internet
+     */
+    registerServiceWorker() {
+        // Service workers need a web server (or localhost), not a page opened from disk
+        if (!('serviceWorker' in navigator) || location.protocol === 'file:') return;
+        
+        navigator.serviceWorker.register('sw.js')
+            .then(() => console.log('Service worker registered - app available offline'))
+            .catch(error => console.warn('Service worker registration failed:', error));
+    }
+    
+    /**
+     * Show whether hand tracking can run offline, and warn if it cannot run at all
+     */
+    reportMediaPipeAssets(report) {
+        const status = this.elements.offlineStatus;
+        const sources = Object.values(report.sources);
+        const packages = this.mediaPipeLoader.assets.packages;
+        
+        if (report.missing.length > 0) {
+            console.warn('MediaPipe files missing from vendor/mediapipe (run "npm run vendor"):', report.missing);
+        }
+        
+        // Optional packages (head and upper-body tracking) only matter when they are chosen
+        if (Object.entries(report.sources).some(([key, source]) => source === 'unavailable' && !packages[key].optional)) {
+            status.textContent = 'No hand tracking';
+            this.showError('Hand tracking files are missing and the internet is not available. ' +
+                'Run "npm run vendor" on a connected computer. Simulation and extra inputs still work.');
+        } else if (!report.checked) {
+            status.textContent = 'Unknown (open through a web server)';
+        } else if (report.missing.length > 0) {
+            status.textContent = sources.includes('cdn') ?
+                `No - using the internet (${report.missing.length} files missing)` :
+                `No - ${report.missing.length} files missing`;
+        } else {
+            status.textContent = 'Yes';
+        }
+        
+        status.title = report.missing.join('\n');
+    }
+    
     /**
      * Initialize core components
      */
@@ -125,7 +333,10 @@ class MusicTherapyApp {
             
             // Initialize hand tracker
             console.log('Initializing hand tracker...');
-            this.handTracker = new HandTracker();
+            this.handTracker = new HandTracker({
+                assetBase: this.mediaPipeLoader.getAssetBase('hands'),
+                poseAssetBase: this.mediaPipeLoader.getAssetBase('pose')
+            });
             
             // Debug: check what methods are available on this instance
             console.log('Available methods on this:', Object.getOwnPropertyNames(Object.getPrototypeOf(this)));
@@ -151,11 +362,15 @@ class MusicTherapyApp {
             } else {
                 console.error('onError method not found');
             }
+            this.handTracker.onDynamicGesture = this.onDynamicGesture.bind(this);
+            this.handTracker.onCameraStatus = this.onCameraStatus.bind(this);
             console.log('Hand tracker initialized');
             
             // Initialize visual effects
             console.log('Initializing visual effects...');
             this.visualEffects = new VisualEffects(this.elements.visualCanvas);
+            this.artworkExporter = new ArtworkExporter(this.visualEffects);
+            this.lastSnapshotTime = 0;
             console.log('Visual effects initialized');
             
             // Initialize audio processor
@@ -208,6 +423,44 @@ class MusicTherapyApp {
             } else {
                 console.error('onProgressUpdate method not found');
             }
+            
+            // Initialize session recording and replay
+            console.log('Initializing session recorder...');
+            this.sessionRecorder = new SessionRecorder();
+            this.sessionRecorder.onRecordingStopped = this.onRecordingStopped.bind(this);
+            this.handTracker.onFrameProcessed = (hands) => this.sessionRecorder.recordFrame(hands);
+            
+            // Replayed frames go through the tracker so they follow the live code path
+            this.sessionPlayer = new SessionPlayer();
+            this.sessionPlayer.onFrame = (hands) => this.handTracker.injectHands(hands);
+            this.sessionPlayer.onPositionChange = this.updateReplayPosition.bind(this);
+            this.sessionPlayer.onEnded = this.updateReplayControls.bind(this);
+            console.log('Session recorder initialized');
+            
+            // Scripted hands for demos and testing without a webcam
+            this.syntheticHandSource = new SyntheticHandSource();
+            
+            // Mouse, touch, keyboard, switch and gamepad hands, with or without the camera
+            this.virtualInput = new VirtualHandInput(this.elements.visualCanvas);
+            
+            // Per-student settings and range of motion calibration
+            this.studentProfiles = new StudentProfiles();
+            this.calibrator = new RangeOfMotionCalibrator();
+            this.calibrator.onStepChange = this.onCalibrationStep.bind(this);
+            this.calibrator.onComplete = this.onCalibrationComplete.bind(this);
+            
+            this.gestureTrainer = new GestureTrainer();
+            this.gestureTrainer.onProgress = this.onGestureTrainingProgress.bind(this);
+            this.gestureTrainer.onComplete = this.onGestureTrainingComplete.bind(this);
+            
+            // Named areas of the camera view that play notes, change colour or count as targets
+            this.triggerZones = new TriggerZones();
+            this.triggerZones.onZoneEvent = this.onZoneEvent.bind(this);
+            this.zoneSounds = new ZoneSoundPlayer();
+            
+            // Hover-to-choose cards for students who cannot use the mouse
+            this.dwellSelector = new DwellSelector();
+            this.dwellSelector.onSelect = this.onChoiceSelected.bind(this);
             console.log('All components initialized successfully');
             
         } catch (error) {
@@ -230,6 +483,9 @@ class MusicTherapyApp {
         
         // Canvas control
         this.elements.clearCanvas.addEventListener('click', this.clearCanvas.bind(this));
+        this.elements.saveSnapshot.addEventListener('click', this.saveSnapshot.bind(this));
+        this.elements.undoStroke.addEventListener('click', this.undoStroke.bind(this));
+        this.elements.redoStroke.addEventListener('click', this.redoStroke.bind(this));
         
         // Mode selection
         this.elements.visualMode.addEventListener('change', this.onVisualModeChange.bind(this));
@@ -238,13 +494,71 @@ class MusicTherapyApp {
         // Settings panel
         this.elements.toggleSettings.addEventListener('click', this.toggleSettings.bind(this));
         
+        // Therapeutic activities panel
+        this.elements.toggleActivities.addEventListener('click', this.toggleActivityPanel.bind(this));
+        this.elements.startActivity.addEventListener('click', this.startSelectedActivity.bind(this));
+        this.elements.pauseActivity.addEventListener('click', this.toggleActivityPause.bind(this));
+        this.elements.stopActivity.addEventListener('click', this.stopActivity.bind(this));
+        
         // Settings controls
         this.elements.sensitivity.addEventListener('input', this.onSensitivityChange.bind(this));
-        this.elements.trailLength.addEventListener('input', this.onTrailLengthChange.bind(this));
+        this.elements.smoothingPreset.addEventListener('change', this.onSmoothingPresetChange.bind(this));
+        this.elements.tremorSuppression.addEventListener('change', this.onTremorSuppressionChange.bind(this));
         this.elements.brushSize.addEventListener('input', this.onBrushSizeChange.bind(this));
+        this.elements.drawPoint.addEventListener('change', this.onDrawPointChange.bind(this));
+        this.elements.penMode.addEventListener('change', this.onPenModeChange.bind(this));
+        const depthControls = ['depthBrushSize', 'depthSpread', 'depthOpacity', 'depthVolume'];
+        for (const name of depthControls) {
+            this.elements[name].addEventListener('change', this.onDepthControlsChange.bind(this));
+        }
         this.elements.colorMode.addEventListener('change', this.onColorModeChange.bind(this));
+        this.elements.handSource.addEventListener('change', this.onHandSourceChange.bind(this));
+        this.elements.bodyPointLeft.addEventListener('change', this.onBodyPointChange.bind(this));
+        this.elements.bodyPointRight.addEventListener('change', this.onBodyPointChange.bind(this));
+        this.elements.cameraDevice.addEventListener('change', this.onCameraSettingsChange.bind(this));
+        this.elements.cameraResolution.addEventListener('change', this.onCameraSettingsChange.bind(this));
+        this.elements.cameraFrameRate.addEventListener('change', this.onCameraSettingsChange.bind(this));
+        this.elements.modelComplexity.addEventListener('change', this.onModelComplexityChange.bind(this));
+        this.elements.cameraMount.addEventListener('change', this.onCameraMountChange.bind(this));
+        if (navigator.mediaDevices) {
+            navigator.mediaDevices.addEventListener('devicechange', () => this.refreshCameraList());
+        }
+        for (const [name, element] of this.getVirtualInputElements()) {
+            element.addEventListener('change', (event) => this.virtualInput.setSourceEnabled(name, event.target.checked));
+        }
+        this.elements.studentName.addEventListener('change', this.onStudentChange.bind(this));
+        this.elements.startCalibration.addEventListener('click', this.startCalibration.bind(this));
+        this.elements.clearCalibration.addEventListener('click', this.clearCalibration.bind(this));
+        this.elements.cancelCalibration.addEventListener('click', this.cancelCalibration.bind(this));
+        this.elements.gestureName.addEventListener('change', this.onGestureNameChange.bind(this));
+        this.elements.trainGesture.addEventListener('click', this.toggleGestureTraining.bind(this));
+        this.elements.drawZone.addEventListener('click', this.toggleZoneDrawing.bind(this));
+        this.elements.previewCanvas.addEventListener('pointerdown', this.onZonePointerDown.bind(this));
+        this.elements.previewCanvas.addEventListener('pointermove', this.onZonePointerMove.bind(this));
+        this.elements.previewCanvas.addEventListener('pointerup', this.onZonePointerUp.bind(this));
+        this.elements.choiceCardSet.addEventListener('change', this.onChoiceCardSetChange.bind(this));
+        this.elements.dwellTime.addEventListener('input', this.onDwellTimeChange.bind(this));
+        this.elements.simulationScript.addEventListener('change', this.onSimulationScriptChange.bind(this));
         this.elements.audioEnabled.addEventListener('change', this.onAudioToggle.bind(this));
-        this.elements.symmetryMode.addEventListener('change', this.onSymmetryToggle.bind(this));
+        this.elements.symmetryMirror.addEventListener('change', this.onSymmetryChange.bind(this));
+        this.elements.symmetrySegments.addEventListener('change', this.onSymmetryChange.bind(this));
+        this.elements.moveSymmetryCenter.addEventListener('click', this.toggleSymmetryCenterPlacement.bind(this));
+        this.elements.resetSymmetryCenter.addEventListener('click', this.resetSymmetryCenter.bind(this));
+        this.elements.showDiagnostics.addEventListener('change', this.onDiagnosticsToggle.bind(this));
+        
+        // Session recording and replay
+        this.elements.toggleRecording.addEventListener('click', this.toggleRecording.bind(this));
+        this.elements.downloadRecording.addEventListener('click', this.downloadRecording.bind(this));
+        this.elements.loadRecording.addEventListener('change', this.onRecordingFileSelected.bind(this));
+        this.elements.replayPlayPause.addEventListener('click', this.toggleReplayPlayback.bind(this));
+        this.elements.replaySeek.addEventListener('input', this.onReplaySeek.bind(this));
+        this.elements.replaySpeed.addEventListener('change', this.onReplaySpeedChange.bind(this));
+        this.elements.replayClose.addEventListener('click', this.closeReplay.bind(this));
+        
+        // Artwork export
+        this.elements.saveDrawing.addEventListener('click', this.saveDrawing.bind(this));
+        this.elements.recordTimeLapse.addEventListener('change', this.onTimeLapseToggle.bind(this));
+        this.elements.saveTimeLapse.addEventListener('click', this.saveTimeLapse.bind(this));
         
         // Error modal
         this.elements.closeError.addEventListener('click', this.hideError.bind(this));
@@ -292,13 +606,35 @@ class MusicTherapyApp {
      */
     async startCamera() {
         try {
-            this.showLoadingScreen('Starting camera and hand tracking...');
+            // Live tracking and replay share the same pipeline, so only one runs at a time
+            if (this.state.replayActive) {
+                this.closeReplay();
+            }
+            
+            const source = this.state.handSource;
+            
+            if (source === 'simulation') {
+                // Scripted hands feed the same tracking pipeline as the camera
+                this.syntheticHandSource.setScript(this.elements.simulationScript.value);
+                this.handTracker.startSimulation(this.syntheticHandSource);
+            } else if (source === 'camera' || source === 'body') {
+                if (source === 'body' && !this.mediaPipeLoader.isAvailable('pose')) {
+                    this.showError('Head and upper-body tracking is not available - its files are missing. ' +
+                        'Run "npm run vendor" on a connected computer, or choose another Hand Source.');
+                    return;
+                }
+                this.showLoadingScreen(source === 'body' ?
+                    'Starting camera and body tracking...' : 'Starting camera and hand tracking...');
+                
+                // Start hand tracking with preview support
+                await this.handTracker.startTracking(this.elements.video, this.elements.previewVideo);
+            }
             
-            // Start hand tracking with preview support
-            await this.handTracker.startTracking(this.elements.video, this.elements.previewVideo);
+            // Other input devices join (or replace) the camera's hands
+            this.handTracker.startVirtualInput(this.virtualInput);
             
             // Make camera preview visible
-            if (this.elements.cameraPreview) {
+            if (this.elements.cameraPreview && source !== 'none') {
                 this.elements.cameraPreview.classList.remove('hidden');
             }
             
@@ -306,15 +642,26 @@ class MusicTherapyApp {
             this.visualEffects.startAnimation();
             console.log('Visual effects animation started');
             
-            // Start main loop
-            this.startMainLoop();
+            this.state.cameraActive = true;
+            this.elements.toggleCamera.textContent = {
+                simulation: 'Stop Simulation', none: 'Stop Session'
+            }[source] || 'Stop Camera';
+            this.elements.cameraStatus.textContent = {
+                simulation: 'Simulation', none: 'Not used'
+            }[source] || this.describeCameraStatus(this.handTracker.cameraStatus);
+            
+            if (source === 'none' && this.virtualInput.enabled.size === 0 && this.elements.zoneStatus) {
+                this.elements.zoneStatus.textContent = 'Turn on an Extra Input in Settings to add a hand';
+            }
+            this.updateRecordingControls();
             
-            // Make movement zone more accessible
-            this.handTracker.expandMovementZone(1.5);
+            if (this.elements.recordTimeLapse.checked) {
+                this.artworkExporter.startTimeLapse();
+            }
+            this.updateArtworkControls();
             
-            this.state.cameraActive = true;
-            this.elements.toggleCamera.textContent = 'Stop Camera';
-            this.elements.cameraStatus.textContent = 'Connected';
+            // Start main loop
+            this.startMainLoop();
             
             this.hideLoadingScreen();
             
@@ -322,7 +669,12 @@ class MusicTherapyApp {
             
         } catch (error) {
             console.error('Failed to start camera:', error);
-            this.showError('Failed to start camera. Please check camera permissions and try again.');
+            if (!this.handTracker.isInitialized) {
+                this.showError('Hand tracking is not available - its files are missing. ' +
+                    'Choose Simulation or No Camera under Hand Source, or run "npm run vendor".');
+            } else {
+                this.showError('Failed to start camera. Please check camera permissions and try again.');
+            }
             this.hideLoadingScreen();
         }
     }
@@ -331,15 +683,34 @@ class MusicTherapyApp {
      * Stop camera and hand tracking
      */
     stopCamera() {
+        if (this.calibrator.isRunning) {
+            this.cancelCalibration();
+        }
+        if (this.gestureTrainer.isRunning) {
+            this.cancelGestureTraining();
+        }
+        if (this.zoneDraft) {
+            this.cancelZoneDrawing();
+        }
+        
         this.handTracker.stopTracking();
+        this.resetTriggerZones();
+        this.dwellSelector.reset();
+        this.dwellStates.clear();
         this.visualEffects.stopAnimation();
         this.stopMainLoop();
+        this.saveTremorHistory();
+        this.saveTrackingHistory();
+        this.renderDiagnostics();
+        this.artworkExporter.stopTimeLapse();
+        this.elements.movementStatus.textContent = '-';
         
         this.state.cameraActive = false;
         this.state.handsDetected = 0;
         
-        this.elements.toggleCamera.textContent = 'Start Camera';
+        this.elements.toggleCamera.textContent = this.getStartButtonLabel();
         this.elements.cameraStatus.textContent = 'Not Connected';
+        this.elements.cameraStatus.title = '';
         this.elements.handsStatus.textContent = '0';
         
         // Update preview status but don't hide the preview itself
@@ -348,8 +719,9 @@ class MusicTherapyApp {
             this.elements.zoneStatus.className = 'zone-status';
         }
         
-        // Clear canvases
+        // Clear canvases; the artwork can still be saved until the next clear
         this.clearCanvas();
+        this.updateArtworkControls();
         
         console.log('Camera and hand tracking stopped');
     }
@@ -358,10 +730,16 @@ class MusicTherapyApp {
      * Start main application loop
      */
     startMainLoop() {
+        if (this.state.mainLoopRunning) return;
+        this.state.mainLoopRunning = true;
+        
         const loop = () => {
-            if (this.state.cameraActive) {
+            if (this.state.cameraActive || this.state.replayActive) {
                 this.updatePerformance();
+                this.refreshActivityStatus();
                 requestAnimationFrame(loop);
+            } else {
+                this.state.mainLoopRunning = false;
             }
         };
         loop();
@@ -398,13 +776,58 @@ class MusicTherapyApp {
         // Process hands for visual effects
         this.visualEffects.processHands(hands);
         
-        // Process hands for therapeutic activities
-        this.therapeuticActivities.processHands(hands);
+        if (this.calibrator.isRunning) {
+            // Reaching to the limits is not scored by the activities
+            this.calibrator.processHands(hands);
+            this.elements.calibrationProgressBar.style.width = `${this.calibrator.getStepProgress() * 100}%`;
+        } else {
+            // Process hands for therapeutic activities
+            this.therapeuticActivities.processHands(hands);
+            this.triggerZones.update(hands, Date.now());
+            
+            if (this.choiceCards.length > 0) {
+                this.updateChoiceCards(hands);
+            }
+        }
+        
+        if (this.gestureTrainer.isRunning) {
+            this.gestureTrainer.processHands(hands);
+        }
         
         // Draw hand landmarks on output canvas
         this.drawHandLandmarks(hands);
     }
     
+    /**
+     * A movement gesture (swipe, wave, circle, tap or push) was completed
+     */
+    onDynamicGesture(event) {
+        const direction = event.type === 'wave' ? '' : ` ${event.direction}`;
+        this.elements.movementStatus.textContent =
+            `${this.capitalizeFirst(event.label)} ${event.type}${direction}`;
+        
+        this.visualEffects.createBurst(event.position, Math.round(10 + event.confidence * 30));
+        
+        if (event.type === 'wave' && this.elements.snapshotGesture.checked) {
+            this.saveSnapshot({ fromGesture: true });
+        }
+        
+        if (this.elements.gestureNavigation.checked && !this.calibrator.isRunning && !this.gestureTrainer.isRunning) {
+            this.navigateWithGesture(event);
+        }
+    }
+    
+    /**
+     * Swipe left/right selects the previous/next activity; push starts it, or pauses/resumes it once running
+     */
+    navigateWithGesture(event) {
+        if (event.type === 'swipe' && (event.direction === 'left' || event.direction === 'right')) {
+            this.cycleActivity(event.direction === 'right' ? 1 : -1);
+        } else if (event.type === 'push') {
+            this.startOrPauseSelectedActivity();
+        }
+    }
+    
     /**
      * Handle hand lost event
      */
@@ -432,6 +855,14 @@ class MusicTherapyApp {
         // Clear previous landmarks
         ctx.clearRect(0, 0, canvas.width, canvas.height);
         
+        // Zones are in camera view coordinates, so they only line up with the drawing
+        // when no range calibration stretches the hands' positions
+        if (!this.handTracker.rangeMapping) {
+            this.drawTriggerZones(ctx, (x, y) => ({ x: x * canvas.width, y: y * canvas.height }));
+        }
+        
+        this.drawSymmetryCenter(ctx, canvas);
+        
         // Draw landmarks for each hand
         for (const hand of hands) {
             const color = hand.label === 'left' ? '#ff6b6b' : '#4ecdc4';
@@ -456,12 +887,50 @@ class MusicTherapyApp {
             else if (hand.gestures.isFist) gestureText = '✊';
             else if (hand.gestures.isOpen) gestureText = '✋';
             else if (hand.gestures.isPinching) gestureText = '🤏';
+            else if (hand.gestures.custom) gestureText = '⭐';
             
             if (gestureText) {
                 ctx.font = '24px Arial';
                 ctx.fillText(gestureText, centerX + 15, centerY - 15);
             }
             
+            // Switch hands show which way they will move when the switch is pressed
+            if (hand.scanDirection) {
+                const tipX = centerX + hand.scanDirection.x * 45;
+                const tipY = centerY + hand.scanDirection.y * 45;
+                const angle = Math.atan2(hand.scanDirection.y, hand.scanDirection.x);
+                
+                ctx.beginPath();
+                ctx.moveTo(centerX + hand.scanDirection.x * 15, centerY + hand.scanDirection.y * 15);
+                ctx.lineTo(tipX, tipY);
+                ctx.lineTo(tipX - Math.cos(angle - 0.5) * 12, tipY - Math.sin(angle - 0.5) * 12);
+                ctx.moveTo(tipX, tipY);
+                ctx.lineTo(tipX - Math.cos(angle + 0.5) * 12, tipY - Math.sin(angle + 0.5) * 12);
+                ctx.lineWidth = 4;
+                ctx.stroke();
+                ctx.lineWidth = 2;
+            }
+            
+            // Where the hand draws from - filled while the pen is down, hollow while it is lifted
+            if (this.state.currentMode === 'drawing') {
+                const penDown = this.visualEffects.isPenDown(hand);
+                for (const point of this.visualEffects.getDrawPoints(hand)) {
+                    ctx.beginPath();
+                    ctx.arc(point.x * canvas.width, point.y * canvas.height, 6, 0, Math.PI * 2);
+                    if (penDown) {
+                        ctx.fill();
+                    } else {
+                        ctx.stroke();
+                    }
+                }
+            }
+            
+            // Dwell cursor: the ring fills while the hand rests on a choice card
+            const dwell = this.dwellStates.get(hand.id);
+            if (dwell) {
+                this.drawDwellCursor(ctx, centerX, centerY, dwell.progress);
+            }
+            
             // Draw hand label
             ctx.font = '16px Arial';
             ctx.fillStyle = 'white';
@@ -483,58 +952,22 @@ class MusicTherapyApp {
      */
     drawPreviewLandmarks(hands) {
         const canvas = this.elements.previewCanvas;
-        const video = this.elements.previewVideo;
         const ctx = canvas.getContext('2d');
         
-        // Get the actual displayed size of the video element
-        const videoRect = video.getBoundingClientRect();
-        const canvasRect = canvas.getBoundingClientRect();
-        
-        // Set canvas size to match the actual display size
-        if (canvas.width !== canvasRect.width || canvas.height !== canvasRect.height) {
-            canvas.width = canvasRect.width;
-            canvas.height = canvasRect.height;
-        }
+        const transformCoord = this.getPreviewMapping().toCanvas;
         
         // Clear previous drawings
         ctx.clearRect(0, 0, canvas.width, canvas.height);
         
-        if (!hands || hands.length === 0) return;
-        
-        // Calculate scaling factors for object-fit: cover
-        // MediaPipe coordinates are normalized (0-1) based on the actual video stream
-        // but the displayed video may be cropped/scaled
-        const videoAspectRatio = video.videoWidth / video.videoHeight;
-        const displayAspectRatio = canvas.width / canvas.height;
+        // Outline each hand's calibrated reachable area
+        this.drawPreviewRangeBounds(ctx, transformCoord);
         
-        let scaleX = 1;
-        let scaleY = 1;
-        let offsetX = 0;
-        let offsetY = 0;
+        this.drawTriggerZones(ctx, transformCoord);
+        this.drawZoneDraft(ctx, transformCoord);
         
-        if (videoAspectRatio > displayAspectRatio) {
-            // Video is wider - will be cropped horizontally
-            scaleY = 1;
-            scaleX = displayAspectRatio / videoAspectRatio;
-            offsetX = (1 - scaleX) / 2;
-        } else {
-            // Video is taller - will be cropped vertically  
-            scaleX = 1;
-            scaleY = videoAspectRatio / displayAspectRatio;
-            offsetY = (1 - scaleY) / 2;
-        }
+        if (!hands || hands.length === 0) return;
         
-        // Helper function to transform MediaPipe coordinates to display coordinates
-        const transformCoord = (x, y) => {
-            // Apply scaling and offset to account for object-fit: cover
-            const scaledX = (x - offsetX) / scaleX;
-            const scaledY = (y - offsetY) / scaleY;
-            
-            return {
-                x: scaledX * canvas.width,
-                y: scaledY * canvas.height
-            };
-        };
+        this.drawPreviewBodyPoints(ctx, transformCoord, hands);
         
         // Hand landmark connections (simplified skeleton)
         const connections = [
@@ -547,6 +980,9 @@ class MusicTherapyApp {
         ];
         
         for (const hand of hands) {
+            // Mouse, keyboard and other virtual hands are not in the camera image
+            if (hand.source && hand.source !== 'camera') continue;
+            
             const landmarks = hand.landmarks;
             const confidence = hand.confidence;
             
@@ -597,7 +1033,7 @@ class MusicTherapyApp {
                 ctx.stroke();
             }
             
-            // Calculate hand center from landmarks for preview (not using hand.center which is mirrored)
+            // Calculate hand center from landmarks for preview (hand.center is range-mapped)
             const wrist = landmarks[0];
             const middleBase = landmarks[9];
             const centerX = (wrist.x + middleBase.x) / 2;
@@ -621,10 +1057,272 @@ class MusicTherapyApp {
                 ctx.fillText('✋ OPEN', centerPos.x, centerPos.y + 15);
             } else if (hand.gestures.isPinching) {
                 ctx.fillText('🤏 PINCH', centerPos.x, centerPos.y + 15);
+            } else if (hand.gestures.custom) {
+                ctx.fillText(`⭐ ${hand.gestures.custom.toUpperCase()}`, centerPos.x, centerPos.y + 15);
+            }
+        }
+        
+        ctx.globalAlpha = 1;
+    }
+
+    /**
+     * Size the preview canvas to its display size and map between view and canvas coordinates
+     */
+    getPreviewMapping() {
+        const canvas = this.elements.previewCanvas;
+        const video = this.elements.previewVideo;
+        
+        // Get the actual displayed size of the video element
+        const videoRect = video.getBoundingClientRect();
+        const canvasRect = canvas.getBoundingClientRect();
+        
+        // Set canvas size to match the actual display size
+        if (canvas.width !== canvasRect.width || canvas.height !== canvasRect.height) {
+            canvas.width = canvasRect.width;
+            canvas.height = canvasRect.height;
+        }
+        
+        // Calculate scaling factors for object-fit: cover
+        // MediaPipe coordinates are normalized (0-1) based on the actual video stream
+        // but the displayed video may be cropped/scaled
+        const displayAspectRatio = canvas.width / canvas.height;
+        // Simulated or replayed hands have no video stream, so map straight onto the canvas;
+        // a camera on its side shows the frame turned, so its view is taller than wide
+        const videoAspectRatio = video.videoWidth && video.videoHeight ?
+            this.handTracker.cameraMount.getViewAspectRatio(video.videoWidth, video.videoHeight) : displayAspectRatio;
+        
+        let scaleX = 1;
+        let scaleY = 1;
+        let offsetX = 0;
+        let offsetY = 0;
+        
+        if (videoAspectRatio > displayAspectRatio) {
+            // Video is wider - will be cropped horizontally
+            scaleY = 1;
+            scaleX = displayAspectRatio / videoAspectRatio;
+            offsetX = (1 - scaleX) / 2;
+        } else {
+            // Video is taller - will be cropped vertically  
+            scaleX = 1;
+            scaleY = videoAspectRatio / displayAspectRatio;
+            offsetY = (1 - scaleY) / 2;
+        }
+        
+        return {
+            // View coordinates to canvas pixels, accounting for object-fit: cover
+            toCanvas: (x, y) => {
+                const scaledX = (x - offsetX) / scaleX;
+                const scaledY = (y - offsetY) / scaleY;
+                
+                return {
+                    x: scaledX * canvas.width,
+                    y: scaledY * canvas.height
+                };
+            },
+            // Canvas pixels back to view coordinates, e.g. for drawing zones
+            toView: (px, py) => ({
+                x: px / canvas.width * scaleX + offsetX,
+                y: py / canvas.height * scaleY + offsetY
+            })
+        };
+    }
+    
+    /**
+     * Small cross where mirrors and the kaleidoscope turn around, while symmetry is on
+     */
+    drawSymmetryCenter(ctx, canvas) {
+        const symmetry = this.visualEffects.symmetry;
+        if (!symmetry.isActive()) return;
+        
+        const x = symmetry.center.x * canvas.width;
+        const y = symmetry.center.y * canvas.height;
+        
+        ctx.save();
+        ctx.strokeStyle = 'rgba(255, 255, 255, 0.5)';
+        ctx.lineWidth = 2;
+        ctx.beginPath();
+        ctx.moveTo(x - 10, y);
+        ctx.lineTo(x + 10, y);
+        ctx.moveTo(x, y - 10);
+        ctx.lineTo(x, y + 10);
+        ctx.stroke();
+        ctx.restore();
+    }
+    
+    /**
+     * Mark the body points standing in for hands, so the therapist can see what is tracked
+     */
+    drawPreviewBodyPoints(ctx, transformCoord, hands) {
+        ctx.save();
+        ctx.lineWidth = 3;
+        ctx.font = 'bold 11px Arial';
+        ctx.textAlign = 'center';
+        
+        for (const hand of hands) {
+            if (hand.source !== 'body' || !hand.bodyPosition) continue;
+            
+            const pos = transformCoord(hand.bodyPosition.x, hand.bodyPosition.y);
+            const color = hand.label === 'left' ? '#4ecdc4' : '#ff6b6b';
+            
+            ctx.strokeStyle = color;
+            ctx.fillStyle = color;
+            ctx.beginPath();
+            ctx.arc(pos.x, pos.y, 10, 0, Math.PI * 2);
+            ctx.stroke();
+            ctx.fillText(BODY_POINTS[hand.bodyPoint].name, pos.x, pos.y - 16);
+        }
+        
+        ctx.restore();
+    }
+    
+    /**
+     * Draw calibrated reachable areas on the preview canvas
+     */
+    drawPreviewRangeBounds(ctx, transformCoord) {
+        const mapping = this.handTracker.rangeMapping;
+        if (!mapping) return;
+        
+        ctx.save();
+        ctx.setLineDash([6, 4]);
+        ctx.lineWidth = 2;
+        ctx.globalAlpha = 0.8;
+        
+        for (const label of ['left', 'right']) {
+            const bounds = mapping[label];
+            if (!bounds) continue;
+            
+            // Bounds and the preview canvas are both in view coordinates
+            const topLeft = transformCoord(bounds.x.min, bounds.y.min);
+            const bottomRight = transformCoord(bounds.x.max, bounds.y.max);
+            
+            ctx.strokeStyle = label === 'left' ? '#4ecdc4' : '#ff6b6b';
+            ctx.strokeRect(topLeft.x, topLeft.y, bottomRight.x - topLeft.x, bottomRight.y - topLeft.y);
+        }
+        
+        ctx.restore();
+    }
+    
+    /**
+     * Outline trigger zones; a zone with a hand in it fills in and the activity's target is highlighted
+     */
+    drawTriggerZones(ctx, transformCoord) {
+        const zones = this.triggerZones.getZones();
+        if (zones.length === 0) return;
+        
+        const targetId = this.therapeuticActivities.getTargetZoneId();
+        
+        ctx.save();
+        ctx.textAlign = 'center';
+        ctx.font = 'bold 12px Arial';
+        
+        for (const zone of zones) {
+            const color = zone.actions.color || '#ffffff';
+            const isTarget = zone.id === targetId;
+            
+            this.traceZonePath(ctx, zone.shape, transformCoord);
+            
+            if (this.triggerZones.isOccupied(zone.id)) {
+                ctx.globalAlpha = 0.35;
+                ctx.fillStyle = color;
+                ctx.fill();
             }
+            
+            ctx.globalAlpha = isTarget ? 1 : 0.7;
+            ctx.lineWidth = isTarget ? 4 : 2;
+            ctx.strokeStyle = isTarget ? '#feca57' : color;
+            ctx.setLineDash(isTarget ? [] : [6, 4]);
+            ctx.stroke();
+            
+            const center = this.triggerZones.getCenter(zone);
+            const labelPos = transformCoord(center.x, center.y);
+            ctx.globalAlpha = 1;
+            ctx.fillStyle = '#ffffff';
+            ctx.fillText(zone.name, labelPos.x, labelPos.y);
+        }
+        
+        ctx.restore();
+    }
+    
+    traceZonePath(ctx, shape, transformCoord) {
+        ctx.beginPath();
+        
+        if (shape.type === 'rect') {
+            const topLeft = transformCoord(shape.x, shape.y);
+            const bottomRight = transformCoord(shape.x + shape.width, shape.y + shape.height);
+            ctx.rect(topLeft.x, topLeft.y, bottomRight.x - topLeft.x, bottomRight.y - topLeft.y);
+        } else if (shape.type === 'circle') {
+            const center = transformCoord(shape.x, shape.y);
+            const edge = transformCoord(shape.x + shape.radiusX, shape.y + shape.radiusY);
+            ctx.ellipse(center.x, center.y, Math.abs(edge.x - center.x), Math.abs(edge.y - center.y), 0, 0, Math.PI * 2);
+        } else if (shape.type === 'polygon') {
+            shape.points.forEach((point, i) => {
+                const pos = transformCoord(point.x, point.y);
+                if (i === 0) ctx.moveTo(pos.x, pos.y);
+                else ctx.lineTo(pos.x, pos.y);
+            });
+            ctx.closePath();
         }
+    }
+    
+    /**
+     * Ring around the hand cursor that fills as the hand dwells on a choice card
+     */
+    drawDwellCursor(ctx, x, y, progress) {
+        const radius = 24;
         
+        ctx.save();
         ctx.globalAlpha = 1;
+        ctx.lineWidth = 5;
+        ctx.strokeStyle = 'rgba(255, 255, 255, 0.35)';
+        ctx.beginPath();
+        ctx.arc(x, y, radius, 0, Math.PI * 2);
+        ctx.stroke();
+        
+        if (progress > 0) {
+            ctx.strokeStyle = '#feca57';
+            ctx.lineCap = 'round';
+            ctx.beginPath();
+            ctx.arc(x, y, radius, -Math.PI / 2, -Math.PI / 2 + progress * Math.PI * 2);
+            ctx.stroke();
+        }
+        ctx.restore();
+    }
+    
+    /**
+     * The zone being drawn, following the pointer
+     */
+    drawZoneDraft(ctx, transformCoord) {
+        const draft = this.zoneDraft;
+        if (!draft || !draft.current) return;
+        
+        ctx.save();
+        ctx.strokeStyle = '#feca57';
+        ctx.lineWidth = 2;
+        ctx.setLineDash([4, 4]);
+        
+        if (draft.type === 'polygon') {
+            ctx.beginPath();
+            for (const point of [...draft.points, draft.current]) {
+                const pos = transformCoord(point.x, point.y);
+                ctx.lineTo(pos.x, pos.y);
+            }
+            ctx.stroke();
+            
+            // The first corner closes the shape
+            const first = transformCoord(draft.points[0].x, draft.points[0].y);
+            ctx.setLineDash([]);
+            ctx.beginPath();
+            ctx.arc(first.x, first.y, 6, 0, Math.PI * 2);
+            ctx.stroke();
+        } else if (draft.start) {
+            const shape = this.createZoneShape(draft.type, draft.start, draft.current);
+            if (shape) {
+                this.traceZonePath(ctx, shape, transformCoord);
+                ctx.stroke();
+            }
+        }
+        
+        ctx.restore();
     }
 
     /**
@@ -635,7 +1333,8 @@ class MusicTherapyApp {
         this.state.currentMode = mode;
         
         this.visualEffects.updateSettings({ mode: mode });
-        this.elements.modeStatus.textContent = this.capitalizeFirst(mode);
+        this.elements.modeStatus.textContent = this.getModeName(mode);
+        this.buildModeSettings();
         
         // Clear canvas when switching modes
         this.clearCanvas();
@@ -657,12 +1356,19 @@ class MusicTherapyApp {
         }
     }
     
-    onTrailLengthChange(event) {
-        const trailLength = parseInt(event.target.value);
-        this.elements.trailLengthValue.textContent = trailLength.toString();
+    onSmoothingPresetChange(event) {
+        const preset = event.target.value;
         
-        this.visualEffects.updateSettings({ trailLength });
-    }
+        if (preset === 'off') {
+            this.handTracker.updateSettings({ smoothing: false });
+        } else {
+            this.handTracker.updateSettings({ smoothing: true, smoothingPreset: preset });
+        }
+    }
+    
+    onTremorSuppressionChange(event) {
+        this.handTracker.updateSettings({ tremorSuppression: event.target.checked });
+    }
     
     onBrushSizeChange(event) {
         const brushSize = parseInt(event.target.value);
@@ -671,6 +1377,33 @@ class MusicTherapyApp {
         this.visualEffects.updateSettings({ brushSize });
     }
     
+    onDrawPointChange(event) {
+        this.visualEffects.updateSettings({ drawPoint: event.target.value });
+    }
+    
+    onPenModeChange(event) {
+        this.visualEffects.updateSettings({ penMode: event.target.value });
+    }
+    
+    undoStroke() {
+        this.visualEffects.undo();
+    }
+    
+    redoStroke() {
+        this.visualEffects.redo();
+    }
+    
+    onDepthControlsChange() {
+        this.visualEffects.updateSettings({
+            depthControls: {
+                brushSize: this.elements.depthBrushSize.checked,
+                spread: this.elements.depthSpread.checked,
+                opacity: this.elements.depthOpacity.checked
+            }
+        });
+        this.state.depthVolume = this.elements.depthVolume.checked;
+    }
+    
     onColorModeChange(event) {
         const colorMode = event.target.value;
         this.visualEffects.updateSettings({ colorMode });
@@ -709,9 +1442,1139 @@ class MusicTherapyApp {
         }
     }
     
-    onSymmetryToggle(event) {
-        const enabled = event.target.checked;
-        this.visualEffects.updateSettings({ symmetryMode: enabled });
+    onHandSourceChange(event) {
+        const wasActive = this.state.cameraActive;
+        if (wasActive) {
+            this.stopCamera();
+        }
+        
+        this.setHandSource(event.target.value);
+        
+        if (wasActive) {
+            this.startCamera();
+        }
+    }
+    
+    /**
+     * Camera choices belong to this computer, not to a student, so they are kept apart from profiles
+     */
+    loadCameraSettings() {
+        let stored = null;
+        try {
+            stored = JSON.parse(window.localStorage.getItem(this.cameraSettingsKey));
+        } catch (error) {
+            console.warn('Camera settings could not be loaded:', error);
+        }
+        
+        if (stored) {
+            this.cameraPreference = { deviceId: stored.deviceId || null, label: stored.label || '' };
+            this.setSelectValue(this.elements.cameraResolution, stored.resolution);
+            this.setSelectValue(this.elements.cameraFrameRate, stored.frameRate);
+            this.setSelectValue(this.elements.modelComplexity, stored.modelComplexity);
+            this.setSelectValue(this.elements.cameraMount, stored.mount);
+        }
+        
+        this.handTracker.updateSettings({
+            camera: this.getCameraSettings(),
+            modelComplexity: Number(this.elements.modelComplexity.value),
+            cameraMount: this.elements.cameraMount.value
+        });
+        this.applyCameraMount();
+    }
+    
+    saveCameraSettings() {
+        const settings = {
+            ...this.cameraPreference,
+            resolution: this.elements.cameraResolution.value,
+            frameRate: this.elements.cameraFrameRate.value,
+            modelComplexity: this.elements.modelComplexity.value,
+            mount: this.elements.cameraMount.value
+        };
+        
+        try {
+            window.localStorage.setItem(this.cameraSettingsKey, JSON.stringify(settings));
+        } catch (error) {
+            console.warn('Camera settings could not be saved:', error);
+        }
+    }
+    
+    /**
+     * Only select stored values that are still offered
+     */
+    setSelectValue(select, value) {
+        if (value === undefined || value === null) return;
+        if (Array.from(select.options).some(option => option.value === String(value))) {
+            select.value = String(value);
+        }
+    }
+    
+    getCameraSettings() {
+        const [width, height] = this.elements.cameraResolution.value.split('x').map(Number);
+        return {
+            deviceId: this.cameraPreference.deviceId,
+            width,
+            height,
+            frameRate: Number(this.elements.cameraFrameRate.value)
+        };
+    }
+    
+    /**
+     * Fill the camera picker; names only appear once camera permission has been given
+     */
+    async refreshCameraList() {
+        let cameras = [];
+        try {
+            cameras = (await this.handTracker.getCameras()).filter(camera => camera.deviceId);
+        } catch (error) {
+            console.warn('Cameras could not be listed:', error);
+        }
+        
+        const select = this.elements.cameraDevice;
+        select.innerHTML = '';
+        select.appendChild(new Option('Default camera', ''));
+        cameras.forEach((camera, index) => {
+            const option = new Option(camera.label || `Camera ${index + 1}`, camera.deviceId);
+            option.dataset.label = camera.label;
+            select.appendChild(option);
+        });
+        
+        const { deviceId, label } = this.cameraPreference;
+        if (!deviceId) return;
+        
+        // Device IDs change when site data is cleared, so the saved name is matched too
+        const match = cameras.find(camera => camera.deviceId === deviceId) ||
+            cameras.find(camera => label && camera.label === label);
+        if (match) {
+            select.value = match.deviceId;
+            if (match.deviceId !== deviceId) {
+                this.onCameraSettingsChange();
+            }
+        } else {
+            // Keep the remembered camera selected while it is unplugged
+            const known = cameras.some(camera => camera.label);
+            const option = new Option(`${label || 'Saved camera'}${known ? ' (not connected)' : ''}`, deviceId);
+            option.dataset.label = label;
+            select.appendChild(option);
+            select.value = deviceId;
+        }
+    }
+    
+    /**
+     * Camera, resolution or frame rate changed; a running camera restarts with the new choice
+     */
+    onCameraSettingsChange() {
+        const select = this.elements.cameraDevice;
+        const option = select.selectedOptions[0];
+        this.cameraPreference = {
+            deviceId: select.value || null,
+            label: select.value && option ? option.dataset.label || '' : ''
+        };
+        
+        this.saveCameraSettings();
+        this.handTracker.updateSettings({ camera: this.getCameraSettings() });
+    }
+    
+    onModelComplexityChange(event) {
+        this.handTracker.updateSettings({ modelComplexity: Number(event.target.value) });
+        this.saveCameraSettings();
+    }
+    
+    onCameraMountChange(event) {
+        this.handTracker.updateSettings({ cameraMount: event.target.value });
+        this.applyCameraMount();
+        this.saveCameraSettings();
+        
+        // Range calibration was measured in the old view
+        if (this.handTracker.rangeMapping) {
+            this.elements.zoneStatus.textContent = 'Camera mount changed - consider recalibrating';
+            this.elements.zoneStatus.className = 'zone-status hands-outside';
+        }
+    }
+    
+    /**
+     * Turn and mirror the camera preview to show the same view the hands are tracked in
+     */
+    applyCameraMount() {
+        const mount = this.handTracker.cameraMount;
+        const video = this.elements.previewVideo;
+        
+        video.classList.toggle('quarter-turn', mount.isQuarterTurn());
+        video.style.transform = `translate(-50%, -50%) ${mount.getCssTransform()}`.trim();
+    }
+    
+    /**
+     * Camera connection changes from the hand tracker, including unplugging and reconnecting
+     */
+    onCameraStatus(status, cameraLabel) {
+        if (this.state.cameraActive && this.usesCamera()) {
+            this.elements.cameraStatus.textContent = this.describeCameraStatus(status);
+            this.elements.cameraStatus.title = cameraLabel || '';
+        }
+        
+        if (status === 'lost' && this.elements.zoneStatus) {
+            this.elements.zoneStatus.textContent = 'Camera disconnected - plug it back in to carry on';
+            this.elements.zoneStatus.className = 'zone-status hands-outside';
+        }
+        
+        // Camera names become available once a stream has been opened
+        if (status === 'connected' || status === 'fallback') {
+            this.refreshCameraList();
+        }
+    }
+    
+    describeCameraStatus(status) {
+        return {
+            connected: 'Connected',
+            fallback: 'Connected (default camera - chosen camera not found)',
+            lost: 'Disconnected - reconnecting...',
+            reconnecting: 'Reconnecting...'
+        }[status] || 'Not Connected';
+    }
+    
+    onSimulationScriptChange(event) {
+        // Switch scripts live so trainers can move between demos without restarting
+        if (this.state.cameraActive && this.state.handSource === 'simulation') {
+            this.syntheticHandSource.setScript(event.target.value);
+        }
+    }
+    
+    setHandSource(source) {
+        const wasBody = this.state.handSource === 'body';
+        this.state.handSource = source;
+        this.elements.simulationGroup.classList.toggle('hidden', source !== 'simulation');
+        this.elements.cameraGroup.classList.toggle('hidden', !this.usesCamera());
+        this.elements.bodyGroup.classList.toggle('hidden', source !== 'body');
+        
+        this.handTracker.updateSettings({ trackingTarget: source === 'body' ? 'body' : 'hands' });
+        
+        // Head and shoulder reach is calibrated separately from hand reach
+        if (wasBody !== (source === 'body')) {
+            this.applyStudentCalibration();
+        }
+        
+        if (!this.state.cameraActive) {
+            this.elements.toggleCamera.textContent = this.getStartButtonLabel();
+        }
+    }
+    
+    /**
+     * Whether the hand source tracks the student through the camera
+     */
+    usesCamera() {
+        return this.state.handSource === 'camera' || this.state.handSource === 'body';
+    }
+    
+    /**
+     * Fill the body point choices for each hand from BODY_POINTS
+     */
+    buildBodyPointOptions() {
+        for (const select of [this.elements.bodyPointLeft, this.elements.bodyPointRight]) {
+            select.innerHTML = '';
+            
+            const none = document.createElement('option');
+            none.value = '';
+            none.textContent = 'Nothing (no hand)';
+            select.appendChild(none);
+            
+            for (const [value, point] of Object.entries(BODY_POINTS)) {
+                const option = document.createElement('option');
+                option.value = value;
+                option.textContent = point.name;
+                select.appendChild(option);
+            }
+        }
+        this.showBodyPoints(this.handTracker.settings.bodyPoints);
+    }
+    
+    showBodyPoints(points) {
+        this.elements.bodyPointLeft.value = points.left || '';
+        this.elements.bodyPointRight.value = points.right || '';
+    }
+    
+    /**
+     * Choose which body point drives each hand; kept with the student's profile
+     */
+    onBodyPointChange() {
+        const points = {
+            left: this.elements.bodyPointLeft.value || null,
+            right: this.elements.bodyPointRight.value || null
+        };
+        this.handTracker.updateSettings({ bodyPoints: points });
+        this.studentProfiles.set('bodyPoints', points);
+    }
+    
+    applyStudentBodyPoints() {
+        const points = this.studentProfiles.get('bodyPoints') || { left: null, right: 'nose' };
+        this.handTracker.updateSettings({ bodyPoints: points });
+        this.showBodyPoints(points);
+    }
+    
+    getStartButtonLabel() {
+        return {
+            simulation: 'Start Simulation', none: 'Start Session'
+        }[this.state.handSource] || 'Start Camera';
+    }
+    
+    /**
+     * Extra input checkboxes by VirtualHandInput source name
+     */
+    getVirtualInputElements() {
+        return [
+            ['pointer', this.elements.inputPointer],
+            ['keyboard', this.elements.inputKeyboard],
+            ['switch', this.elements.inputSwitch],
+            ['gamepad', this.elements.inputGamepad]
+        ];
+    }
+    
+    /**
+     * Mode list from the registered visual modes
+     */
+    buildVisualModeOptions() {
+        const select = this.elements.visualMode;
+        select.innerHTML = '';
+        
+        for (const mode of this.visualEffects.getAvailableModes()) {
+            const option = document.createElement('option');
+            option.value = mode.name;
+            option.textContent = mode.displayName;
+            option.title = mode.description;
+            select.appendChild(option);
+        }
+        
+        select.value = this.visualEffects.mode;
+        this.state.currentMode = this.visualEffects.mode;
+    }
+    
+    getModeName(name) {
+        const mode = this.visualEffects.getAvailableModes().find(available => available.name === name);
+        return mode ? mode.displayName.replace(/ Mode$/, '') : this.capitalizeFirst(name);
+    }
+    
+    /**
+     * Settings panel controls for the current visual mode, from its settings schema
+     */
+    buildModeSettings() {
+        const container = this.elements.modeSettings;
+        container.innerHTML = '';
+        
+        const mode = this.visualEffects.getAvailableModes().find(available => available.name === this.visualEffects.mode);
+        if (!mode) return;
+        
+        const values = this.visualEffects.getModeSettings();
+        for (const [key, setting] of Object.entries(mode.settings)) {
+            container.appendChild(this.createModeSettingControl(mode.name, key, setting, values[key]));
+        }
+    }
+    
+    createModeSettingControl(modeName, key, setting, value) {
+        const id = `modeSetting-${modeName}-${key}`;
+        const group = document.createElement('div');
+        group.className = 'setting-group';
+        
+        const label = document.createElement('label');
+        label.htmlFor = id;
+        label.textContent = setting.label || key;
+        
+        let input;
+        if (setting.type === 'select') {
+            input = document.createElement('select');
+            for (const choice of setting.options) {
+                const option = document.createElement('option');
+                option.value = choice.value;
+                option.textContent = choice.label;
+                input.appendChild(option);
+            }
+            input.value = value;
+            input.addEventListener('change', () => this.visualEffects.updateModeSettings({ [key]: input.value }));
+        } else if (setting.type === 'checkbox') {
+            input = document.createElement('input');
+            input.type = 'checkbox';
+            input.checked = Boolean(value);
+            input.addEventListener('change', () => this.visualEffects.updateModeSettings({ [key]: input.checked }));
+        } else {
+            input = document.createElement('input');
+            input.type = 'range';
+            input.min = setting.min;
+            input.max = setting.max;
+            input.step = setting.step || 1;
+            input.value = value;
+        }
+        input.id = id;
+        
+        // Checkboxes sit before their label, like the other settings
+        if (setting.type === 'checkbox') {
+            group.appendChild(input);
+            group.appendChild(label);
+            return group;
+        }
+        
+        group.appendChild(label);
+        group.appendChild(input);
+        if (setting.type === 'range') {
+            const display = document.createElement('span');
+            display.textContent = value;
+            input.addEventListener('input', () => {
+                const number = parseFloat(input.value);
+                display.textContent = input.value;
+                this.visualEffects.updateModeSettings({ [key]: number });
+            });
+            group.appendChild(display);
+        }
+        return group;
+    }
+    
+    /**
+     * Fill the simulation script picker from the synthetic hand source
+     */
+    buildSimulationScriptOptions() {
+        const select = this.elements.simulationScript;
+        select.innerHTML = '';
+        
+        for (const script of this.syntheticHandSource.getAvailableScripts()) {
+            const option = document.createElement('option');
+            option.value = script.name;
+            option.textContent = script.displayName;
+            option.title = script.description;
+            select.appendChild(option);
+        }
+        
+        select.value = this.syntheticHandSource.scriptName;
+    }
+    
+    /**
+     * Student profile and range of motion calibration
+     */
+    loadStudentProfile() {
+        this.refreshStudentList();
+        this.elements.studentName.value = this.studentProfiles.getCurrent() || '';
+        this.applyStudentCalibration();
+        this.applyStudentGestures();
+        this.applyStudentZones();
+        this.applyStudentBodyPoints();
+    }
+    
+    onStudentChange(event) {
+        this.studentProfiles.setCurrent(event.target.value);
+        this.refreshStudentList();
+        this.applyStudentCalibration();
+        this.applyStudentGestures();
+        this.applyStudentZones();
+        this.applyStudentBodyPoints();
+    }
+    
+    refreshStudentList() {
+        this.elements.studentList.innerHTML = '';
+        for (const name of this.studentProfiles.list()) {
+            const option = document.createElement('option');
+            option.value = name;
+            this.elements.studentList.appendChild(option);
+        }
+    }
+    
+    applyStudentCalibration() {
+        const mapping = this.studentProfiles.get(this.getCalibrationKey());
+        this.handTracker.setRangeMapping(mapping);
+        this.updateCalibrationStatus();
+    }
+    
+    /**
+     * Profile key for the calibration of the current hand source
+     */
+    getCalibrationKey() {
+        return this.state.handSource === 'body' ? 'bodyCalibration' : 'calibration';
+    }
+    
+    updateCalibrationStatus() {
+        let status = RangeOfMotionCalibrator.describe(this.handTracker.rangeMapping);
+        if (this.handTracker.rangeMapping && !this.studentProfiles.getCurrent()) {
+            status += ' (enter a student name to save it)';
+        }
+        this.elements.calibrationStatus.textContent = status;
+    }
+    
+    /**
+     * Start the guided "reach as far as you can" calibration
+     */
+    startCalibration() {
+        if (!this.state.cameraActive) {
+            this.showError('Start the camera before calibrating so we can see the student\'s hands.');
+            return;
+        }
+        if (this.calibrator.isRunning) return;
+        
+        // Record unmapped positions; the previous mapping is restored if calibration is cancelled
+        this.state.previousRangeMapping = this.handTracker.rangeMapping;
+        this.handTracker.setRangeMapping(null);
+        
+        this.elements.calibrationOverlay.classList.remove('hidden');
+        this.calibrator.start();
+    }
+    
+    onCalibrationStep(step, index, total) {
+        this.elements.calibrationIcon.textContent = step.icon;
+        this.elements.calibrationPrompt.textContent = step.prompt;
+        this.elements.calibrationStep.textContent = `Step ${index + 1} of ${total}`;
+        this.elements.calibrationProgressBar.style.width = '0%';
+    }
+    
+    onCalibrationComplete(mapping) {
+        this.elements.calibrationOverlay.classList.add('hidden');
+        
+        if (!mapping.left && !mapping.right) {
+            this.handTracker.setRangeMapping(this.state.previousRangeMapping);
+            this.showError('No hands were seen during calibration. Please try again.');
+            return;
+        }
+        
+        this.handTracker.setRangeMapping(mapping);
+        this.studentProfiles.set(this.getCalibrationKey(), mapping);
+        this.updateCalibrationStatus();
+        this.clearCanvas();
+    }
+    
+    cancelCalibration() {
+        if (!this.calibrator.isRunning) return;
+        
+        this.calibrator.cancel();
+        this.handTracker.setRangeMapping(this.state.previousRangeMapping);
+        this.elements.calibrationOverlay.classList.add('hidden');
+    }
+    
+    /**
+     * Forget the current student's calibration and use the full camera view
+     */
+    clearCalibration() {
+        this.handTracker.setRangeMapping(null);
+        this.studentProfiles.set(this.getCalibrationKey(), null);
+        this.updateCalibrationStatus();
+    }
+    
+    /**
+     * Personal gesture templates
+     */
+    applyStudentGestures() {
+        this.handTracker.setGestureTemplates(this.studentProfiles.get('gestureTemplates') || []);
+        this.renderGestureTemplates();
+    }
+    
+    onGestureNameChange(event) {
+        const custom = event.target.value === 'custom';
+        this.elements.customGestureName.classList.toggle('hidden', !custom);
+        if (custom) {
+            this.elements.customGestureName.focus();
+        }
+    }
+    
+    getSelectedGestureName() {
+        const value = this.elements.gestureName.value;
+        return value === 'custom' ? this.elements.customGestureName.value.trim().toLowerCase() : value;
+    }
+    
+    /**
+     * Friendly name for a template, using the built-in option text where there is one
+     */
+    getGestureDisplayName(name) {
+        const option = Array.from(this.elements.gestureName.options).find(o => o.value === name && name !== 'custom');
+        return option ? option.textContent : name;
+    }
+    
+    toggleGestureTraining() {
+        if (this.gestureTrainer.isRunning) {
+            this.cancelGestureTraining();
+            return;
+        }
+        
+        if (!this.state.cameraActive) {
+            this.showError('Start the camera before recording a gesture so we can see the student\'s hand.');
+            return;
+        }
+        
+        const name = this.getSelectedGestureName();
+        if (!name) {
+            this.showError('Please type a name for the new gesture first.');
+            return;
+        }
+        
+        this.gestureTrainer.start(name);
+        this.elements.trainGesture.textContent = 'Cancel Recording';
+        this.elements.trainGesture.classList.add('recording');
+    }
+    
+    onGestureTrainingProgress(progress) {
+        let status;
+        if (progress.counting) {
+            status = `Get ready to show the gesture... ${progress.countdown}`;
+        } else if (!progress.handVisible) {
+            status = 'Show the hand to the camera';
+        } else {
+            status = `Hold the gesture: ${progress.samples} of ${progress.total} samples`;
+        }
+        this.elements.gestureTrainingStatus.textContent = status;
+    }
+    
+    onGestureTrainingComplete(name, samples) {
+        this.resetGestureTrainingButton();
+        
+        this.handTracker.addGestureTemplate(name, samples);
+        const saved = this.studentProfiles.set('gestureTemplates', this.handTracker.gestureRecognizer.getTemplates());
+        
+        let status = `Saved ${samples.length} samples of "${this.getGestureDisplayName(name)}"`;
+        if (!saved && !this.studentProfiles.getCurrent()) {
+            status += ' (enter a student name to keep it)';
+        }
+        this.elements.gestureTrainingStatus.textContent = status;
+        this.renderGestureTemplates();
+    }
+    
+    cancelGestureTraining() {
+        this.gestureTrainer.cancel();
+        this.resetGestureTrainingButton();
+        this.elements.gestureTrainingStatus.textContent = 'Gesture recording cancelled';
+    }
+    
+    resetGestureTrainingButton() {
+        this.elements.trainGesture.textContent = 'Record Student\'s Gesture';
+        this.elements.trainGesture.classList.remove('recording');
+    }
+    
+    removeGestureTemplate(name) {
+        this.handTracker.removeGestureTemplate(name);
+        this.studentProfiles.set('gestureTemplates', this.handTracker.gestureRecognizer.getTemplates());
+        this.renderGestureTemplates();
+    }
+    
+    renderGestureTemplates() {
+        const list = this.elements.gestureTemplateList;
+        list.innerHTML = '';
+        
+        for (const template of this.handTracker.gestureRecognizer.getTemplates()) {
+            const item = document.createElement('li');
+            const label = document.createElement('span');
+            label.textContent = `${this.getGestureDisplayName(template.name)} (${template.samples.length} samples)`;
+            
+            const remove = document.createElement('button');
+            remove.className = 'btn secondary';
+            remove.textContent = 'Remove';
+            remove.setAttribute('aria-label', `Remove personal gesture ${template.name}`);
+            remove.addEventListener('click', () => this.removeGestureTemplate(template.name));
+            
+            item.appendChild(label);
+            item.appendChild(remove);
+            list.appendChild(item);
+        }
+    }
+    
+    /**
+     * Trigger zones drawn on the camera preview, saved per student
+     */
+    applyStudentZones() {
+        this.triggerZones.setZones(this.studentProfiles.get('triggerZones') || []);
+        this.visualEffects.clearHandColor();
+        this.therapeuticActivities.setTargetZones(this.triggerZones.getZones());
+        this.renderZoneList();
+    }
+    
+    saveTriggerZones() {
+        const zones = this.triggerZones.getZones();
+        this.therapeuticActivities.setTargetZones(zones);
+        
+        const saved = this.studentProfiles.set('triggerZones', zones);
+        if (!saved && !this.studentProfiles.getCurrent()) {
+            this.elements.zoneEditorStatus.textContent = 'Enter a student name to keep these zones';
+        }
+    }
+    
+    /**
+     * Forget which hands are in zones and undo their colour changes, e.g. when tracking stops
+     */
+    resetTriggerZones() {
+        this.triggerZones.reset();
+        this.visualEffects.clearHandColor();
+    }
+    
+    /**
+     * A hand entered, stayed in or left a trigger zone
+     */
+    onZoneEvent(event) {
+        const zone = this.triggerZones.getZone(event.zoneId);
+        
+        // Going into or out of a zone ends the hand's stroke, so each one can be undone on its own
+        if (event.type === 'enter' || event.type === 'leave') {
+            this.visualEffects.endHandStrokes(event.handId);
+        }
+        
+        if (zone && event.type === 'enter') {
+            const actions = zone.actions;
+            if (actions.sound) {
+                this.zoneSounds.play(actions.sound, this.getZoneVolume(event.handId));
+            }
+            // Like dipping a brush in paint, the hand keeps the colour after leaving
+            if (actions.color) {
+                this.visualEffects.setHandColor(event.handId, actions.color);
+            }
+            if (actions.burst) {
+                this.visualEffects.createBurst(event.position);
+            }
+        }
+        
+        this.therapeuticActivities.processZoneEvent(event);
+        
+        if (!this.zoneDraft) {
+            const verb = { enter: 'entered', dwell: 'is staying in', leave: 'left' }[event.type];
+            const duration = event.type === 'leave' ? ` after ${(event.duration / 1000).toFixed(1)}s` : '';
+            this.elements.zoneEditorStatus.textContent =
+                `${this.capitalizeFirst(event.label)} hand ${verb} ${event.zoneName}${duration}`;
+        }
+    }
+    
+    /**
+     * Note volume for a hand - louder the nearer it is when depth controls the volume
+     */
+    getZoneVolume(handId) {
+        const volume = this.zoneSounds.volume;
+        const hand = this.handTracker.currentHands.find(h => h.id === handId);
+        if (!this.state.depthVolume || !hand || typeof hand.depth !== 'number') return volume;
+        
+        return Math.min(1, volume * (0.2 + hand.depth * 1.6));
+    }
+    
+    toggleZoneDrawing() {
+        if (this.zoneDraft) {
+            this.cancelZoneDrawing();
+            return;
+        }
+        
+        if (!this.state.cameraActive) {
+            this.showError('Start the camera before drawing zones so you can see where they go.');
+            return;
+        }
+        
+        const type = this.elements.zoneShape.value;
+        this.zoneDraft = { type, start: null, current: null, points: [] };
+        
+        this.elements.cameraPreview.classList.remove('hidden');
+        this.elements.cameraPreview.classList.add('editing-zones');
+        this.elements.drawZone.textContent = 'Cancel Drawing';
+        this.elements.drawZone.classList.add('recording');
+        this.elements.zoneEditorStatus.textContent = type === 'polygon' ?
+            'Click each corner on the preview, then the first corner again to finish' :
+            'Drag on the preview to draw the zone';
+    }
+    
+    cancelZoneDrawing() {
+        this.endZoneDrawing();
+        this.elements.zoneEditorStatus.textContent = 'Zone drawing cancelled';
+    }
+    
+    endZoneDrawing() {
+        this.zoneDraft = null;
+        this.elements.cameraPreview.classList.remove('editing-zones');
+        this.elements.drawZone.textContent = 'Draw on Preview';
+        this.elements.drawZone.classList.remove('recording');
+    }
+    
+    /**
+     * Pointer position on the preview in view coordinates
+     */
+    getZonePointerPosition(event) {
+        const rect = this.elements.previewCanvas.getBoundingClientRect();
+        const point = this.getPreviewMapping().toView(event.clientX - rect.left, event.clientY - rect.top);
+        return {
+            x: Math.max(0, Math.min(1, point.x)),
+            y: Math.max(0, Math.min(1, point.y))
+        };
+    }
+    
+    onZonePointerDown(event) {
+        const draft = this.zoneDraft;
+        if (!draft) return;
+        event.preventDefault();
+        
+        const point = this.getZonePointerPosition(event);
+        
+        if (draft.type === 'polygon') {
+            // Clicking back on the first corner closes the shape
+            if (draft.points.length >= 3) {
+                const mapping = this.getPreviewMapping();
+                const first = mapping.toCanvas(draft.points[0].x, draft.points[0].y);
+                const clicked = mapping.toCanvas(point.x, point.y);
+                if (Math.hypot(clicked.x - first.x, clicked.y - first.y) < 12) {
+                    this.finishZone({ type: 'polygon', points: draft.points });
+                    return;
+                }
+            }
+            draft.points.push(point);
+            draft.current = point;
+            return;
+        }
+        
+        draft.start = point;
+        draft.current = point;
+        this.elements.previewCanvas.setPointerCapture(event.pointerId);
+    }
+    
+    onZonePointerMove(event) {
+        if (!this.zoneDraft) return;
+        this.zoneDraft.current = this.getZonePointerPosition(event);
+    }
+    
+    onZonePointerUp(event) {
+        const draft = this.zoneDraft;
+        if (!draft || draft.type === 'polygon' || !draft.start) return;
+        
+        const shape = this.createZoneShape(draft.type, draft.start, this.getZonePointerPosition(event));
+        if (!shape) {
+            draft.start = null;
+            this.elements.zoneEditorStatus.textContent = 'Too small - drag further to draw the zone';
+            return;
+        }
+        this.finishZone(shape);
+    }
+    
+    /**
+     * Rectangle from corner to corner, or circle from the centre out; null for a click without a drag
+     */
+    createZoneShape(type, start, end) {
+        if (Math.abs(end.x - start.x) < 0.02 && Math.abs(end.y - start.y) < 0.02) return null;
+        
+        if (type === 'circle') {
+            // Round on the preview, whatever the camera's aspect ratio
+            const mapping = this.getPreviewMapping();
+            const center = mapping.toCanvas(start.x, start.y);
+            const edge = mapping.toCanvas(end.x, end.y);
+            const radius = Math.hypot(edge.x - center.x, edge.y - center.y);
+            
+            return {
+                type: 'circle',
+                x: start.x,
+                y: start.y,
+                radiusX: mapping.toView(center.x + radius, center.y).x - start.x,
+                radiusY: mapping.toView(center.x, center.y + radius).y - start.y
+            };
+        }
+        
+        return {
+            type: 'rect',
+            x: Math.min(start.x, end.x),
+            y: Math.min(start.y, end.y),
+            width: Math.abs(end.x - start.x),
+            height: Math.abs(end.y - start.y)
+        };
+    }
+    
+    finishZone(shape) {
+        const zone = this.triggerZones.addZone({
+            name: this.elements.zoneName.value.trim(),
+            shape,
+            actions: { burst: true }
+        });
+        
+        this.endZoneDrawing();
+        this.elements.zoneName.value = '';
+        this.elements.zoneEditorStatus.textContent = `Added "${zone.name}" - choose what it does below`;
+        this.saveTriggerZones();
+        this.renderZoneList();
+    }
+    
+    removeZone(id) {
+        this.triggerZones.removeZone(id);
+        this.saveTriggerZones();
+        this.renderZoneList();
+    }
+    
+    renderZoneList() {
+        const list = this.elements.zoneList;
+        list.innerHTML = '';
+        
+        const shapeNames = { rect: 'rectangle', circle: 'circle', polygon: 'polygon' };
+        
+        for (const zone of this.triggerZones.getZones()) {
+            const item = document.createElement('li');
+            
+            const header = document.createElement('div');
+            header.className = 'zone-list-header';
+            
+            const label = document.createElement('span');
+            label.textContent = `${zone.name} (${shapeNames[zone.shape.type]})`;
+            
+            const remove = document.createElement('button');
+            remove.className = 'btn secondary';
+            remove.textContent = 'Remove';
+            remove.setAttribute('aria-label', `Remove zone ${zone.name}`);
+            remove.addEventListener('click', () => this.removeZone(zone.id));
+            
+            header.appendChild(label);
+            header.appendChild(remove);
+            
+            const sounds = Object.entries(TRIGGER_ZONE_SOUNDS).map(([note, sound]) => [note, `♪ ${sound.name}`]);
+            const actions = document.createElement('div');
+            actions.className = 'zone-actions';
+            actions.appendChild(this.createZoneActionSelect(zone, 'sound', 'No sound', sounds));
+            actions.appendChild(this.createZoneActionSelect(zone, 'color', 'Same colour', Object.entries(TRIGGER_ZONE_COLORS)));
+            actions.appendChild(this.createZoneActionCheckbox(zone, 'burst', 'Burst'));
+            actions.appendChild(this.createZoneActionCheckbox(zone, 'target', 'Target'));
+            
+            item.appendChild(header);
+            item.appendChild(actions);
+            list.appendChild(item);
+        }
+    }
+    
+    createZoneActionSelect(zone, action, emptyText, choices) {
+        const select = document.createElement('select');
+        select.setAttribute('aria-label', `${this.capitalizeFirst(action)} for zone ${zone.name}`);
+        
+        for (const [value, text] of [['', emptyText], ...choices]) {
+            const option = document.createElement('option');
+            option.value = value;
+            option.textContent = text;
+            select.appendChild(option);
+        }
+        select.value = zone.actions[action] || '';
+        
+        select.addEventListener('change', () => {
+            this.triggerZones.updateZone(zone.id, { actions: { [action]: select.value || null } });
+            this.saveTriggerZones();
+        });
+        return select;
+    }
+    
+    createZoneActionCheckbox(zone, action, text) {
+        const label = document.createElement('label');
+        const checkbox = document.createElement('input');
+        checkbox.type = 'checkbox';
+        checkbox.checked = Boolean(zone.actions[action]);
+        
+        checkbox.addEventListener('change', () => {
+            this.triggerZones.updateZone(zone.id, { actions: { [action]: checkbox.checked } });
+            this.saveTriggerZones();
+        });
+        
+        label.appendChild(checkbox);
+        label.appendChild(document.createTextNode(text));
+        return label;
+    }
+    
+    /**
+     * Choice cards: what each set offers the student
+     * Each card is { id, icon, label, choose(), isCurrent() }
+     */
+    getChoiceCardSet(name) {
+        const fromSelect = (select, icons, onChange) => Array.from(select.options).map(option => ({
+            id: `${select.id}-${option.value}`,
+            icon: icons[option.value] || '',
+            label: option.textContent.replace(/ Mode$/, ''),
+            choose: () => {
+                select.value = option.value;
+                onChange({ target: select });
+            },
+            isCurrent: () => select.value === option.value
+        }));
+        
+        switch (name) {
+            case 'visual-mode': {
+                const icons = {};
+                for (const mode of this.visualEffects.getAvailableModes()) icons[mode.name] = mode.icon;
+                return fromSelect(this.elements.visualMode, icons, this.onVisualModeChange.bind(this));
+            }
+            case 'color':
+                return fromSelect(this.elements.colorMode,
+                    { rainbow: '🌈', speed: '💨', position: '🎯', audio: '🎵' }, this.onColorModeChange.bind(this));
+            case 'activity':
+                return [
+                    { id: 'activity-previous', icon: '⬅️', label: 'Previous', choose: () => this.cycleActivity(-1), isCurrent: () => false },
+                    { id: 'activity-start', icon: '▶️', label: 'Start / Pause', choose: () => this.startOrPauseSelectedActivity(), isCurrent: () => false },
+                    { id: 'activity-next', icon: '➡️', label: 'Next', choose: () => this.cycleActivity(1), isCurrent: () => false }
+                ];
+            default:
+                return [];
+        }
+    }
+    
+    onChoiceCardSetChange(event) {
+        this.showChoiceCards(event.target.value);
+    }
+    
+    onDwellTimeChange(event) {
+        const seconds = parseFloat(event.target.value);
+        this.dwellSelector.setDwellTime(seconds * 1000);
+        this.elements.dwellTimeValue.textContent = `${seconds.toFixed(2).replace(/0$/, '')}s`;
+    }
+    
+    /**
+     * Show a set of choice cards on the canvas, or hide them for 'off'
+     */
+    showChoiceCards(setName) {
+        this.choiceCards = this.getChoiceCardSet(setName);
+        this.dwellStates.clear();
+        
+        const container = this.elements.choiceBoardCards;
+        container.innerHTML = '';
+        
+        for (const card of this.choiceCards) {
+            const button = document.createElement('button');
+            button.type = 'button';
+            button.className = 'choice-card';
+            
+            const icon = document.createElement('span');
+            icon.className = 'choice-card-icon';
+            icon.setAttribute('aria-hidden', 'true');
+            icon.textContent = card.icon;
+            
+            const label = document.createElement('span');
+            label.className = 'choice-card-label';
+            label.textContent = card.label;
+            
+            const bar = document.createElement('span');
+            bar.className = 'choice-card-progress';
+            
+            button.appendChild(icon);
+            button.appendChild(label);
+            button.appendChild(bar);
+            
+            // The therapist can still click a card
+            button.addEventListener('click', () => this.chooseCard(card));
+            
+            card.element = button;
+            card.progressBar = bar;
+            container.appendChild(button);
+        }
+        
+        this.elements.choiceBoard.classList.toggle('hidden', this.choiceCards.length === 0);
+        this.updateChoiceTargets();
+        this.refreshChoiceBoard();
+    }
+    
+    /**
+     * Where the cards are on the canvas, in the same 0-1 coordinates as hand centres
+     */
+    updateChoiceTargets() {
+        const canvasRect = this.elements.outputCanvas.getBoundingClientRect();
+        
+        this.dwellSelector.setTargets(this.choiceCards.map(card => {
+            const rect = card.element.getBoundingClientRect();
+            return {
+                id: card.id,
+                rect: {
+                    x: (rect.left - canvasRect.left) / canvasRect.width,
+                    y: (rect.top - canvasRect.top) / canvasRect.height,
+                    width: rect.width / canvasRect.width,
+                    height: rect.height / canvasRect.height
+                }
+            };
+        }));
+    }
+    
+    /**
+     * Advance the dwell rings and fill each card's progress bar
+     */
+    updateChoiceCards(hands) {
+        this.dwellStates.clear();
+        for (const state of this.dwellSelector.update(hands, Date.now())) {
+            this.dwellStates.set(state.handId, state);
+        }
+        
+        const progress = this.dwellSelector.getTargetProgress();
+        for (const card of this.choiceCards) {
+            const value = progress.get(card.id) || 0;
+            card.progressBar.style.width = `${value * 100}%`;
+            card.element.classList.toggle('hovered', progress.has(card.id));
+        }
+        
+        // The therapist may change the mode or activity with the mouse as well
+        this.refreshChoiceBoard();
+    }
+    
+    onChoiceSelected(target) {
+        const card = this.choiceCards.find(c => c.id === target.id);
+        if (!card) return;
+        
+        this.chooseCard(card);
+        this.visualEffects.createBurst({
+            x: target.rect.x + target.rect.width / 2,
+            y: target.rect.y + target.rect.height / 2
+        }, 40);
+    }
+    
+    chooseCard(card) {
+        card.choose();
+        this.refreshChoiceBoard();
+        
+        // Brief flash so the student sees the choice was made
+        card.element.classList.add('chosen');
+        setTimeout(() => card.element.classList.remove('chosen'), 600);
+    }
+    
+    /**
+     * Mark the current choice and describe the selected activity
+     */
+    refreshChoiceBoard() {
+        for (const card of this.choiceCards) {
+            const current = card.isCurrent();
+            card.element.classList.toggle('current', current);
+            card.element.setAttribute('aria-pressed', current ? 'true' : 'false');
+        }
+        
+        let caption = '';
+        if (this.elements.choiceCardSet.value === 'activity') {
+            const activity = this.therapeuticActivities.getAvailableActivities()
+                .find(a => a.name === this.state.selectedActivity);
+            const status = this.therapeuticActivities.getCurrentActivityStatus();
+            const running = status.active && this.therapeuticActivities.currentActivityName === this.state.selectedActivity;
+            caption = activity ? `${activity.displayName}${running ? (status.paused ? ' (paused)' : ' (playing)') : ''}` : '';
+        }
+        this.elements.choiceBoardCaption.textContent = caption;
+    }
+    
+    /**
+     * Kaleidoscope choices from SYMMETRY_SEGMENTS
+     */
+    buildSymmetryOptions() {
+        const select = this.elements.symmetrySegments;
+        select.innerHTML = '<option value="1">Off</option>';
+        for (let segments = SYMMETRY_SEGMENTS.min; segments <= SYMMETRY_SEGMENTS.max; segments++) {
+            const option = document.createElement('option');
+            option.value = segments;
+            option.textContent = `${segments} segments`;
+            select.appendChild(option);
+        }
+    }
+    
+    onSymmetryChange() {
+        this.visualEffects.updateSettings({
+            symmetry: {
+                mirror: this.elements.symmetryMirror.value,
+                segments: parseInt(this.elements.symmetrySegments.value)
+            }
+        });
+    }
+    
+    /**
+     * The next click on the canvas moves the centre that mirrors and kaleidoscope turn around
+     */
+    toggleSymmetryCenterPlacement() {
+        this.state.placingSymmetryCenter = !this.state.placingSymmetryCenter;
+        this.elements.moveSymmetryCenter.classList.toggle('recording', this.state.placingSymmetryCenter);
+        this.elements.symmetryStatus.textContent = this.state.placingSymmetryCenter ?
+            'Click the canvas where the centre should go' : this.describeSymmetryCenter();
+    }
+    
+    setSymmetryCenter(center) {
+        this.visualEffects.updateSettings({ symmetry: { center } });
+        this.state.placingSymmetryCenter = false;
+        this.elements.moveSymmetryCenter.classList.remove('recording');
+        this.elements.symmetryStatus.textContent = this.describeSymmetryCenter();
+    }
+    
+    resetSymmetryCenter() {
+        this.setSymmetryCenter({ x: 0.5, y: 0.5 });
+    }
+    
+    describeSymmetryCenter() {
+        const { x, y } = this.visualEffects.symmetry.center;
+        if (x === 0.5 && y === 0.5) return 'Centre of the canvas';
+        return `Centre moved to ${Math.round(x * 100)}% across, ${Math.round(y * 100)}% down`;
     }
     
     onBeatDetected(intensity) {
@@ -741,14 +2604,43 @@ class MusicTherapyApp {
     onAchievement(achievement) {
         // Show achievement notification
         this.showAchievement(achievement);
+        this.updateActivityStatus();
     }
     
     onProgressUpdate(progress) {
-        // Could update a progress display
-        console.log('Progress update:', progress);
+        this.updateActivityStatus();
     }
     
     onKeyDown(event) {
+        // Let therapists type, pick and slide in form controls without triggering shortcuts
+        const target = event.target;
+        if (target && (['INPUT', 'SELECT', 'TEXTAREA'].includes(target.tagName) || target.isContentEditable)) {
+            return;
+        }
+        
+        // Keys steering a keyboard or switch hand are not shortcuts
+        if (this.virtualInput.handlesKey(event.key)) {
+            return;
+        }
+        
+        // Ctrl+Z / Ctrl+Y (Cmd on a Mac) undo and redo strokes; Ctrl+Shift+Z also redoes
+        if (event.ctrlKey || event.metaKey) {
+            const key = event.key.toLowerCase();
+            if (key === 'z' || key === 'y') {
+                event.preventDefault();
+                if (key === 'y' || event.shiftKey) {
+                    this.redoStroke();
+                } else {
+                    this.undoStroke();
+                }
+            }
+        }
+        
+        // Other combinations belong to the browser (Ctrl+C, Ctrl+R...), not the single-key shortcuts
+        if (event.ctrlKey || event.metaKey || event.altKey) {
+            return;
+        }
+        
         // Keyboard shortcuts for accessibility
         switch (event.key) {
             case ' ': // Spacebar - toggle camera
@@ -761,27 +2653,71 @@ class MusicTherapyApp {
             case 's': // S - toggle settings
                 this.toggleSettings();
                 break;
+            case 'r': // R - start/stop session recording
+                this.toggleRecording();
+                break;
+            case 'a': // A - toggle activity panel
+                this.toggleActivityPanel();
+                break;
+            case 'n': // N - select next activity
+                this.cycleActivity(1);
+                break;
+            case 'p': // P - pause/resume activity
+                this.toggleActivityPause();
+                break;
+            case 'x': // X - stop activity
+                this.stopActivity();
+                break;
+            case 'k': // K - calibrate range of motion
+                this.startCalibration();
+                break;
+            case 'd': // D - show/hide tracking diagnostics
+                this.toggleDiagnostics();
+                break;
+            case 'i': // I - save a picture of the artwork
+                this.saveSnapshot();
+                break;
             case 'Escape': // Escape - close modals
                 this.hideError();
+                if (this.state.placingSymmetryCenter) {
+                    this.toggleSymmetryCenterPlacement();
+                }
+                this.cancelCalibration();
+                if (this.gestureTrainer.isRunning) {
+                    this.cancelGestureTraining();
+                }
+                if (this.zoneDraft) {
+                    this.cancelZoneDrawing();
+                }
+                break;
+            default:
+                // Number keys 1-9 start the matching activity directly
+                if (/^[1-9]$/.test(event.key)) {
+                    this.startActivityByIndex(parseInt(event.key) - 1);
+                }
                 break;
         }
     }
     
     onCanvasClick(event) {
-        // Accessibility feature - clicking canvas can trigger effects
         const rect = this.elements.visualCanvas.getBoundingClientRect();
         const x = (event.clientX - rect.left) / rect.width;
         const y = (event.clientY - rect.top) / rect.height;
         
-        // Create a manual interaction point
-        const fakeHand = {
-            center: { x, y },
-            velocity: { x: 0, y: 0, magnitude: 0.5 },
-            id: 'click_interaction',
-            label: 'interaction'
-        };
+        if (this.state.placingSymmetryCenter) {
+            this.setSymmetryCenter({ x, y });
+            return;
+        }
         
-        this.visualEffects.processHands([fakeHand]);
+        // The mouse/touch input already turns clicks into a hand
+        if (this.virtualInput.isSourceActive('pointer')) return;
+        
+        // A complete pointing hand, so every visual mode can draw it
+        const input = this.virtualInput.createHand({ id: 'click_interaction', label: 'right', source: 'pointer', x, y, pose: 'point' });
+        const hand = this.handTracker.processVirtualHand(input, null, Date.now());
+        hand.velocity = { x: 0, y: 0, magnitude: 0.5 };
+        
+        this.visualEffects.processHands([hand]);
     }
     
     onWindowResize() {
@@ -796,6 +2732,11 @@ class MusicTherapyApp {
         if (this.visualEffects) {
             this.visualEffects.resizeCanvas();
         }
+        
+        // Cards move with the canvas, so their dwell areas must follow
+        if (this.choiceCards.length > 0) {
+            this.updateChoiceTargets();
+        }
     }
     
     /**
@@ -803,6 +2744,7 @@ class MusicTherapyApp {
      */
     clearCanvas() {
         if (this.visualEffects) {
+            this.artworkExporter.clear();
             this.visualEffects.clear();
         }
         
@@ -817,6 +2759,628 @@ class MusicTherapyApp {
         this.elements.settingsPanel.classList.toggle('open');
     }
     
+    /**
+     * Build the activity picker from the available therapeutic activities
+     */
+    buildActivityPanel() {
+        const list = this.elements.activityList;
+        if (!list) return;
+        
+        list.innerHTML = '';
+        const activities = this.therapeuticActivities.getAvailableActivities();
+        
+        activities.forEach((activity, index) => {
+            const card = document.createElement('button');
+            card.type = 'button';
+            card.className = 'activity-card';
+            card.dataset.activity = activity.name;
+            card.setAttribute('aria-pressed', 'false');
+            
+            const header = document.createElement('div');
+            header.className = 'activity-card-header';
+            
+            const title = document.createElement('span');
+            title.className = 'activity-card-title';
+            title.textContent = `${index + 1}. ${activity.displayName}`;
+            
+            const difficulty = document.createElement('span');
+            difficulty.className = `activity-difficulty ${activity.difficulty}`;
+            difficulty.textContent = activity.difficulty;
+            
+            header.appendChild(title);
+            header.appendChild(difficulty);
+            
+            const description = document.createElement('p');
+            description.className = 'activity-card-description';
+            description.textContent = activity.description;
+            
+            const goals = document.createElement('ul');
+            goals.className = 'activity-goals';
+            goals.setAttribute('aria-label', 'Therapeutic goals');
+            for (const goal of activity.therapeutic_goals) {
+                const item = document.createElement('li');
+                item.textContent = goal;
+                goals.appendChild(item);
+            }
+            
+            card.appendChild(header);
+            card.appendChild(description);
+            card.appendChild(goals);
+            
+            card.addEventListener('click', () => this.selectActivity(activity.name));
+            card.addEventListener('dblclick', () => this.startActivityByName(activity.name));
+            
+            list.appendChild(card);
+        });
+        
+        if (activities.length > 0) {
+            this.selectActivity(activities[0].name);
+        }
+        
+        this.updateActivityStatus();
+    }
+    
+    /**
+     * Mark an activity as selected in the picker
+     */
+    selectActivity(activityName) {
+        this.state.selectedActivity = activityName;
+        
+        const cards = this.elements.activityList.querySelectorAll('.activity-card');
+        for (const card of cards) {
+            card.setAttribute('aria-pressed', card.dataset.activity === activityName ? 'true' : 'false');
+        }
+        
+        this.updateActivityControls();
+    }
+    
+    /**
+     * Select the next/previous activity (keyboard navigation)
+     */
+    cycleActivity(direction) {
+        const activities = this.therapeuticActivities.getAvailableActivities();
+        if (activities.length === 0) return;
+        
+        const currentIndex = activities.findIndex(a => a.name === this.state.selectedActivity);
+        const nextIndex = (currentIndex + direction + activities.length) % activities.length;
+        this.selectActivity(activities[nextIndex].name);
+    }
+    
+    /**
+     * Start the selected activity, or pause/resume it if it is already running
+     */
+    startOrPauseSelectedActivity() {
+        const status = this.therapeuticActivities.getCurrentActivityStatus();
+        const selectedIsRunning = status.active &&
+            this.therapeuticActivities.currentActivityName === this.state.selectedActivity;
+        
+        if (selectedIsRunning) {
+            this.toggleActivityPause();
+        } else {
+            this.startSelectedActivity();
+        }
+    }
+    
+    startSelectedActivity() {
+        if (this.state.selectedActivity) {
+            this.startActivityByName(this.state.selectedActivity);
+        }
+    }
+    
+    startActivityByIndex(index) {
+        const activities = this.therapeuticActivities.getAvailableActivities();
+        if (activities[index]) {
+            this.startActivityByName(activities[index].name);
+        }
+    }
+    
+    /**
+     * Start a therapeutic activity and reflect it in the UI
+     */
+    startActivityByName(activityName) {
+        this.selectActivity(activityName);
+        
+        if (this.therapeuticActivities.startActivity(activityName)) {
+            if (!this.state.cameraActive && this.elements.zoneStatus) {
+                this.elements.zoneStatus.textContent = 'Start the camera to begin the activity';
+            }
+        } else {
+            this.showError('This activity could not be started.');
+        }
+        
+        this.updateActivityStatus();
+    }
+    
+    toggleActivityPause() {
+        if (this.therapeuticActivities.isPaused) {
+            this.therapeuticActivities.resumeActivity();
+        } else {
+            this.therapeuticActivities.pauseActivity();
+        }
+        
+        this.updateActivityStatus();
+    }
+    
+    stopActivity() {
+        this.therapeuticActivities.stopActivity();
+        this.updateActivityStatus();
+    }
+    
+    /**
+     * Enable/disable activity buttons for the current state
+     */
+    updateActivityControls() {
+        const status = this.therapeuticActivities.getCurrentActivityStatus();
+        const selectedIsRunning = status.active &&
+            this.therapeuticActivities.currentActivityName === this.state.selectedActivity;
+        
+        this.elements.startActivity.disabled = !this.state.selectedActivity || selectedIsRunning;
+        this.elements.pauseActivity.disabled = !status.active;
+        this.elements.pauseActivity.textContent = status.paused ? 'Resume' : 'Pause';
+        this.elements.stopActivity.disabled = !status.active;
+        
+        const cards = this.elements.activityList.querySelectorAll('.activity-card');
+        for (const card of cards) {
+            card.classList.toggle('running',
+                status.active && card.dataset.activity === this.therapeuticActivities.currentActivityName);
+        }
+    }
+    
+    /**
+     * Throttled status refresh from the main loop
+     */
+    refreshActivityStatus() {
+        const now = Date.now();
+        if (now - this.performance.lastActivityStatusTime < 250) return;
+        
+        this.performance.lastActivityStatusTime = now;
+        this.updateActivityStatus();
+        this.updateTremorStatus();
+        this.updateTrackingDiagnostics();
+    }
+    
+    /**
+     * Show the live tremor estimate and keep the session's tremor metrics up to date
+     */
+    updateTremorStatus() {
+        if (!this.state.cameraActive) return;
+        
+        this.therapeuticActivities.recordTremor(this.handTracker.getTremorSummary());
+        
+        const parts = [];
+        for (const hand of this.handTracker.getCurrentHands()) {
+            if (hand.tremor && hand.tremor.detected) {
+                const percent = Math.round(hand.tremor.relativeAmplitude * 100);
+                parts.push(`${this.capitalizeFirst(hand.label)} ${hand.tremor.frequency.toFixed(1)} Hz (${percent}% of hand)`);
+            }
+        }
+        
+        this.elements.tremorStatus.textContent = parts.length > 0 ? parts.join(', ') : 'None detected';
+    }
+    
+    /**
+     * Add this camera session's tremor metrics to the student's history, then start a new session
+     */
+    saveTremorHistory() {
+        const summary = this.handTracker.getTremorSummary();
+        this.therapeuticActivities.recordTremor(summary);
+        this.handTracker.resetTremorSession();
+        this.elements.tremorStatus.textContent = '-';
+        
+        // Scripted hands are not the student's movements
+        if (this.state.handSource === 'simulation' || !this.studentProfiles.getCurrent()) return;
+        
+        const hands = Object.entries(summary).filter(([, metrics]) => metrics);
+        if (hands.length === 0) return;
+        
+        // Keep the most recent sessions so localStorage stays small
+        const history = this.studentProfiles.get('tremorHistory') || [];
+        history.push({ date: new Date().toISOString(), hands: Object.fromEntries(hands) });
+        this.studentProfiles.set('tremorHistory', history.slice(-100));
+    }
+    
+    /**
+     * Keep the session's tracking quality figures up to date and refresh the diagnostics panel
+     */
+    updateTrackingDiagnostics() {
+        if (!this.state.cameraActive) return;
+        
+        this.therapeuticActivities.recordTracking(this.handTracker.diagnostics.getSessionSummary());
+        
+        if (!this.elements.diagnosticsPanel.classList.contains('hidden')) {
+            this.renderDiagnostics();
+        }
+    }
+    
+    /**
+     * Add this camera session's tracking quality to the student's history, then start a new session
+     */
+    saveTrackingHistory() {
+        const diagnostics = this.handTracker.diagnostics;
+        const summary = diagnostics.getSessionSummary();
+        this.therapeuticActivities.recordTracking(summary);
+        diagnostics.resetSession();
+        
+        if (!summary || this.state.handSource === 'simulation' || !this.studentProfiles.getCurrent()) return;
+        
+        // Kept alongside the tremor history so poor sessions can be matched to poor tracking
+        const history = this.studentProfiles.get('trackingHistory') || [];
+        history.push({ date: new Date().toISOString(), ...summary });
+        this.studentProfiles.set('trackingHistory', history.slice(-100));
+    }
+    
+    onDiagnosticsToggle(event) {
+        this.toggleDiagnostics(event.target.checked);
+    }
+    
+    /**
+     * Show or hide the tracking diagnostics panel
+     */
+    toggleDiagnostics(show = this.elements.diagnosticsPanel.classList.contains('hidden')) {
+        this.elements.diagnosticsPanel.classList.toggle('hidden', !show);
+        this.elements.showDiagnostics.checked = show;
+        
+        if (show) {
+            this.renderDiagnostics();
+        }
+    }
+    
+    /**
+     * Fill the diagnostics panel from the last few seconds of tracking
+     */
+    renderDiagnostics() {
+        const metrics = this.handTracker.diagnostics.getLiveMetrics();
+        const threshold = this.handTracker.confidenceThreshold;
+        const seconds = Math.round(this.handTracker.diagnostics.windowSize / 1000);
+        const percent = (value) => `${Math.round(value * 100)}%`;
+        
+        const confidence = Object.entries(metrics.confidence)
+            .map(([label, entry]) => `${this.capitalizeFirst(label)} ${percent(entry.average)} (min ${percent(entry.min)})`);
+        
+        let lighting = '-';
+        if (metrics.lighting) {
+            lighting = metrics.lighting.warning ? LIGHTING_WARNINGS[metrics.lighting.warning] :
+                `OK (brightness ${metrics.lighting.brightness}, contrast ${metrics.lighting.contrast})`;
+        }
+        
+        // [label, value, warn]
+        const rows = [
+            ['Detections', `${metrics.rawPerFrame.toFixed(1)} raw / ${metrics.acceptedPerFrame.toFixed(1)} accepted per frame`,
+                metrics.acceptedPerFrame < metrics.rawPerFrame],
+            [`Rejected (last ${seconds} s)`, `${metrics.lowConfidence} low confidence, ${metrics.outsideZone} outside zone`,
+                metrics.lowConfidence + metrics.outsideZone > 0],
+            ['Handedness confidence', confidence.length > 0 ? confidence.join(', ') : '-',
+                Object.values(metrics.confidence).some(entry => entry.min < threshold)],
+            ['Inference time', metrics.inference ?
+                `${Math.round(metrics.inference.average)} ms (max ${Math.round(metrics.inference.max)} ms)` : '-',
+                metrics.inference !== null && metrics.inference.average > 100],
+            ['Inference runs on', metrics.inferenceThread === 'worker' ? 'Worker' : 'Main thread',
+                metrics.inferenceThread === 'main'],
+            [`Dropped frames (last ${seconds} s)`, `${metrics.droppedFrames}`, metrics.droppedFrames > 0],
+            ['Tracking / render fps', `${Math.round(metrics.trackingFps)} / ${this.performance.fps}`,
+                metrics.frames > 1 && metrics.trackingFps < 15],
+            ['Frames with hands', metrics.frames > 0 ? percent(metrics.framesWithHands) : '-'],
+            ['Lighting', lighting, Boolean(metrics.lighting && metrics.lighting.warning)]
+        ];
+        
+        const list = this.elements.diagnosticsList;
+        list.innerHTML = '';
+        for (const [label, value, warn] of rows) {
+            const item = document.createElement('div');
+            item.className = 'status-item';
+            
+            const labelElement = document.createElement('span');
+            labelElement.className = 'status-label';
+            labelElement.textContent = label;
+            
+            const valueElement = document.createElement('span');
+            valueElement.className = warn ? 'status-value warning' : 'status-value';
+            valueElement.textContent = value;
+            
+            item.append(labelElement, valueElement);
+            list.appendChild(item);
+        }
+    }
+    
+    /**
+     * Update the live activity status area
+     */
+    updateActivityStatus() {
+        if (!this.therapeuticActivities || !this.elements.activityProgress) return;
+        
+        const status = this.therapeuticActivities.getCurrentActivityStatus();
+        const container = this.elements.activityProgress;
+        
+        this.updateActivityControls();
+        
+        if (!status.active) {
+            this.elements.activityStatus.textContent = 'None';
+            container.innerHTML = '<p>No activity running</p>';
+            return;
+        }
+        
+        this.elements.activityStatus.textContent = status.paused ?
+            `${status.displayName} (paused)` : status.displayName;
+        
+        const summary = this.therapeuticActivities.getSessionSummary();
+        const rows = [
+            ['Status', this.capitalizeFirst(status.status)],
+            ['Achievements', summary.achievementsCount],
+            ['Movements', summary.totalMovements]
+        ];
+        
+        for (const [key, value] of Object.entries(status.progress || {})) {
+            rows.push([this.formatProgressLabel(key), typeof value === 'number' && !Number.isInteger(value) ?
+                value.toFixed(2) : value]);
+        }
+        
+        const heading = document.createElement('p');
+        heading.textContent = status.displayName;
+        
+        const list = document.createElement('dl');
+        for (const [label, value] of rows) {
+            const term = document.createElement('dt');
+            term.textContent = label;
+            const detail = document.createElement('dd');
+            detail.textContent = value;
+            list.appendChild(term);
+            list.appendChild(detail);
+        }
+        
+        container.innerHTML = '';
+        container.appendChild(heading);
+        container.appendChild(list);
+    }
+    
+    /**
+     * Turn a camelCase progress key into a readable label
+     */
+    formatProgressLabel(key) {
+        return this.capitalizeFirst(key.replace(/([A-Z])/g, ' $1').toLowerCase());
+    }
+    
+    /**
+     * Start or stop recording the tracked hands
+     */
+    toggleRecording() {
+        if (this.sessionRecorder.isRecording) {
+            this.sessionRecorder.stop();
+        } else {
+            const activity = this.therapeuticActivities.getCurrentActivityStatus();
+            this.sessionRecorder.start({
+                visualMode: this.state.currentMode,
+                handMode: this.elements.handMode.value,
+                activity: activity.active ? activity.name : null
+            });
+        }
+        
+        this.updateRecordingControls();
+    }
+    
+    /**
+     * Student, activity and visual mode to name exported artwork with
+     */
+    getExportTags() {
+        const activity = this.therapeuticActivities.getCurrentActivityStatus();
+        return {
+            student: this.studentProfiles.getCurrent(),
+            activity: activity.active ? activity.name : null,
+            visualMode: this.state.currentMode
+        };
+    }
+    
+    /**
+     * Save the canvas as a PNG picture; a wave only takes one picture every few seconds
+     */
+    async saveSnapshot(options = {}) {
+        const now = Date.now();
+        if (options.fromGesture && now - this.lastSnapshotTime < 3000) return;
+        this.lastSnapshotTime = now;
+        
+        if (await this.artworkExporter.savePicture(this.getExportTags())) {
+            this.elements.artworkStatus.textContent = `Picture saved at ${new Date().toLocaleTimeString()}`;
+            this.visualEffects.createBurst({ x: 0.5, y: 0.5 }, 40);
+        } else if (!options.fromGesture) {
+            this.showError('There is no artwork to save yet.');
+        }
+    }
+    
+    saveDrawing() {
+        if (this.artworkExporter.saveDrawing(this.getExportTags())) {
+            this.elements.artworkStatus.textContent = `Drawing saved at ${new Date().toLocaleTimeString()}`;
+        } else {
+            this.showError('There is no drawing to save yet - SVG drawings are made from the lines drawn in Drawing Mode.');
+        }
+    }
+    
+    /**
+     * Turning the time-lapse on during a session starts it straight away
+     */
+    onTimeLapseToggle() {
+        if (!this.state.cameraActive) {
+            this.updateArtworkControls();
+            return;
+        }
+        
+        if (this.elements.recordTimeLapse.checked) {
+            this.artworkExporter.startTimeLapse();
+        } else {
+            this.artworkExporter.stopTimeLapse();
+        }
+        this.updateArtworkControls();
+    }
+    
+    async saveTimeLapse() {
+        this.artworkExporter.stopTimeLapse();
+        this.elements.recordTimeLapse.checked = false;
+        this.elements.saveTimeLapse.disabled = true;
+        this.elements.artworkStatus.textContent = 'Making the time-lapse video...';
+        
+        try {
+            await this.artworkExporter.saveTimeLapse(this.getExportTags());
+            this.updateArtworkControls();
+            this.elements.artworkStatus.textContent = `Time-lapse saved at ${new Date().toLocaleTimeString()}`;
+        } catch (error) {
+            console.error('Failed to save time-lapse:', error);
+            this.showError('The time-lapse video could not be made in this browser.');
+            this.updateArtworkControls();
+        }
+    }
+    
+    updateArtworkControls() {
+        const exporter = this.artworkExporter;
+        
+        if (!ArtworkExporter.canRecordVideo()) {
+            this.elements.recordTimeLapse.disabled = true;
+            this.elements.recordTimeLapse.checked = false;
+        }
+        this.elements.saveTimeLapse.disabled = exporter.isSavingTimeLapse || !exporter.hasTimeLapse();
+        
+        if (exporter.isRecordingTimeLapse()) {
+            this.elements.artworkStatus.textContent = 'Recording a time-lapse...';
+        } else if (exporter.hasTimeLapse() && !exporter.isSavingTimeLapse) {
+            this.elements.artworkStatus.textContent = 'Time-lapse ready to save';
+        }
+    }
+    
+    onRecordingStopped(recording) {
+        this.updateRecordingControls();
+    }
+    
+    downloadRecording() {
+        if (!this.sessionRecorder.download()) {
+            this.showError('There is no recording to download yet.');
+        }
+    }
+    
+    updateRecordingControls() {
+        const recorder = this.sessionRecorder;
+        
+        this.elements.toggleRecording.textContent = recorder.isRecording ? 'Stop Recording' : 'Start Recording';
+        this.elements.toggleRecording.classList.toggle('recording', recorder.isRecording);
+        this.elements.downloadRecording.disabled = recorder.isRecording || !recorder.hasRecording();
+        
+        if (recorder.isRecording) {
+            this.elements.recordingStatus.textContent = this.state.cameraActive ?
+                'Recording...' : 'Recording - start the camera to capture movement';
+        } else if (recorder.hasRecording()) {
+            const duration = this.formatTime(recorder.recording.duration);
+            this.elements.recordingStatus.textContent = `Recorded ${duration} (${recorder.recording.frames.length} frames)`;
+        } else {
+            this.elements.recordingStatus.textContent = 'Not recording';
+        }
+    }
+    
+    /**
+     * Load a recording chosen by the user and open the replay controls
+     */
+    async onRecordingFileSelected(event) {
+        const file = event.target.files[0];
+        event.target.value = '';
+        if (!file) return;
+        
+        try {
+            const recording = await SessionRecorder.loadFromFile(file);
+            this.startReplay(recording);
+        } catch (error) {
+            console.error('Failed to load recording:', error);
+            this.showError('Could not open that recording: ' + error.message);
+        }
+    }
+    
+    /**
+     * Replay a recorded session through the live hand pipeline
+     */
+    startReplay(recording) {
+        if (this.state.cameraActive) {
+            this.stopCamera();
+        }
+        if (this.sessionRecorder.isRecording) {
+            this.sessionRecorder.stop();
+        }
+        
+        this.clearCanvas();
+        this.sessionPlayer.load(recording);
+        this.sessionPlayer.setSpeed(parseFloat(this.elements.replaySpeed.value));
+        
+        this.state.replayActive = true;
+        this.elements.replayBar.classList.remove('hidden');
+        this.elements.replaySeek.max = Math.round(this.sessionPlayer.getDuration());
+        this.elements.cameraStatus.textContent = 'Replay';
+        
+        this.visualEffects.startAnimation();
+        this.startMainLoop();
+        
+        this.updateReplayPosition(0, this.sessionPlayer.getDuration());
+        this.sessionPlayer.play();
+        this.updateReplayControls();
+        
+        console.log(`Replaying session recorded ${recording.recordedAt}`);
+    }
+    
+    toggleReplayPlayback() {
+        if (this.sessionPlayer.isPlaying) {
+            this.sessionPlayer.pause();
+        } else {
+            this.sessionPlayer.play();
+        }
+        
+        this.updateReplayControls();
+    }
+    
+    onReplaySeek(event) {
+        // Trails from the old position would be misleading after a jump
+        this.clearCanvas();
+        this.sessionPlayer.seek(parseFloat(event.target.value));
+    }
+    
+    onReplaySpeedChange(event) {
+        this.sessionPlayer.setSpeed(parseFloat(event.target.value));
+    }
+    
+    /**
+     * Leave replay mode and return to the idle state
+     */
+    closeReplay() {
+        this.sessionPlayer.stop();
+        this.state.replayActive = false;
+        this.state.handsDetected = 0;
+        
+        this.elements.replayBar.classList.add('hidden');
+        this.elements.cameraStatus.textContent = 'Not Connected';
+        this.elements.handsStatus.textContent = '0';
+        
+        this.visualEffects.stopAnimation();
+        this.clearCanvas();
+    }
+    
+    updateReplayControls() {
+        this.elements.replayPlayPause.textContent = this.sessionPlayer.isPlaying ? 'Pause' : 'Play';
+    }
+    
+    updateReplayPosition(position, duration) {
+        this.elements.replaySeek.value = Math.round(position);
+        this.elements.replayTime.textContent = `${this.formatTime(position)} / ${this.formatTime(duration)}`;
+    }
+    
+    /**
+     * Format milliseconds as m:ss
+     */
+    formatTime(ms) {
+        const totalSeconds = Math.floor(ms / 1000);
+        const minutes = Math.floor(totalSeconds / 60);
+        const seconds = totalSeconds % 60;
+        return `${minutes}:${seconds.toString().padStart(2, '0')}`;
+    }
+    
+    /**
+     * Toggle therapeutic activity panel visibility
+     */
+    toggleActivityPanel() {
+        const isOpen = this.elements.activityPanel.classList.toggle('open');
+        this.elements.toggleActivities.setAttribute('aria-expanded', isOpen ? 'true' : 'false');
+    }
+    
     /**
      * Toggle camera preview visibility
      */
@@ -933,11 +3497,10 @@ class MusicTherapyApp {
         // Update status displays
         this.elements.cameraStatus.textContent = this.state.cameraActive ? 'Connected' : 'Not Connected';
         this.elements.handsStatus.textContent = this.state.handsDetected.toString();
-        this.elements.modeStatus.textContent = this.capitalizeFirst(this.state.currentMode);
+        this.elements.modeStatus.textContent = this.getModeName(this.state.currentMode);
         
         // Update setting values
         this.elements.sensitivityValue.textContent = this.elements.sensitivity.value;
-        this.elements.trailLengthValue.textContent = this.elements.trailLength.value;
         this.elements.brushSizeValue.textContent = this.elements.brushSize.value;
     }
     
@@ -952,9 +3515,15 @@ class MusicTherapyApp {
         return {
             initialized: this.state.isInitialized,
             cameraActive: this.state.cameraActive,
+            replayActive: this.state.replayActive,
+            recording: this.sessionRecorder ? this.sessionRecorder.isRecording : false,
             handsDetected: this.state.handsDetected,
             audioEnabled: this.state.audioEnabled,
             currentMode: this.state.currentMode,
+            activity: this.therapeuticActivities ? this.therapeuticActivities.getCurrentActivityStatus() : { active: false },
+            tremor: this.handTracker ? this.handTracker.getTremorSummary() : {},
+            tracking: this.handTracker ? this.handTracker.diagnostics.getLiveMetrics() : null,
+            mediaPipe: this.mediaPipeReport,
             fps: this.performance.fps,
             errors: this.state.errors
         };
@@ -964,6 +3533,14 @@ class MusicTherapyApp {
      * Cleanup resources
      */
     cleanup() {
+        if (this.therapeuticActivities) {
+            this.therapeuticActivities.stopActivity();
+        }
+        
+        if (this.sessionPlayer) {
+            this.sessionPlayer.stop();
+        }
+        
         if (this.handTracker) {
             this.handTracker.stopTracking();
         }
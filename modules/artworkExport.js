@@ -0,0 +1,329 @@
+/**
+ * Artwork Export Module
+ * Keeps what the student makes so it can be taken home: a PNG picture of the visual canvas,
+ * an SVG drawing built from the strokes in the picture, and a time-lapse video of the whole
+ * session. Files are named with the time, student and activity.
+ */
+
+const ARTWORK_FILE_PREFIX = 'little-hands';
+
+class ArtworkExporter {
+    constructor(visualEffects) {
+        this.visualEffects = visualEffects;
+        this.canvas = visualEffects.canvas;
+        
+        // The canvas is see-through over the page gradient, so exports get a solid background
+        this.background = '#3b3566';
+        
+        // Artwork from before the last clear, so a picture can still be saved after stopping
+        this.previous = null; // { picture, strokes, width, height }
+        
+        // Time-lapse: a small JPEG of the canvas every few seconds, played back quickly when saved
+        this.timeLapseInterval = 2000; // ms between frames
+        this.timeLapseFps = 15; // Playback speed: 2s frames at 15fps is 30 times faster
+        this.timeLapseWidth = 960;
+        this.maxTimeLapseFrames = 1800; // An hour of session
+        this.timeLapseFrames = [];
+        this.timeLapseTimer = null;
+        this.timeLapseCanvas = null;
+        this.isSavingTimeLapse = false;
+    }
+    
+    /**
+     * Set the current artwork aside as the previous one and start afresh; call before clearing the canvas
+     */
+    clear() {
+        if (!this.isCanvasBlank() || !this.visualEffects.strokes.isEmpty()) {
+            this.previous = this.captureArtwork();
+        }
+    }
+    
+    /**
+     * The artwork to save: what is on the canvas, or the previous artwork if the canvas has been cleared
+     */
+    getArtwork() {
+        if (this.isCanvasBlank() && this.visualEffects.strokes.isEmpty()) return this.previous;
+        
+        return this.captureArtwork();
+    }
+    
+    /**
+     * The picture, and a copy of its strokes in canvas pixels
+     */
+    captureArtwork() {
+        const { width, height } = this.visualEffects;
+        const strokes = this.visualEffects.strokes.getAll().map(stroke => ({
+            points: stroke.points.map(point => ({
+                x: point.x * width,
+                y: point.y * height,
+                color: point.color,
+                width: point.width,
+                opacity: 0.8 * (point.opacity || 1)
+            }))
+        }));
+        
+        return { picture: this.getPicture(), strokes, width, height };
+    }
+    
+    hasArtwork() {
+        return this.getArtwork() !== null;
+    }
+    
+    /**
+     * A copy of the visual canvas on the export background
+     */
+    getPicture() {
+        const picture = document.createElement('canvas');
+        picture.width = this.canvas.width;
+        picture.height = this.canvas.height;
+        
+        const ctx = picture.getContext('2d');
+        ctx.fillStyle = this.background;
+        ctx.fillRect(0, 0, picture.width, picture.height);
+        ctx.drawImage(this.canvas, 0, 0);
+        return picture;
+    }
+    
+    /**
+     * Whether nothing has been drawn, checked on a small copy of the canvas
+     */
+    isCanvasBlank() {
+        if (!this.canvas.width || !this.canvas.height) return true;
+        
+        const sample = document.createElement('canvas');
+        sample.width = 64;
+        sample.height = 36;
+        const ctx = sample.getContext('2d');
+        ctx.drawImage(this.canvas, 0, 0, sample.width, sample.height);
+        
+        const pixels = ctx.getImageData(0, 0, sample.width, sample.height).data;
+        for (let i = 3; i < pixels.length; i += 4) {
+            if (pixels[i] > 0) return false;
+        }
+        return true;
+    }
+    
+    /**
+     * Save the artwork as a PNG picture; false if there is nothing to save
+     */
+    async savePicture(tags = {}) {
+        const artwork = this.getArtwork();
+        if (!artwork) return false;
+        
+        const blob = await new Promise(resolve => artwork.picture.toBlob(resolve, 'image/png'));
+        this.download(blob, this.getFileName('picture', tags, 'png'));
+        return true;
+    }
+    
+    /**
+     * Save the strokes as an SVG drawing; false if nothing has been drawn in Drawing Mode
+     */
+    saveDrawing(tags = {}) {
+        const artwork = this.getArtwork();
+        if (!artwork || artwork.strokes.length === 0) return false;
+        
+        const svg = this.buildSvg(artwork, tags);
+        this.download(new Blob([svg], { type: 'image/svg+xml' }), this.getFileName('drawing', tags, 'svg'));
+        return true;
+    }
+    
+    /**
+     * SVG text for strokes; each segment is its own line, since colour and width change along a stroke
+     */
+    buildSvg({ strokes, width, height }, tags = {}) {
+        const round = (value) => Math.round(value * 10) / 10;
+        const escape = (text) => String(text).replace(/[&<>"]/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;' })[c]);
+        
+        const lines = [];
+        for (const stroke of strokes) {
+            for (let i = 1; i < stroke.points.length; i++) {
+                const from = stroke.points[i - 1];
+                const to = stroke.points[i];
+                lines.push(`<line x1="${round(from.x)}" y1="${round(from.y)}" x2="${round(to.x)}" y2="${round(to.y)}" ` +
+                    `stroke="${escape(to.color)}" stroke-width="${round(to.width)}" stroke-opacity="${round(to.opacity)}"/>`);
+            }
+        }
+        
+        const description = this.describeTags(tags);
+        return [
+            `<svg xmlns="http://www.w3.org/2000/svg" width="${round(width)}" height="${round(height)}" viewBox="0 0 ${round(width)} ${round(height)}">`,
+            `<title>${escape(description)}</title>`,
+            `<rect width="100%" height="100%" fill="${this.background}"/>`,
+            '<g fill="none" stroke-linecap="round" stroke-linejoin="round">',
+            ...lines,
+            '</g>',
+            '</svg>'
+        ].join('\n');
+    }
+    
+    /**
+     * Start taking time-lapse frames, dropping any earlier ones
+     */
+    startTimeLapse() {
+        this.stopTimeLapse();
+        this.timeLapseFrames = [];
+        this.captureTimeLapseFrame();
+        this.timeLapseTimer = setInterval(() => this.captureTimeLapseFrame(), this.timeLapseInterval);
+    }
+    
+    stopTimeLapse() {
+        if (this.timeLapseTimer) {
+            clearInterval(this.timeLapseTimer);
+            this.timeLapseTimer = null;
+        }
+    }
+    
+    isRecordingTimeLapse() {
+        return this.timeLapseTimer !== null;
+    }
+    
+    hasTimeLapse() {
+        return this.timeLapseFrames.length > 1;
+    }
+    
+    /**
+     * Whether this browser can make videos from the canvas
+     */
+    static canRecordVideo() {
+        return typeof MediaRecorder !== 'undefined' &&
+            typeof HTMLCanvasElement !== 'undefined' && 'captureStream' in HTMLCanvasElement.prototype;
+    }
+    
+    captureTimeLapseFrame() {
+        if (this.timeLapseFrames.length >= this.maxTimeLapseFrames) {
+            console.warn('Time-lapse reached its maximum length and stopped taking frames');
+            this.stopTimeLapse();
+            return;
+        }
+        
+        const canvas = this.getTimeLapseCanvas();
+        const ctx = canvas.getContext('2d');
+        ctx.fillStyle = this.background;
+        ctx.fillRect(0, 0, canvas.width, canvas.height);
+        ctx.drawImage(this.canvas, 0, 0, canvas.width, canvas.height);
+        
+        canvas.toBlob(blob => {
+            if (blob) this.timeLapseFrames.push(blob);
+        }, 'image/jpeg', 0.8);
+    }
+    
+    /**
+     * The canvas frames are drawn on, sized like the visual canvas but no wider than timeLapseWidth
+     * (even sizes, which video encoders need)
+     */
+    getTimeLapseCanvas() {
+        const scale = Math.min(1, this.timeLapseWidth / this.canvas.width);
+        const width = Math.max(2, Math.round(this.canvas.width * scale / 2) * 2);
+        const height = Math.max(2, Math.round(this.canvas.height * scale / 2) * 2);
+        
+        if (!this.timeLapseCanvas) {
+            this.timeLapseCanvas = document.createElement('canvas');
+        }
+        if (this.timeLapseCanvas.width !== width || this.timeLapseCanvas.height !== height) {
+            this.timeLapseCanvas.width = width;
+            this.timeLapseCanvas.height = height;
+        }
+        return this.timeLapseCanvas;
+    }
+    
+    /**
+     * Play the frames into a MediaRecorder on a canvas stream and save the video
+     * Takes a few seconds - about the session length divided by the speed-up
+     */
+    async saveTimeLapse(tags = {}) {
+        if (!this.hasTimeLapse() || this.isSavingTimeLapse) return false;
+        if (!ArtworkExporter.canRecordVideo()) {
+            throw new Error('This browser cannot record video from the canvas');
+        }
+        
+        this.isSavingTimeLapse = true;
+        try {
+            const frames = [...this.timeLapseFrames];
+            const first = await createImageBitmap(frames[0]);
+            const canvas = document.createElement('canvas');
+            canvas.width = first.width;
+            canvas.height = first.height;
+            const ctx = canvas.getContext('2d');
+            ctx.drawImage(first, 0, 0);
+            first.close();
+            
+            // Frames are pushed one at a time, so none are skipped on a slow laptop
+            const stream = canvas.captureStream(0);
+            const track = stream.getVideoTracks()[0];
+            const mimeType = ArtworkExporter.getVideoType();
+            const recorder = new MediaRecorder(stream, mimeType ? { mimeType } : {});
+            const chunks = [];
+            recorder.ondataavailable = (event) => {
+                if (event.data.size > 0) chunks.push(event.data);
+            };
+            const stopped = new Promise(resolve => { recorder.onstop = resolve; });
+            
+            recorder.start();
+            const frameTime = 1000 / this.timeLapseFps;
+            for (const frame of frames) {
+                const bitmap = await createImageBitmap(frame);
+                ctx.drawImage(bitmap, 0, 0, canvas.width, canvas.height);
+                bitmap.close();
+                
+                if (track.requestFrame) track.requestFrame();
+                await new Promise(resolve => setTimeout(resolve, frameTime));
+            }
+            recorder.stop();
+            await stopped;
+            track.stop();
+            
+            const type = recorder.mimeType || mimeType || 'video/webm';
+            const extension = type.startsWith('video/mp4') ? 'mp4' : 'webm';
+            this.download(new Blob(chunks, { type }), this.getFileName('time-lapse', tags, extension));
+            return true;
+        } finally {
+            this.isSavingTimeLapse = false;
+        }
+    }
+    
+    /**
+     * The first video format MediaRecorder supports here, or null to let it choose
+     */
+    static getVideoType() {
+        const types = ['video/webm;codecs=vp9', 'video/webm;codecs=vp8', 'video/webm', 'video/mp4'];
+        return types.find(type => MediaRecorder.isTypeSupported(type)) || null;
+    }
+    
+    /**
+     * File name with the kind of export, student, activity and time, e.g.
+     * little-hands-picture-sam-follow-the-star-2024-05-01T10-15-00-000Z.png
+     */
+    getFileName(kind, tags, extension) {
+        const slug = (text) => String(text).toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+        const parts = [ARTWORK_FILE_PREFIX, kind];
+        if (tags.student) parts.push(slug(tags.student));
+        if (tags.activity) parts.push(slug(tags.activity));
+        parts.push(new Date().toISOString().replace(/[:.]/g, '-'));
+        
+        return `${parts.filter(Boolean).join('-')}.${extension}`;
+    }
+    
+    describeTags(tags) {
+        const parts = ['Little Hands artwork'];
+        if (tags.student) parts.push(`by ${tags.student}`);
+        if (tags.activity) parts.push(`during ${tags.activity}`);
+        parts.push(new Date().toLocaleString());
+        return parts.join(', ');
+    }
+    
+    download(blob, filename) {
+        const url = URL.createObjectURL(blob);
+        
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = filename;
+        document.body.appendChild(link);
+        link.click();
+        document.body.removeChild(link);
+        
+        setTimeout(() => URL.revokeObjectURL(url), 1000);
+    }
+}
+
+// Export for use in main application
+window.ArtworkExporter = ArtworkExporter;
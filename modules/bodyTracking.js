@@ -0,0 +1,106 @@
+/**
+ * Body Tracking Module
+ * For students who can move their head, shoulders or elbows far more reliably than their hands.
+ * MediaPipe Pose finds the upper body, and the point the therapist picks for each hand - the
+ * nose, where the head is pointing, a shoulder, an elbow or a wrist - becomes a hand that the
+ * visuals and activities use exactly like a tracked hand.
+ *
+ * Small head and shoulder movements only cover part of the camera view, so range of motion
+ * calibration is what lets them reach the whole screen.
+ */
+
+// landmark: MediaPipe Pose landmark index; left and right are the student's own sides
+const BODY_POINTS = {
+    nose: { name: 'Head position (nose)', landmark: 0 },
+    'head-direction': { name: 'Head turn and nod (where the nose points)', landmark: 0 },
+    'left-shoulder': { name: 'Left shoulder', landmark: 11 },
+    'right-shoulder': { name: 'Right shoulder', landmark: 12 },
+    'left-elbow': { name: 'Left elbow', landmark: 13 },
+    'right-elbow': { name: 'Right elbow', landmark: 14 },
+    'left-wrist': { name: 'Left wrist', landmark: 15 },
+    'right-wrist': { name: 'Right wrist', landmark: 16 }
+};
+
+// Face landmarks used to tell where the head is pointing
+const POSE_FACE_LANDMARKS = {
+    leftEar: 7,
+    rightEar: 8
+};
+
+class BodyPointMapper {
+    constructor() {
+        // Points MediaPipe is less sure of than this are left out, like low-confidence hands
+        this.minVisibility = 0.5;
+        
+        // How far the head-direction point moves for a turn or nod, in ear-widths
+        this.headDirectionGain = 1.5;
+        
+        // Builds landmarks with the same hand geometry as the simulation and extra inputs
+        this.landmarkBuilder = new SyntheticHandSource();
+        this.handSize = 0.15; // wrist to middle fingertip, canvas units
+    }
+    
+    /**
+     * Hands for the chosen body points, in the view the student sees
+     * points: { left: 'nose', right: 'right-elbow' } - null for no hand
+     * Returns [{ id, label, source: 'body', bodyPoint, x, y, position, visibility, pose, landmarks }];
+     * position is where the body point itself is, for showing it on the camera preview
+     */
+    getHands(poseLandmarks, points, mount) {
+        const hands = [];
+        
+        for (const label of ['left', 'right']) {
+            const bodyPoint = points[label];
+            if (!BODY_POINTS[bodyPoint]) continue;
+            
+            const landmark = poseLandmarks[BODY_POINTS[bodyPoint].landmark];
+            if (!landmark) continue;
+            
+            const position = mount.toView(landmark);
+            const target = bodyPoint === 'head-direction' ? this.getHeadDirection(poseLandmarks, mount) : position;
+            if (!target) continue;
+            
+            hands.push({
+                id: `body_${label}`,
+                label,
+                source: 'body',
+                bodyPoint,
+                x: target.x,
+                y: target.y,
+                position: { x: position.x, y: position.y },
+                visibility: landmark.visibility !== undefined ? landmark.visibility : 1,
+                pose: 'open',
+                landmarks: this.landmarkBuilder.buildLandmarks(
+                    { x: target.x, y: target.y, size: this.handSize, pose: 'open' }, { label }, {})
+            });
+        }
+        
+        return hands;
+    }
+    
+    /**
+     * A point that follows where the nose points rather than where the head is:
+     * turning moves the nose towards one ear, nodding moves it above or below the ears
+     */
+    getHeadDirection(poseLandmarks, mount) {
+        const nose = mount.toView(poseLandmarks[BODY_POINTS.nose.landmark]);
+        const leftEar = poseLandmarks[POSE_FACE_LANDMARKS.leftEar];
+        const rightEar = poseLandmarks[POSE_FACE_LANDMARKS.rightEar];
+        if (!leftEar || !rightEar) return null;
+        
+        const a = mount.toView(leftEar);
+        const b = mount.toView(rightEar);
+        const earWidth = Math.hypot(a.x - b.x, a.y - b.y);
+        if (earWidth < 0.01) return null;
+        
+        const clamp = (value) => Math.max(0, Math.min(1, value));
+        return {
+            x: clamp(0.5 + (nose.x - (a.x + b.x) / 2) / earWidth * this.headDirectionGain),
+            y: clamp(0.5 + (nose.y - (a.y + b.y) / 2) / earWidth * this.headDirectionGain)
+        };
+    }
+}
+
+// Export for use in main application
+window.BODY_POINTS = BODY_POINTS;
+window.BodyPointMapper = BodyPointMapper;
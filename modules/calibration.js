@@ -0,0 +1,186 @@
+/**
+ * Range of Motion Calibration Module
+ * Guides a student through reaching to their limits and records the area each hand
+ * can comfortably reach, so that area can be stretched over the whole canvas.
+ * Students with a small or off-centre range then get full-screen results from small movements.
+ */
+
+class RangeOfMotionCalibrator {
+    constructor() {
+        // Guided steps - prompts are short so they can be read aloud by the therapist
+        this.steps = [
+            { id: 'ready', prompt: 'Get ready - rest your hands where they are comfortable', icon: '🙌', duration: 3000 },
+            { id: 'left', prompt: 'Reach as far as you can to the LEFT', icon: '⬅️', duration: 4000 },
+            { id: 'right', prompt: 'Reach as far as you can to the RIGHT', icon: '➡️', duration: 4000 },
+            { id: 'up', prompt: 'Reach as far as you can UP', icon: '⬆️', duration: 4000 },
+            { id: 'down', prompt: 'Reach as far as you can DOWN', icon: '⬇️', duration: 4000 }
+        ];
+        
+        // Percentiles used for the reach limits, so one glitchy frame cannot stretch the area
+        this.lowPercentile = 0.02;
+        this.highPercentile = 0.98;
+        
+        // Bring the mapped edges slightly inside the student's limits so they are reachable without strain
+        this.edgeAssist = 0.05;
+        
+        // A hand needs this many samples and at least this span to be calibrated
+        this.minSamples = 15;
+        this.minSpan = 0.05;
+        
+        this.isRunning = false;
+        this.stepIndex = 0;
+        this.stepStartTime = 0;
+        this.samples = { left: [], right: [] };
+        
+        // Callbacks
+        this.onStepChange = null;
+        this.onComplete = null;
+    }
+    
+    /**
+     * Begin the guided calibration
+     */
+    start() {
+        this.isRunning = true;
+        this.samples = { left: [], right: [] };
+        this.beginStep(0);
+        
+        console.log('Range of motion calibration started');
+    }
+    
+    /**
+     * Abandon calibration without producing a mapping
+     */
+    cancel() {
+        this.isRunning = false;
+        console.log('Range of motion calibration cancelled');
+    }
+    
+    beginStep(index) {
+        this.stepIndex = index;
+        this.stepStartTime = Date.now();
+        
+        if (this.onStepChange) {
+            this.onStepChange(this.steps[index], index, this.steps.length);
+        }
+    }
+    
+    /**
+     * Collect unmapped hand positions and advance through the steps
+     */
+    processHands(hands) {
+        if (!this.isRunning) return;
+        
+        // The "get ready" step is not sampled so the student has time to settle
+        if (this.steps[this.stepIndex].id !== 'ready') {
+            for (const hand of hands) {
+                const center = hand.rawCenter || hand.center;
+                if (this.samples[hand.label]) {
+                    this.samples[hand.label].push({ x: center.x, y: center.y });
+                }
+            }
+        }
+        
+        if (Date.now() - this.stepStartTime >= this.steps[this.stepIndex].duration) {
+            if (this.stepIndex + 1 < this.steps.length) {
+                this.beginStep(this.stepIndex + 1);
+            } else {
+                this.finish();
+            }
+        }
+    }
+    
+    /**
+     * Progress through the current step (0-1)
+     */
+    getStepProgress() {
+        if (!this.isRunning) return 0;
+        return Math.min(1, (Date.now() - this.stepStartTime) / this.steps[this.stepIndex].duration);
+    }
+    
+    finish() {
+        this.isRunning = false;
+        const mapping = this.computeMapping();
+        
+        console.log('Range of motion calibration complete:', mapping);
+        
+        if (this.onComplete) {
+            this.onComplete(mapping);
+        }
+    }
+    
+    /**
+     * Turn the collected samples into per-hand reachable areas
+     */
+    computeMapping() {
+        return {
+            left: this.computeBounds(this.samples.left),
+            right: this.computeBounds(this.samples.right),
+            createdAt: new Date().toISOString()
+        };
+    }
+    
+    computeBounds(samples) {
+        if (samples.length < this.minSamples) return null;
+        
+        const xs = samples.map(s => s.x).sort((a, b) => a - b);
+        const ys = samples.map(s => s.y).sort((a, b) => a - b);
+        
+        let minX = this.percentile(xs, this.lowPercentile);
+        let maxX = this.percentile(xs, this.highPercentile);
+        let minY = this.percentile(ys, this.lowPercentile);
+        let maxY = this.percentile(ys, this.highPercentile);
+        
+        // Inset the edges a little so the student can reach them comfortably
+        const insetX = (maxX - minX) * this.edgeAssist;
+        const insetY = (maxY - minY) * this.edgeAssist;
+        minX += insetX;
+        maxX -= insetX;
+        minY += insetY;
+        maxY -= insetY;
+        
+        // Very small ranges are widened around their centre to avoid amplifying tracking noise
+        [minX, maxX] = this.ensureSpan(minX, maxX);
+        [minY, maxY] = this.ensureSpan(minY, maxY);
+        
+        return {
+            x: { min: minX, max: maxX },
+            y: { min: minY, max: maxY },
+            samples: samples.length
+        };
+    }
+    
+    ensureSpan(min, max) {
+        if (max - min >= this.minSpan) return [min, max];
+        
+        const center = (min + max) / 2;
+        return [center - this.minSpan / 2, center + this.minSpan / 2];
+    }
+    
+    percentile(sorted, fraction) {
+        const index = Math.min(sorted.length - 1, Math.max(0, Math.round(fraction * (sorted.length - 1))));
+        return sorted[index];
+    }
+    
+    /**
+     * Short human-readable summary of a mapping for the settings panel
+     */
+    static describe(mapping) {
+        if (!mapping) return 'Not calibrated - full camera view used';
+        
+        const parts = [];
+        for (const label of ['left', 'right']) {
+            const bounds = mapping[label];
+            if (bounds) {
+                const width = Math.round((bounds.x.max - bounds.x.min) * 100);
+                const height = Math.round((bounds.y.max - bounds.y.min) * 100);
+                parts.push(`${label} hand ${width}% x ${height}%`);
+            }
+        }
+        
+        return parts.length > 0 ? `Calibrated: ${parts.join(', ')} of camera view` : 'Calibration found no hands';
+    }
+}
+
+// Export for use in main application
+window.RangeOfMotionCalibrator = RangeOfMotionCalibrator;
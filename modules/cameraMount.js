@@ -0,0 +1,106 @@
+/**
+ * Camera Mount Module
+ * Turns camera image coordinates into the view the student sees, for webcams facing the
+ * student, cameras looking down at a table or wheelchair tray, and cameras mounted sideways.
+ *
+ * Landmarks, hand centres, the preview and gesture detection all use the view, so
+ * "up", "left" and swipe directions mean the same thing whichever way the camera points.
+ */
+
+// rotation: clockwise turn (degrees) that makes the camera image upright
+// mirror: flip the upright image left-right, like looking in a mirror
+// palmFacing: the camera sees the palm side of raised hands, rather than the back of hands on a table
+const CAMERA_MOUNTS = {
+    'front-mirrored': { name: 'Front (mirror view)', rotation: 0, mirror: true, palmFacing: true },
+    front: { name: 'Front (not mirrored)', rotation: 0, mirror: false, palmFacing: true },
+    overhead: { name: 'Overhead (looking down at a table)', rotation: 0, mirror: false, palmFacing: false },
+    'rotated-90': { name: 'Front, rotated 90°', rotation: 90, mirror: true, palmFacing: true },
+    'rotated-180': { name: 'Front, rotated 180° (upside down)', rotation: 180, mirror: true, palmFacing: true },
+    'rotated-270': { name: 'Front, rotated 270°', rotation: 270, mirror: true, palmFacing: true }
+};
+
+class CameraMount {
+    constructor(mode = 'front-mirrored') {
+        this.setMode(mode);
+    }
+    
+    setMode(mode) {
+        this.mode = CAMERA_MOUNTS[mode] ? mode : 'front-mirrored';
+        this.config = CAMERA_MOUNTS[this.mode];
+    }
+    
+    /**
+     * Camera image point (0-1) to view point; z and other fields are kept
+     */
+    toView(point) {
+        let { x, y } = point;
+        
+        switch (this.config.rotation) {
+            case 90:
+                [x, y] = [1 - y, x];
+                break;
+            case 180:
+                [x, y] = [1 - x, 1 - y];
+                break;
+            case 270:
+                [x, y] = [y, 1 - x];
+                break;
+        }
+        
+        if (this.config.mirror) {
+            x = 1 - x;
+        }
+        
+        return { ...point, x, y };
+    }
+    
+    /**
+     * The student's hand ('left' or 'right') for MediaPipe's handedness label
+     * MediaPipe expects a mirrored selfie image, so an unmirrored image of the palm
+     * swaps its labels; seeing the back of the hand from above swaps them back.
+     * Rotation does not change which hand is which.
+     */
+    getHandLabel(mediaPipeLabel) {
+        const label = mediaPipeLabel.toLowerCase();
+        if (!this.config.palmFacing) return label;
+        return label === 'left' ? 'right' : 'left';
+    }
+    
+    /**
+     * Which side of the view the student's right hand is usually on: 1 right, -1 left
+     * Facing the camera, the view must be mirrored to match the student's sides;
+     * from above it already matches
+     */
+    getRightHandSide() {
+        return this.config.mirror === this.config.palmFacing ? 1 : -1;
+    }
+    
+    /**
+     * Whether the view is the camera image turned on its side
+     */
+    isQuarterTurn() {
+        return this.config.rotation === 90 || this.config.rotation === 270;
+    }
+    
+    /**
+     * Width / height of the view for a camera frame of the given size
+     */
+    getViewAspectRatio(width, height) {
+        return this.isQuarterTurn() ? height / width : width / height;
+    }
+    
+    /**
+     * CSS transform functions that show a camera video element as the view, or ''
+     * (the transform list applies right to left: rotate, then mirror)
+     */
+    getCssTransform() {
+        const parts = [];
+        if (this.config.mirror) parts.push('scaleX(-1)');
+        if (this.config.rotation) parts.push(`rotate(${this.config.rotation}deg)`);
+        return parts.join(' ');
+    }
+}
+
+// Export for use in main application
+window.CAMERA_MOUNTS = CAMERA_MOUNTS;
+window.CameraMount = CameraMount;
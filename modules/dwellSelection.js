@@ -0,0 +1,114 @@
+/**
+ * Dwell Selection Module
+ * Lets a student press on-screen choice cards with their hand: hovering the hand cursor
+ * over a card fills a progress ring, and the card is chosen once the ring is full.
+ * No click or grip is needed, so any student who can move a hand can make a choice.
+ */
+
+class DwellSelector {
+    constructor() {
+        // [{ id, rect: { x, y, width, height } }] in canvas coordinates (0-1)
+        this.targets = [];
+        
+        // Time a hand must stay on a card to choose it
+        this.dwellTime = 1500; // ms
+        
+        // Brief wobbles off the card do not restart the ring
+        this.graceTime = 250; // ms
+        
+        // Per hand: { targetId, since, lastOver, progress, chosen }
+        this.hover = new Map();
+        
+        // Callbacks
+        this.onSelect = null; // (target, hand)
+    }
+    
+    /**
+     * Replace the cards that can be chosen; rings in progress start again
+     */
+    setTargets(targets) {
+        this.targets = targets;
+        this.hover.clear();
+    }
+    
+    setDwellTime(ms) {
+        this.dwellTime = ms;
+    }
+    
+    /**
+     * Advance the dwell rings for this frame's hands (time in ms)
+     * Returns each hand's state: [{ handId, position, targetId, progress }]
+     */
+    update(hands, time = Date.now()) {
+        const states = [];
+        const seen = new Set();
+        
+        for (const hand of hands) {
+            seen.add(hand.id);
+            const target = this.getTargetAt(hand.center);
+            let entry = this.hover.get(hand.id);
+            
+            if (target && (!entry || entry.targetId !== target.id)) {
+                // Moving onto a new card starts its ring
+                entry = { targetId: target.id, since: time, lastOver: time, progress: 0, chosen: false };
+                this.hover.set(hand.id, entry);
+            } else if (!target && entry && time - entry.lastOver > this.graceTime) {
+                this.hover.delete(hand.id);
+                entry = null;
+            }
+            
+            if (entry && target) {
+                entry.lastOver = time;
+                
+                // A chosen card must be left before it can be chosen again
+                if (!entry.chosen) {
+                    entry.progress = Math.min(1, (time - entry.since) / this.dwellTime);
+                    if (entry.progress >= 1) {
+                        entry.chosen = true;
+                        if (this.onSelect) this.onSelect(target, hand);
+                    }
+                }
+            }
+            
+            states.push({
+                handId: hand.id,
+                position: hand.center,
+                targetId: entry ? entry.targetId : null,
+                progress: entry && !entry.chosen ? entry.progress : 0
+            });
+        }
+        
+        // Hands that have gone stop dwelling
+        for (const handId of this.hover.keys()) {
+            if (!seen.has(handId)) this.hover.delete(handId);
+        }
+        
+        return states;
+    }
+    
+    /**
+     * Fullest ring on each card, for drawing the cards
+     */
+    getTargetProgress() {
+        const progress = new Map();
+        for (const entry of this.hover.values()) {
+            if (entry.chosen) continue;
+            progress.set(entry.targetId, Math.max(progress.get(entry.targetId) || 0, entry.progress));
+        }
+        return progress;
+    }
+    
+    getTargetAt(point) {
+        if (!point) return null;
+        return this.targets.find(target =>
+            point.x >= target.rect.x && point.x <= target.rect.x + target.rect.width &&
+            point.y >= target.rect.y && point.y <= target.rect.y + target.rect.height) || null;
+    }
+    
+    reset() {
+        this.hover.clear();
+    }
+}
+
+// Export for use in main application
+window.DwellSelector = DwellSelector;
@@ -0,0 +1,410 @@
+/**
+ * Dynamic Gestures Module
+ * Detects movements over time - swipes, waves, circles, taps and forward pushes -
+ * from each tracked hand's recent path, and reports each one as an event.
+ *
+ * Thresholds are deliberately generous: these are big, accessible movements,
+ * not precise gestures. Positions are in canvas units (0-1), times in ms.
+ */
+
+class DynamicGestureDetector {
+    constructor() {
+        this.histories = new Map(); // hand id -> recent samples
+        this.historyDuration = 1500; // ms
+        
+        // Same gesture from the same hand is not reported again within this time
+        this.cooldown = 700; // ms
+        this.lastEvents = new Map(); // `${handId}:${type}` -> time
+        
+        this.swipe = {
+            window: 450, // ms of movement considered
+            minDistance: 0.2, // along the swipe direction
+            minSpeed: 0.8, // units per second, average over the moving part of the stroke
+            minStraightness: 0.75, // net distance / path length
+            axisRatio: 1.8 // main axis must dominate the other this much
+        };
+        
+        this.wave = {
+            // Side-to-side direction changes: at least two back-and-forths, so one hand
+            // swinging in and out to clap is not a wave
+            minReversals: 4,
+            minAmplitude: 0.03, // each stroke at least this far
+            maxDrift: 0.15 // vertical spread allowed
+        };
+        
+        this.circle = {
+            minTurn: 1.8 * Math.PI, // total angle swept (radians)
+            minRadius: 0.03,
+            maxRadiusVariation: 0.35, // spread of the radius relative to its mean
+            minRadiusRatio: 0.4 // no sample may come closer to the centre than this fraction of the mean
+        };
+        
+        this.tap = {
+            minSpeed: 0.6, // peak downward speed
+            minDistance: 0.035, // downward travel of the strike
+            stopRatio: 0.25 // speed must drop below this fraction of the peak
+        };
+        
+        this.push = {
+            window: 600, // ms
+            minApproach: 0.2, // increase in the depth cue (see depthOf)
+            maxLateral: 0.12 // sideways movement allowed during the push
+        };
+        
+        // Callbacks
+        this.onGesture = null;
+    }
+    
+    /**
+     * Add one frame of hands and return any gestures completed in it
+     */
+    process(hands) {
+        const events = [];
+        const seen = new Set();
+        
+        for (const hand of hands) {
+            seen.add(hand.id);
+            
+            let history = this.histories.get(hand.id);
+            if (!history) {
+                history = [];
+                this.histories.set(hand.id, history);
+            }
+            
+            const last = history[history.length - 1];
+            if (last && hand.timestamp < last.t) {
+                history.length = 0; // Clock restarted
+            } else if (last && hand.timestamp === last.t) {
+                continue;
+            }
+            
+            history.push({
+                t: hand.timestamp,
+                x: hand.center.x,
+                y: hand.center.y,
+                depth: this.depthOf(hand)
+            });
+            
+            while (history.length > 0 && hand.timestamp - history[0].t > this.historyDuration) {
+                history.shift();
+            }
+            
+            const event = this.detect(hand, history);
+            if (event) {
+                events.push(event);
+                if (this.onGesture) this.onGesture(event);
+            }
+        }
+        
+        // Forget hands that are no longer tracked; ids are not reused, so their cooldowns go too
+        for (const id of this.histories.keys()) {
+            if (!seen.has(id)) {
+                this.histories.delete(id);
+                for (const key of this.lastEvents.keys()) {
+                    if (key.startsWith(`${id}:`)) this.lastEvents.delete(key);
+                }
+            }
+        }
+        
+        return events;
+    }
+    
+    /**
+     * Depth cue that grows as the hand moves towards the camera
+     * MediaPipe measures z relative to the wrist, so the palm's apparent size is the main
+     * cue - the same one as hand.depth, but without its clamping and slow adaptation. The
+     * whole hand's size is only a fallback: it shrinks and grows as the fingers close and open.
+     * A wrist z is also used when the source provides one (smaller z is nearer)
+     */
+    depthOf(hand) {
+        const size = hand.palmSize > 0 ? hand.palmSize : hand.size;
+        const sizeCue = size > 0 ? Math.log(size) : 0;
+        const zCue = hand.center.z ? -hand.center.z * 5 : 0;
+        return sizeCue + zCue;
+    }
+    
+    /**
+     * Check the gestures in priority order; the first one found is reported
+     */
+    detect(hand, history) {
+        const checks = [
+            ['push', () => this.detectPush(history)],
+            ['swipe', () => this.detectSwipe(history)],
+            ['tap', () => this.detectTap(history)],
+            ['circle', () => this.detectCircle(history)],
+            ['wave', () => this.detectWave(history)]
+        ];
+        
+        for (const [type, check] of checks) {
+            if (this.isCoolingDown(hand.id, type, hand.timestamp)) continue;
+            
+            const result = check();
+            if (!result) continue;
+            
+            this.lastEvents.set(`${hand.id}:${type}`, hand.timestamp);
+            
+            // Start afresh so one movement is not reported again as something else
+            history.splice(0, history.length - 1);
+            
+            return {
+                type,
+                handId: hand.id,
+                label: hand.label,
+                direction: result.direction,
+                speed: result.speed,
+                confidence: Math.max(0, Math.min(1, result.confidence)),
+                position: { x: hand.center.x, y: hand.center.y },
+                timestamp: hand.timestamp,
+                ...result.details
+            };
+        }
+        
+        return null;
+    }
+    
+    isCoolingDown(handId, type, time) {
+        const last = this.lastEvents.get(`${handId}:${type}`);
+        return last !== undefined && time >= last && time - last < this.cooldown;
+    }
+    
+    /**
+     * Samples from the last `duration` ms
+     */
+    recent(history, duration) {
+        const end = history[history.length - 1].t;
+        return history.filter(sample => end - sample.t <= duration);
+    }
+    
+    /**
+     * Drop samples where the hand was still before and after a stroke, so pauses
+     * do not lower its speed
+     */
+    trimStill(samples, radius = 0.02) {
+        let start = 0;
+        while (start < samples.length - 1 &&
+               Math.hypot(samples[start + 1].x - samples[0].x, samples[start + 1].y - samples[0].y) < radius) {
+            start++;
+        }
+        
+        const last = samples[samples.length - 1];
+        let end = samples.length - 1;
+        while (end > start &&
+               Math.hypot(samples[end - 1].x - last.x, samples[end - 1].y - last.y) < radius) {
+            end--;
+        }
+        
+        return samples.slice(start, end + 1);
+    }
+    
+    pathLength(samples) {
+        let length = 0;
+        for (let i = 1; i < samples.length; i++) {
+            length += Math.hypot(samples[i].x - samples[i - 1].x, samples[i].y - samples[i - 1].y);
+        }
+        return length;
+    }
+    
+    /**
+     * Fast, straight movement mostly along one axis
+     */
+    detectSwipe(history) {
+        const recent = this.recent(history, this.swipe.window);
+        const samples = this.trimStill(recent);
+        if (samples.length < 3) return null;
+        
+        const first = samples[0];
+        const last = samples[samples.length - 1];
+        const dx = last.x - first.x;
+        const dy = last.y - first.y;
+        const distance = Math.hypot(dx, dy);
+        const duration = (last.t - first.t) / 1000;
+        if (duration <= 0) return null;
+        
+        const horizontal = Math.abs(dx) >= Math.abs(dy);
+        const along = horizontal ? Math.abs(dx) : Math.abs(dy);
+        const across = horizontal ? Math.abs(dy) : Math.abs(dx);
+        if (along < this.swipe.minDistance || along < across * this.swipe.axisRatio) return null;
+        
+        const speed = distance / duration;
+        const straightness = distance / Math.max(1e-6, this.pathLength(samples));
+        if (speed < this.swipe.minSpeed || straightness < this.swipe.minStraightness) return null;
+        
+        // Only report once the stroke has finished or slowed, so one swipe gives one event
+        const tail = recent.slice(-3);
+        const tailSpeed = this.pathLength(tail) / Math.max(1e-3, (tail[tail.length - 1].t - tail[0].t) / 1000);
+        if (tailSpeed > speed * 0.6 && along < this.swipe.minDistance * 2) return null;
+        
+        return {
+            direction: horizontal ? (dx > 0 ? 'right' : 'left') : (dy > 0 ? 'down' : 'up'),
+            speed,
+            confidence: straightness * Math.min(1, along / (this.swipe.minDistance * 1.5)),
+            details: { distance: along }
+        };
+    }
+    
+    /**
+     * Repeated side-to-side strokes
+     */
+    detectWave(history) {
+        if (history.length < 8) return null;
+        
+        // Count reversals of the horizontal direction, ignoring strokes smaller than minAmplitude
+        let reversals = 0;
+        let direction = 0;
+        let extreme = history[0].x;
+        let strokeTotal = 0;
+        
+        for (const sample of history) {
+            const offset = sample.x - extreme;
+            
+            if (direction === 0) {
+                if (Math.abs(offset) >= this.wave.minAmplitude) {
+                    direction = Math.sign(offset);
+                    extreme = sample.x;
+                }
+            } else if (offset * direction > 0) {
+                // Still travelling the same way
+                extreme = sample.x;
+            } else if (Math.abs(offset) >= this.wave.minAmplitude) {
+                reversals++;
+                strokeTotal += Math.abs(offset);
+                direction = -direction;
+                extreme = sample.x;
+            }
+        }
+        
+        if (reversals < this.wave.minReversals) return null;
+        
+        const ys = history.map(sample => sample.y);
+        if (Math.max(...ys) - Math.min(...ys) > this.wave.maxDrift) return null;
+        
+        const duration = (history[history.length - 1].t - history[0].t) / 1000;
+        return {
+            direction: 'horizontal',
+            speed: this.pathLength(history) / Math.max(1e-3, duration),
+            confidence: Math.min(1, reversals / (this.wave.minReversals + 2)),
+            details: { frequency: reversals / 2 / Math.max(1e-3, duration), amplitude: strokeTotal / reversals }
+        };
+    }
+    
+    /**
+     * The hand travels round a roughly constant radius
+     */
+    detectCircle(history) {
+        // Pauses would pull the centre towards where the hand rested, so fit only the moving samples
+        const moving = history.filter((sample, i) =>
+            i === 0 || Math.hypot(sample.x - history[i - 1].x, sample.y - history[i - 1].y) >= 0.004);
+        if (moving.length < 10) return null;
+        
+        const cx = moving.reduce((sum, s) => sum + s.x, 0) / moving.length;
+        const cy = moving.reduce((sum, s) => sum + s.y, 0) / moving.length;
+        const radii = moving.map(s => Math.hypot(s.x - cx, s.y - cy));
+        const meanRadius = radii.reduce((sum, r) => sum + r, 0) / radii.length;
+        if (meanRadius < this.circle.minRadius) return null;
+        
+        const variance = radii.reduce((sum, r) => sum + (r - meanRadius) ** 2, 0) / radii.length;
+        const variation = Math.sqrt(variance) / meanRadius;
+        if (variation > this.circle.maxRadiusVariation) return null;
+        if (Math.min(...radii) < meanRadius * this.circle.minRadiusRatio) return null;
+        
+        // Total signed angle swept around the centre
+        const deltas = [];
+        let previous = Math.atan2(moving[0].y - cy, moving[0].x - cx);
+        for (let i = 1; i < moving.length; i++) {
+            const angle = Math.atan2(moving[i].y - cy, moving[i].x - cx);
+            let delta = angle - previous;
+            if (delta > Math.PI) delta -= 2 * Math.PI;
+            if (delta < -Math.PI) delta += 2 * Math.PI;
+            deltas.push(delta);
+            previous = angle;
+        }
+        
+        const turn = deltas.reduce((sum, delta) => sum + delta, 0);
+        if (Math.abs(turn) < this.circle.minTurn) return null;
+        
+        // A real circle keeps turning the same way in even steps; a stroke out and back
+        // sweeps the same angle in a few jumps as it passes the centre
+        const steady = deltas.filter(delta => Math.sign(delta) === Math.sign(turn)).length / deltas.length;
+        const largestStep = Math.max(...deltas.map(Math.abs));
+        if (steady < 0.75 || largestStep > Math.PI / 3) return null;
+        if (this.pathLength(moving) < 1.5 * Math.PI * meanRadius) return null;
+        
+        const duration = (moving[moving.length - 1].t - moving[0].t) / 1000;
+        return {
+            // y points down the screen, so a positive turn is clockwise as the student sees it
+            direction: turn > 0 ? 'clockwise' : 'counterclockwise',
+            speed: this.pathLength(history) / Math.max(1e-3, duration),
+            confidence: 1 - variation,
+            details: { radius: meanRadius }
+        };
+    }
+    
+    /**
+     * A quick downward strike that stops sharply, like hitting a drum
+     */
+    detectTap(history) {
+        const samples = this.recent(history, 400);
+        if (samples.length < 4) return null;
+        
+        const speeds = [];
+        for (let i = 1; i < samples.length; i++) {
+            const dt = (samples[i].t - samples[i - 1].t) / 1000;
+            speeds.push(dt > 0 ? (samples[i].y - samples[i - 1].y) / dt : 0);
+        }
+        
+        const peakIndex = speeds.indexOf(Math.max(...speeds));
+        const peak = speeds[peakIndex];
+        if (peak < this.tap.minSpeed || peakIndex === speeds.length - 1) return null;
+        
+        // The strike has ended: the latest movement has stopped or reversed
+        const latest = speeds[speeds.length - 1];
+        if (latest > peak * this.tap.stopRatio) return null;
+        
+        // Downward travel from the start of the strike to its lowest point
+        let start = peakIndex;
+        while (start > 0 && speeds[start - 1] > 0) start--;
+        const lowest = Math.max(...samples.slice(peakIndex).map(s => s.y));
+        const travel = lowest - samples[start].y;
+        if (travel < this.tap.minDistance) return null;
+        
+        return {
+            direction: 'down',
+            speed: peak,
+            confidence: Math.min(1, travel / (this.tap.minDistance * 2)) * Math.min(1, peak / (this.tap.minSpeed * 1.5)),
+            details: { distance: travel }
+        };
+    }
+    
+    /**
+     * The hand moves towards the camera without much sideways movement
+     */
+    detectPush(history) {
+        const samples = this.recent(history, this.push.window);
+        if (samples.length < 4) return null;
+        
+        const first = samples[0];
+        const last = samples[samples.length - 1];
+        const nearest = samples.reduce((best, s) => (s.depth > best.depth ? s : best), first);
+        const approach = nearest.depth - first.depth;
+        if (approach < this.push.minApproach) return null;
+        
+        const lateral = Math.hypot(last.x - first.x, last.y - first.y);
+        if (lateral > this.push.maxLateral) return null;
+        
+        const duration = (nearest.t - first.t) / 1000;
+        return {
+            direction: 'forward',
+            speed: approach / Math.max(1e-3, duration),
+            confidence: Math.min(1, approach / (this.push.minApproach * 1.5)) * (1 - lateral / this.push.maxLateral / 2),
+            details: { approach }
+        };
+    }
+    
+    reset() {
+        this.histories.clear();
+        this.lastEvents.clear();
+    }
+}
+
+// Export for use in main application
+window.DynamicGestureDetector = DynamicGestureDetector;
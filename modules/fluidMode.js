@@ -0,0 +1,475 @@
+/**
+ * Fluid Visual Mode
+ * Hands stir ink into a slowly flowing fluid: colour goes in where the hand is and its
+ * velocity pushes the ink along. Slow, swirling visuals for calming and regulation sessions.
+ *
+ * The fluid is a coarse grid solved on the CPU (semi-Lagrangian advection and a pressure
+ * projection, after Jos Stam's "Stable Fluids"), so it runs on school laptops without a GPU.
+ * The grid is drawn scaled up and smoothed, which hides how coarse it is. When the frame rate
+ * drops, the grid gets coarser and the solver does less work, then recovers when it can.
+ */
+
+// Quality steps from finest to coarsest: grid columns across the canvas, pressure solver
+// iterations, and how many animation frames share one simulation step
+const FLUID_QUALITY_LEVELS = [
+    { name: 'high', columns: 96, iterations: 16, stepEvery: 1 },
+    { name: 'medium', columns: 72, iterations: 10, stepEvery: 1 },
+    { name: 'low', columns: 48, iterations: 6, stepEvery: 1 },
+    { name: 'lowest', columns: 32, iterations: 4, stepEvery: 2 }
+];
+
+VisualEffects.registerMode('fluid', {
+    displayName: 'Fluid Mode',
+    icon: '🌊',
+    description: 'Hands stir colourful ink that flows and slowly fades - calm, swirling movement',
+    
+    settings: {
+        inkLasts: { type: 'range', label: 'Ink Lasts (seconds)', min: 2, max: 20, step: 1, default: 8 },
+        swirl: { type: 'range', label: 'Swirl', min: 0, max: 10, step: 1, default: 3 },
+        quality: {
+            type: 'select',
+            label: 'Fluid Detail',
+            options: [
+                { value: 'auto', label: 'Automatic (follows the frame rate)' },
+                { value: 'high', label: 'High' },
+                { value: 'medium', label: 'Medium' },
+                { value: 'low', label: 'Low' },
+                { value: 'lowest', label: 'Lowest' }
+            ],
+            default: 'auto'
+        }
+    },
+    
+    // Automatic quality: frame rates that make the fluid coarser or finer, checked every few seconds
+    slowFps: 28,
+    fastFps: 50,
+    qualityCheckInterval: 3000, // ms
+    
+    // Splat radius in grid cells, and how much a splat blends toward the hand's velocity
+    splatRadius: 2.5,
+    pushStrength: 0.8,
+    inkStrength: 0.35,
+    
+    init() {
+        this.level = this.getStartLevel();
+        this.frameCount = 0;
+        this.lastFrameTime = null;
+        this.pendingTime = 0; // Seconds since the last simulation step
+        this.qualityCheckStart = performance.now();
+        this.qualityCheckFrames = 0;
+        
+        // Canvas the grid is drawn on before being scaled up to the visual canvas
+        this.gridCanvas = document.createElement('canvas');
+        this.createGrid(FLUID_QUALITY_LEVELS[this.level].columns);
+    },
+    
+    getStartLevel() {
+        const index = FLUID_QUALITY_LEVELS.findIndex(level => level.name === this.settings.quality);
+        // Automatic starts in the middle and moves from there
+        return index >= 0 ? index : 1;
+    },
+    
+    /**
+     * Make the grid for this many columns (rows follow the canvas shape), carrying over any ink and flow
+     */
+    createGrid(columns) {
+        const { width, height } = this.effects;
+        const rows = Math.max(8, Math.round(columns * (height > 0 && width > 0 ? height / width : 9 / 16)));
+        const previous = this.fields ? { columns: this.columns, rows: this.rows, fields: this.fields } : null;
+        
+        this.columns = columns;
+        this.rows = rows;
+        const size = (columns + 2) * (rows + 2); // One cell of border all round
+        this.fields = {};
+        for (const name of ['u', 'v', 'red', 'green', 'blue']) {
+            this.fields[name] = new Float32Array(size);
+        }
+        this.scratch = [new Float32Array(size), new Float32Array(size), new Float32Array(size)];
+        
+        if (previous) {
+            for (const name of Object.keys(this.fields)) {
+                this.resample(previous, name, this.fields[name]);
+            }
+            // Velocities are in cells per second, so they scale with the grid
+            const scaleU = columns / previous.columns;
+            const scaleV = rows / previous.rows;
+            this.fields.u.forEach((value, k) => { this.fields.u[k] = value * scaleU; });
+            this.fields.v.forEach((value, k) => { this.fields.v[k] = value * scaleV; });
+        }
+        
+        this.gridCanvas.width = columns;
+        this.gridCanvas.height = rows;
+        this.image = this.gridCanvas.getContext('2d').createImageData(columns, rows);
+    },
+    
+    /**
+     * Fill a field of the current grid from the same field of an older grid
+     */
+    resample(previous, name, target) {
+        const source = previous.fields[name];
+        const stride = previous.columns + 2;
+        for (let j = 1; j <= this.rows; j++) {
+            for (let i = 1; i <= this.columns; i++) {
+                const x = (i - 0.5) / this.columns * previous.columns + 0.5;
+                const y = (j - 0.5) / this.rows * previous.rows + 0.5;
+                target[this.index(i, j)] = this.sample(source, stride, x, y, previous.columns, previous.rows);
+            }
+        }
+    },
+    
+    index(i, j) {
+        return i + (this.columns + 2) * j;
+    },
+    
+    /**
+     * Bilinear value of a field at a point in cell units
+     */
+    sample(field, stride, x, y, columns, rows) {
+        x = Math.max(0.5, Math.min(columns + 0.5, x));
+        y = Math.max(0.5, Math.min(rows + 0.5, y));
+        const i0 = Math.floor(x);
+        const j0 = Math.floor(y);
+        const s = x - i0;
+        const t = y - j0;
+        const k = i0 + stride * j0;
+        
+        return (1 - s) * ((1 - t) * field[k] + t * field[k + stride]) +
+            s * ((1 - t) * field[k + 1] + t * field[k + 1 + stride]);
+    },
+    
+    /**
+     * Hands push the fluid along with their velocity and add ink in their colour
+     */
+    processHands(hands) {
+        const effects = this.effects;
+        const { width, height } = effects;
+        if (width <= 0 || height <= 0) return;
+        
+        for (const hand of hands) {
+            const { brushScale, opacity } = effects.getDepthStyle(hand);
+            const x = hand.center.x * width;
+            const y = hand.center.y * height;
+            
+            for (const copy of effects.symmetry.getCopies(x, y, width, height)) {
+                const velocity = effects.symmetry.transformVector(copy.matrix, hand.velocity.x, hand.velocity.y);
+                const color = this.parseColor(effects.getColor(hand, copy.x, copy.y));
+                
+                // Faster hands put in more ink, but a still hand still leaves a little
+                const amount = this.inkStrength * opacity * (0.3 + Math.min(hand.velocity.magnitude, 1));
+                this.splat(copy.x / width, copy.y / height, velocity, color, amount,
+                    this.splatRadius * brushScale * effects.brushSize / 15);
+            }
+        }
+    },
+    
+    /**
+     * Add velocity and ink around a point in canvas units (0-1)
+     */
+    splat(x, y, velocity, color, amount, radius) {
+        const cx = x * this.columns + 0.5;
+        const cy = y * this.rows + 0.5;
+        const reach = Math.ceil(radius * 2);
+        const { u, v, red, green, blue } = this.fields;
+        
+        // Hand velocity is in canvas units per second; the fluid's is in cells per second
+        const pushU = velocity.x * this.columns;
+        const pushV = velocity.y * this.rows;
+        
+        for (let j = Math.max(1, Math.floor(cy) - reach); j <= Math.min(this.rows, Math.floor(cy) + reach); j++) {
+            for (let i = Math.max(1, Math.floor(cx) - reach); i <= Math.min(this.columns, Math.floor(cx) + reach); i++) {
+                const dx = i - cx;
+                const dy = j - cy;
+                const weight = Math.exp(-(dx * dx + dy * dy) / (radius * radius));
+                if (weight < 0.01) continue;
+                
+                const k = this.index(i, j);
+                const push = weight * this.pushStrength;
+                u[k] += (pushU - u[k]) * push;
+                v[k] += (pushV - v[k]) * push;
+                
+                const ink = weight * amount;
+                red[k] = Math.min(1.5, red[k] + color.r * ink);
+                green[k] = Math.min(1.5, green[k] + color.g * ink);
+                blue[k] = Math.min(1.5, blue[k] + color.b * ink);
+            }
+        }
+    },
+    
+    /**
+     * Move the fluid on one step, at whatever quality the frame rate allows
+     */
+    update() {
+        const now = performance.now();
+        const elapsed = this.lastFrameTime === null ? 1 / 60 : (now - this.lastFrameTime) / 1000;
+        this.lastFrameTime = now;
+        
+        this.checkQuality(now);
+        
+        const level = FLUID_QUALITY_LEVELS[this.level];
+        this.frameCount++;
+        this.pendingTime += elapsed;
+        if (this.frameCount % level.stepEvery !== 0) return;
+        
+        // A long pause (e.g. a hidden tab) should not fling the fluid
+        const dt = Math.min(this.pendingTime, 0.1);
+        this.pendingTime = 0;
+        this.step(dt, level.iterations);
+    },
+    
+    /**
+     * Automatic quality: coarser when frames are slow, finer again once there is room
+     */
+    checkQuality(now) {
+        this.qualityCheckFrames++;
+        const duration = now - this.qualityCheckStart;
+        if (duration < this.qualityCheckInterval) return;
+        
+        const fps = this.qualityCheckFrames * 1000 / duration;
+        this.qualityCheckStart = now;
+        this.qualityCheckFrames = 0;
+        if (this.settings.quality !== 'auto') return;
+        
+        let level = this.level;
+        if (fps < this.slowFps && level < FLUID_QUALITY_LEVELS.length - 1) {
+            level++;
+        } else if (fps > this.fastFps && level > 0) {
+            level--;
+        }
+        
+        if (level !== this.level) {
+            console.info(`Fluid detail ${FLUID_QUALITY_LEVELS[this.level].name} -> ${FLUID_QUALITY_LEVELS[level].name} at ${Math.round(fps)} fps`);
+            this.setLevel(level);
+        }
+    },
+    
+    setLevel(level) {
+        const columnsChanged = FLUID_QUALITY_LEVELS[level].columns !== this.columns;
+        this.level = level;
+        if (columnsChanged) {
+            this.createGrid(FLUID_QUALITY_LEVELS[level].columns);
+        }
+    },
+    
+    step(dt, iterations) {
+        const { u, v, red, green, blue } = this.fields;
+        const [previousU, previousV] = this.scratch;
+        
+        if (this.settings.swirl > 0) {
+            this.addSwirl(dt);
+        }
+        
+        // Velocity carries itself along, then is made to flow without bunching up
+        this.project(iterations);
+        previousU.set(u);
+        previousV.set(v);
+        this.advect(1, u, previousU, previousU, previousV, dt);
+        this.advect(2, v, previousV, previousU, previousV, dt);
+        this.project(iterations);
+        
+        // Ink is carried by the velocity and slowly fades
+        const fade = Math.pow(0.05, dt / this.settings.inkLasts);
+        const previousInk = this.scratch[2];
+        for (const ink of [red, green, blue]) {
+            previousInk.set(ink);
+            this.advect(0, ink, previousInk, u, v, dt);
+            for (let k = 0; k < ink.length; k++) ink[k] *= fade;
+        }
+    },
+    
+    /**
+     * Move a field along the velocity by tracing each cell back to where its contents came from
+     */
+    advect(boundary, field, previous, u, v, dt) {
+        const stride = this.columns + 2;
+        for (let j = 1; j <= this.rows; j++) {
+            for (let i = 1; i <= this.columns; i++) {
+                const k = this.index(i, j);
+                field[k] = this.sample(previous, stride, i - dt * u[k], j - dt * v[k], this.columns, this.rows);
+            }
+        }
+        this.setBoundary(boundary, field);
+    },
+    
+    /**
+     * Remove the part of the velocity that would squeeze or stretch the fluid, so it swirls instead
+     */
+    project(iterations) {
+        const { u, v } = this.fields;
+        const [pressure, divergence] = this.scratch;
+        const stride = this.columns + 2;
+        
+        for (let j = 1; j <= this.rows; j++) {
+            for (let i = 1; i <= this.columns; i++) {
+                const k = this.index(i, j);
+                divergence[k] = -0.5 * (u[k + 1] - u[k - 1] + v[k + stride] - v[k - stride]);
+                pressure[k] = 0;
+            }
+        }
+        this.setBoundary(0, divergence);
+        this.setBoundary(0, pressure);
+        
+        // Gauss-Seidel: fewer iterations are cheaper and only a little less swirly
+        for (let n = 0; n < iterations; n++) {
+            for (let j = 1; j <= this.rows; j++) {
+                for (let i = 1; i <= this.columns; i++) {
+                    const k = this.index(i, j);
+                    pressure[k] = (divergence[k] + pressure[k - 1] + pressure[k + 1] +
+                        pressure[k - stride] + pressure[k + stride]) / 4;
+                }
+            }
+            this.setBoundary(0, pressure);
+        }
+        
+        for (let j = 1; j <= this.rows; j++) {
+            for (let i = 1; i <= this.columns; i++) {
+                const k = this.index(i, j);
+                u[k] -= 0.5 * (pressure[k + 1] - pressure[k - 1]);
+                v[k] -= 0.5 * (pressure[k + stride] - pressure[k - stride]);
+            }
+        }
+        this.setBoundary(1, u);
+        this.setBoundary(2, v);
+    },
+    
+    /**
+     * Vorticity confinement: puts back the small eddies a coarse grid smooths away
+     */
+    addSwirl(dt) {
+        const { u, v } = this.fields;
+        const curl = this.scratch[0];
+        const stride = this.columns + 2;
+        
+        for (let j = 1; j <= this.rows; j++) {
+            for (let i = 1; i <= this.columns; i++) {
+                const k = this.index(i, j);
+                curl[k] = 0.5 * (v[k + 1] - v[k - 1] - u[k + stride] + u[k - stride]);
+            }
+        }
+        this.setBoundary(0, curl);
+        
+        const strength = this.settings.swirl;
+        for (let j = 2; j < this.rows; j++) {
+            for (let i = 2; i < this.columns; i++) {
+                const k = this.index(i, j);
+                const dx = 0.5 * (Math.abs(curl[k + 1]) - Math.abs(curl[k - 1]));
+                const dy = 0.5 * (Math.abs(curl[k + stride]) - Math.abs(curl[k - stride]));
+                const length = Math.sqrt(dx * dx + dy * dy) + 1e-5;
+                
+                u[k] += dt * strength * (dy / length) * curl[k];
+                v[k] -= dt * strength * (dx / length) * curl[k];
+            }
+        }
+    },
+    
+    /**
+     * Walls round the edge: the fluid slides along them but not through them (boundary 1 for u, 2 for v)
+     */
+    setBoundary(boundary, field) {
+        const columns = this.columns;
+        const rows = this.rows;
+        
+        for (let j = 1; j <= rows; j++) {
+            field[this.index(0, j)] = boundary === 1 ? -field[this.index(1, j)] : field[this.index(1, j)];
+            field[this.index(columns + 1, j)] = boundary === 1 ? -field[this.index(columns, j)] : field[this.index(columns, j)];
+        }
+        for (let i = 1; i <= columns; i++) {
+            field[this.index(i, 0)] = boundary === 2 ? -field[this.index(i, 1)] : field[this.index(i, 1)];
+            field[this.index(i, rows + 1)] = boundary === 2 ? -field[this.index(i, rows)] : field[this.index(i, rows)];
+        }
+        
+        field[this.index(0, 0)] = 0.5 * (field[this.index(1, 0)] + field[this.index(0, 1)]);
+        field[this.index(0, rows + 1)] = 0.5 * (field[this.index(1, rows + 1)] + field[this.index(0, rows)]);
+        field[this.index(columns + 1, 0)] = 0.5 * (field[this.index(columns, 0)] + field[this.index(columns + 1, 1)]);
+        field[this.index(columns + 1, rows + 1)] = 0.5 * (field[this.index(columns, rows + 1)] + field[this.index(columns + 1, rows)]);
+    },
+    
+    /**
+     * Draw the ink grid, scaled up smoothly to fill the canvas
+     */
+    render() {
+        const effects = this.effects;
+        const { red, green, blue } = this.fields;
+        const pixels = this.image.data;
+        
+        let p = 0;
+        for (let j = 1; j <= this.rows; j++) {
+            for (let i = 1; i <= this.columns; i++) {
+                const k = this.index(i, j);
+                // Thin ink is see-through rather than dark, so the colour stays bright as it fades
+                const density = Math.max(red[k], green[k], blue[k]);
+                const alpha = Math.min(1, density);
+                const scale = density > 0.001 ? 255 / density : 0;
+                
+                pixels[p] = red[k] * scale;
+                pixels[p + 1] = green[k] * scale;
+                pixels[p + 2] = blue[k] * scale;
+                pixels[p + 3] = alpha * 230;
+                p += 4;
+            }
+        }
+        this.gridCanvas.getContext('2d').putImageData(this.image, 0, 0);
+        
+        const ctx = effects.ctx;
+        ctx.clearRect(0, 0, effects.width, effects.height);
+        ctx.globalCompositeOperation = 'source-over';
+        ctx.globalAlpha = 1.0;
+        ctx.imageSmoothingEnabled = true;
+        ctx.imageSmoothingQuality = 'high';
+        ctx.drawImage(this.gridCanvas, 0, 0, effects.width, effects.height);
+    },
+    
+    // Rows follow the canvas shape
+    resize() {
+        this.createGrid(this.columns);
+    },
+    
+    updateSettings(changes) {
+        if (changes.quality && changes.quality !== 'auto') {
+            this.setLevel(this.getStartLevel());
+        }
+    },
+    
+    clear() {
+        for (const field of Object.values(this.fields)) {
+            field.fill(0);
+        }
+    },
+    
+    dispose() {
+        this.fields = null;
+        this.scratch = null;
+        this.gridCanvas = null;
+        this.image = null;
+    },
+    
+    /**
+     * Colour from the colour modes ('#rrggbb' or 'hsl(h, s%, l%)') as r, g, b from 0 to 1
+     */
+    parseColor(color) {
+        const hex = /^#([0-9a-f]{6})$/i.exec(color);
+        if (hex) {
+            const value = parseInt(hex[1], 16);
+            return { r: (value >> 16) / 255, g: ((value >> 8) & 255) / 255, b: (value & 255) / 255 };
+        }
+        
+        const hsl = /^hsl\(\s*([\d.]+)\s*,\s*([\d.]+)%\s*,\s*([\d.]+)%\s*\)$/i.exec(color);
+        if (hsl) {
+            const h = parseFloat(hsl[1]) % 360 / 360;
+            const s = parseFloat(hsl[2]) / 100;
+            const l = parseFloat(hsl[3]) / 100;
+            const q = l < 0.5 ? l * (1 + s) : l + s - l * s;
+            const p = 2 * l - q;
+            const channel = (t) => {
+                t = (t + 1) % 1;
+                if (t < 1 / 6) return p + (q - p) * 6 * t;
+                if (t < 1 / 2) return q;
+                if (t < 2 / 3) return p + (q - p) * (2 / 3 - t) * 6;
+                return p;
+            };
+            return { r: channel(h + 1 / 3), g: channel(h), b: channel(h - 1 / 3) };
+        }
+        
+        // The colour modes' default teal
+        return { r: 0.31, g: 0.8, b: 0.77 };
+    }
+});
@@ -0,0 +1,292 @@
+/**
+ * Gesture Recognition Module
+ * Recognises hand shapes from joint angles and palm-relative distances, so gestures work
+ * whether the hand is upright, sideways, pointing down or seen from above.
+ *
+ * Therapists can also record a student's own version of a gesture as a personal template;
+ * templates are matched by nearest neighbour and take precedence over the built-in rules.
+ */
+
+// Landmark indices for each digit, from the base joint to the tip
+const GESTURE_FINGER_JOINTS = {
+    thumb: [1, 2, 3, 4],
+    index: [5, 6, 7, 8],
+    middle: [9, 10, 11, 12],
+    ring: [13, 14, 15, 16],
+    pinky: [17, 18, 19, 20]
+};
+
+// Template names that stand in for the built-in gestures
+const BUILT_IN_GESTURES = {
+    open: 'isOpen',
+    fist: 'isFist',
+    pointing: 'isPointing',
+    pinching: 'isPinching'
+};
+
+class GestureRecognizer {
+    constructor(options = {}) {
+        // Landmark x is a fraction of image width and y of image height; scale x by
+        // width / height so angles are measured in real proportions
+        this.aspectRatio = options.aspectRatio || 1;
+        
+        // Total bend of a finger's three joints (radians)
+        this.extendedCurl = options.extendedCurl || 70 * Math.PI / 180; // straighter than this is extended
+        this.curledCurl = options.curledCurl || 120 * Math.PI / 180; // more bent than this is curled
+        
+        // Thumb tip to index tip, as a fraction of palm length
+        this.pinchDistance = options.pinchDistance || 0.35;
+        
+        // Thumb tip this close to the little finger knuckle is folded across the palm
+        this.thumbTuckDistance = options.thumbTuckDistance || 0.6;
+        
+        // Personal templates: [{ name, samples: [featureVector, ...], createdAt }]
+        this.templates = [];
+        this.templateThreshold = options.templateThreshold || 0.5;
+        this.maxSamplesPerTemplate = 60;
+    }
+    
+    /**
+     * Recognise the gestures for one hand's landmarks
+     */
+    recognize(landmarks) {
+        const features = this.computeFeatures(landmarks);
+        const fingers = {};
+        for (const [name, curl] of Object.entries(features.curls)) {
+            fingers[name] = curl < this.extendedCurl ? 'extended' : curl > this.curledCurl ? 'curled' : 'bent';
+        }
+        
+        const longFingers = ['index', 'middle', 'ring', 'pinky'];
+        const extended = (name) => fingers[name] === 'extended';
+        const curled = (name) => fingers[name] === 'curled';
+        
+        const isFist = longFingers.every(curled);
+        const gestures = {
+            isPointing: extended('index') && ['middle', 'ring', 'pinky'].every(curled),
+            isOpen: longFingers.every(extended) && !features.thumbTucked,
+            isFist,
+            // A tucked thumb can rest against the curled index finger, so a fist is not a pinch
+            isPinching: features.pinch < this.pinchDistance && !isFist,
+            custom: null,
+            fingers
+        };
+        
+        const match = this.matchTemplate(features.vector);
+        if (match) {
+            gestures.custom = match.name;
+            gestures.templateDistance = match.distance;
+            
+            // The student's own version of a built-in gesture replaces the textbook rules
+            const flag = BUILT_IN_GESTURES[match.name];
+            if (flag) {
+                for (const key of Object.values(BUILT_IN_GESTURES)) {
+                    gestures[key] = key === flag;
+                }
+            }
+        }
+        
+        return { gestures, features: features.vector };
+    }
+    
+    /**
+     * Orientation-independent measurements of the hand shape
+     */
+    computeFeatures(landmarks) {
+        const points = landmarks.map(p => ({
+            x: p.x * this.aspectRatio,
+            y: p.y,
+            z: (p.z || 0) * this.aspectRatio
+        }));
+        
+        const wrist = points[0];
+        const palmLength = Math.max(1e-6, this.distance(wrist, points[9]));
+        
+        // Bend at each joint is the angle between consecutive bones. Knuckles bend relative
+        // to the palm's long axis so spreading the fingers is not mistaken for curling them;
+        // the thumb has its own base at the wrist
+        const palmAxis = this.subtract(points[9], wrist);
+        const curls = {};
+        for (const [name, joints] of Object.entries(GESTURE_FINGER_JOINTS)) {
+            const bones = joints.slice(1).map((joint, j) => this.subtract(points[joint], points[joints[j]]));
+            bones.unshift(name === 'thumb' ? this.subtract(points[joints[0]], wrist) : palmAxis);
+            
+            let curl = 0;
+            for (let j = 0; j < bones.length - 1; j++) {
+                curl += this.angleBetween(bones[j], bones[j + 1]);
+            }
+            curls[name] = curl;
+        }
+        
+        const thumbTip = points[4];
+        const tipDistances = [8, 12, 16, 20].map(i => this.distance(thumbTip, points[i]) / palmLength);
+        const pinch = tipDistances[0];
+        const thumbTucked = this.distance(thumbTip, points[17]) / palmLength < this.thumbTuckDistance;
+        
+        // Spread between neighbouring digits, measured from knuckle to tip
+        const direction = (joints) => this.subtract(points[joints[3]], points[joints[0]]);
+        const spreads = [
+            ['thumb', 'index'], ['index', 'middle'], ['middle', 'ring'], ['ring', 'pinky']
+        ].map(([a, b]) => this.angleBetween(direction(GESTURE_FINGER_JOINTS[a]), direction(GESTURE_FINGER_JOINTS[b])));
+        
+        // Template vector: angles scaled to roughly 0-1, distances in palm lengths
+        const vector = [
+            ...Object.values(curls).map(curl => curl / Math.PI),
+            ...tipDistances,
+            ...spreads.map(spread => spread / Math.PI)
+        ];
+        
+        return { curls, pinch, thumbTucked, spreads, vector };
+    }
+    
+    /**
+     * Nearest personal template within the match threshold, or null
+     */
+    matchTemplate(vector) {
+        let best = null;
+        
+        for (const template of this.templates) {
+            for (const sample of template.samples) {
+                const distance = this.vectorDistance(vector, sample);
+                if (distance <= this.templateThreshold && (!best || distance < best.distance)) {
+                    best = { name: template.name, distance };
+                }
+            }
+        }
+        
+        return best;
+    }
+    
+    /**
+     * Add recorded feature vectors to a template, creating it if needed
+     */
+    addTemplate(name, samples) {
+        let template = this.templates.find(t => t.name === name);
+        if (!template) {
+            template = { name, samples: [], createdAt: new Date().toISOString() };
+            this.templates.push(template);
+        }
+        
+        template.samples.push(...samples);
+        
+        // Keep the most recent samples so a template can be retrained as the student progresses
+        if (template.samples.length > this.maxSamplesPerTemplate) {
+            template.samples = template.samples.slice(-this.maxSamplesPerTemplate);
+        }
+        
+        return template;
+    }
+    
+    removeTemplate(name) {
+        this.templates = this.templates.filter(t => t.name !== name);
+    }
+    
+    setTemplates(templates) {
+        this.templates = Array.isArray(templates) ? templates : [];
+    }
+    
+    getTemplates() {
+        return this.templates;
+    }
+    
+    subtract(a, b) {
+        return { x: a.x - b.x, y: a.y - b.y, z: a.z - b.z };
+    }
+    
+    distance(a, b) {
+        return Math.sqrt((a.x - b.x) ** 2 + (a.y - b.y) ** 2 + (a.z - b.z) ** 2);
+    }
+    
+    angleBetween(u, v) {
+        const lengths = Math.sqrt(u.x * u.x + u.y * u.y + u.z * u.z) * Math.sqrt(v.x * v.x + v.y * v.y + v.z * v.z);
+        if (lengths === 0) return 0;
+        
+        const cos = (u.x * v.x + u.y * v.y + u.z * v.z) / lengths;
+        return Math.acos(Math.max(-1, Math.min(1, cos)));
+    }
+    
+    vectorDistance(a, b) {
+        let sum = 0;
+        const length = Math.min(a.length, b.length);
+        for (let i = 0; i < length; i++) {
+            sum += (a[i] - b[i]) ** 2;
+        }
+        return Math.sqrt(sum);
+    }
+}
+
+/**
+ * Collects samples of a student's gesture for a personal template
+ * A short countdown lets the student form the gesture before sampling starts
+ */
+class GestureTrainer {
+    constructor() {
+        this.countdownDuration = 2000; // ms
+        this.sampleInterval = 100; // ms
+        this.sampleCount = 15;
+        
+        this.isRunning = false;
+        this.gestureName = null;
+        this.samples = [];
+        this.startTime = 0;
+        this.lastSampleTime = 0;
+        
+        // Callbacks
+        this.onProgress = null;
+        this.onComplete = null;
+    }
+    
+    start(gestureName) {
+        this.isRunning = true;
+        this.gestureName = gestureName;
+        this.samples = [];
+        this.startTime = Date.now();
+        this.lastSampleTime = 0;
+        
+        console.log(`Gesture training started: ${gestureName}`);
+    }
+    
+    cancel() {
+        this.isRunning = false;
+        console.log('Gesture training cancelled');
+    }
+    
+    /**
+     * Sample the first visible hand at a steady rate
+     */
+    processHands(hands) {
+        if (!this.isRunning) return;
+        
+        const now = Date.now();
+        const counting = now - this.startTime < this.countdownDuration;
+        const hand = hands.find(h => h.gestureFeatures);
+        
+        if (!counting && hand && now - this.lastSampleTime >= this.sampleInterval) {
+            this.samples.push([...hand.gestureFeatures]);
+            this.lastSampleTime = now;
+        }
+        
+        if (this.onProgress) {
+            this.onProgress({
+                counting,
+                countdown: Math.max(0, Math.ceil((this.countdownDuration - (now - this.startTime)) / 1000)),
+                samples: this.samples.length,
+                total: this.sampleCount,
+                handVisible: !!hand
+            });
+        }
+        
+        if (this.samples.length >= this.sampleCount) {
+            this.isRunning = false;
+            console.log(`Gesture training complete: ${this.gestureName}`);
+            
+            if (this.onComplete) {
+                this.onComplete(this.gestureName, this.samples);
+            }
+        }
+    }
+}
+
+// Export for use in main application
+window.GestureRecognizer = GestureRecognizer;
+window.GestureTrainer = GestureTrainer;
+window.BUILT_IN_GESTURES = BUILT_IN_GESTURES;
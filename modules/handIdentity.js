@@ -0,0 +1,186 @@
+/**
+ * Hand Identity Module
+ * Gives each hand a persistent track ID across frames by matching detections to where
+ * each known hand is predicted to be, rather than trusting MediaPipe's handedness label.
+ *
+ * Tracks survive short detection dropouts, and handedness is decided by a running vote
+ * so a few frames of swapped labels (common when hands cross or overlap) are corrected.
+ */
+
+class HandIdentityTracker {
+    constructor() {
+        this.tracks = new Map();
+        this.nextId = 1;
+        
+        // A track is kept alive this long without detections
+        this.maxDropoutTime = 500; // ms
+        
+        // Detections further than this from a track's predicted position start a new track
+        this.maxMatchDistance = 0.2; // normalized camera units
+        
+        // Prediction is not extrapolated further than this, so long dropouts do not overshoot
+        this.maxPredictionTime = 0.25; // seconds
+        
+        // Small extra matching cost when MediaPipe's label disagrees with the track's hand
+        this.labelPenalty = 0.05;
+        
+        // Handedness vote: each frame moves the score this far towards the reported label,
+        // and the track only changes hand once the score passes the threshold the other way
+        this.labelSmoothing = 0.15;
+        this.labelSwitchThreshold = 0.3;
+        
+        // Side of the view the student's right hand is usually on: 1 right, -1 left
+        // (see CameraMount.getRightHandSide)
+        this.rightHandSide = 1;
+    }
+    
+    /**
+     * Assign track IDs and corrected labels to one frame of detected hands (time in ms)
+     * Hands are updated in place: id becomes the track ID, label the track's hand,
+     * and observedLabel keeps what MediaPipe reported
+     */
+    update(hands, time) {
+        this.expireTracks(time);
+        
+        // Score every plausible detection/track pairing, then match greedily from the best
+        const pairs = [];
+        hands.forEach((hand, handIndex) => {
+            const position = hand.rawCenter || hand.center;
+            
+            for (const track of this.tracks.values()) {
+                const predicted = this.predict(track, time);
+                const distance = Math.hypot(position.x - predicted.x, position.y - predicted.y);
+                if (distance > this.maxMatchDistance) continue;
+                
+                const cost = distance + (hand.label === track.label ? 0 : this.labelPenalty);
+                pairs.push({ handIndex, track, cost });
+            }
+        });
+        pairs.sort((a, b) => a.cost - b.cost);
+        
+        const assigned = new Array(hands.length).fill(null);
+        const usedTracks = new Set();
+        for (const pair of pairs) {
+            if (assigned[pair.handIndex] || usedTracks.has(pair.track.id)) continue;
+            assigned[pair.handIndex] = pair.track;
+            usedTracks.add(pair.track.id);
+        }
+        
+        hands.forEach((hand, handIndex) => {
+            const track = assigned[handIndex] || this.createTrack(hand, time);
+            this.updateTrack(track, hand, time);
+            assigned[handIndex] = track;
+        });
+        
+        this.resolveLabelConflicts(assigned, hands);
+        
+        hands.forEach((hand, handIndex) => {
+            const track = assigned[handIndex];
+            hand.observedLabel = hand.label;
+            hand.id = track.id;
+            hand.label = track.label;
+        });
+    }
+    
+    /**
+     * Where a track is expected to be at the given time
+     */
+    predict(track, time) {
+        const dt = Math.min(this.maxPredictionTime, Math.max(0, (time - track.lastSeen) / 1000));
+        return {
+            x: track.position.x + track.velocity.x * dt,
+            y: track.position.y + track.velocity.y * dt
+        };
+    }
+    
+    createTrack(hand, time) {
+        const track = {
+            id: `hand_${this.nextId++}`,
+            label: hand.label,
+            // Start half-way so a new track that began on a swapped label corrects quickly
+            labelScore: hand.label === 'right' ? 0.5 : -0.5,
+            position: { ...(hand.rawCenter || hand.center) },
+            velocity: { x: 0, y: 0 },
+            firstSeen: time,
+            lastSeen: time,
+            hits: 0
+        };
+        
+        this.tracks.set(track.id, track);
+        return track;
+    }
+    
+    updateTrack(track, hand, time) {
+        const position = hand.rawCenter || hand.center;
+        const dt = (time - track.lastSeen) / 1000;
+        
+        if (dt > 0 && track.hits > 0) {
+            // Lightly smoothed so one noisy frame does not throw the next prediction off
+            track.velocity.x += ((position.x - track.position.x) / dt - track.velocity.x) * 0.5;
+            track.velocity.y += ((position.y - track.position.y) / dt - track.velocity.y) * 0.5;
+        }
+        
+        track.position = { x: position.x, y: position.y };
+        track.lastSeen = time;
+        track.hits++;
+        
+        // Vote on handedness and change hand only when the evidence is consistent
+        const vote = hand.label === 'right' ? 1 : -1;
+        track.labelScore += (vote - track.labelScore) * this.labelSmoothing;
+        
+        if (track.label === 'right' && track.labelScore < -this.labelSwitchThreshold) {
+            track.label = 'left';
+        } else if (track.label === 'left' && track.labelScore > this.labelSwitchThreshold) {
+            track.label = 'right';
+        }
+    }
+    
+    /**
+     * Two hands cannot both be the same hand: the one with the stronger vote keeps the label
+     */
+    resolveLabelConflicts(tracks, hands) {
+        if (tracks.length !== 2 || tracks[0].label !== tracks[1].label) return;
+        
+        let rightIndex;
+        if (tracks[0].labelScore !== tracks[1].labelScore) {
+            rightIndex = tracks[0].labelScore > tracks[1].labelScore ? 0 : 1;
+        } else {
+            // No evidence either way (e.g. two new tracks): the student's right hand is
+            // usually the one on its side of the view
+            const x0 = (hands[0].rawCenter || hands[0].center).x;
+            const x1 = (hands[1].rawCenter || hands[1].center).x;
+            rightIndex = (x0 - x1) * this.rightHandSide >= 0 ? 0 : 1;
+        }
+        
+        const right = tracks[rightIndex];
+        const left = tracks[1 - rightIndex];
+        
+        right.label = 'right';
+        right.labelScore = Math.max(right.labelScore, this.labelSwitchThreshold);
+        left.label = 'left';
+        left.labelScore = Math.min(left.labelScore, -this.labelSwitchThreshold);
+    }
+    
+    /**
+     * Forget tracks that have not been seen recently
+     */
+    expireTracks(time) {
+        for (const [id, track] of this.tracks) {
+            // A clock that runs backwards (e.g. a restarted simulation) also ends the track
+            if (time - track.lastSeen > this.maxDropoutTime || time < track.lastSeen) {
+                this.tracks.delete(id);
+            }
+        }
+    }
+    
+    hasTrack(id) {
+        return this.tracks.has(id);
+    }
+    
+    reset() {
+        this.tracks.clear();
+    }
+}
+
+// Export for use in main application
+window.HandIdentityTracker = HandIdentityTracker;
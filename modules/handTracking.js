@@ -4,60 +4,177 @@
  */
 
 class HandTracker {
-    constructor() {
+    constructor(options = {}) {
+        // Where MediaPipe fetches its model and WASM files (see MediaPipeLoader.getAssetBase)
+        this.assetBase = options.assetBase || 'https://cdn.jsdelivr.net/npm/@mediapipe/hands/';
+        this.poseAssetBase = options.poseAssetBase || 'https://cdn.jsdelivr.net/npm/@mediapipe/pose/';
+        
+        // Inference and the feature pipeline run in a worker where the browser allows it,
+        // so drawing never waits for MediaPipe; otherwise they run on the page
+        this.useWorker = options.worker !== undefined ? options.worker : HandTracker.canUseWorker();
+        this.workerUrl = options.workerUrl || 'modules/trackingWorker.js';
+        this.worker = null;
+        this.workerReady = false;
+        this.workerSession = 0; // Increases on every reset, so results from older frames are ignored
+        this.workerStartTimeout = 30000; // ms for the worker to load MediaPipe before falling back
+        this.workerStartTimer = null;
+        this.workerTremorSummary = {};
+        this.inferenceThread = null; // 'worker' or 'main'
+        
+        // At most one frame is being processed; frames due meanwhile are dropped, not queued
+        this.frameInFlight = null; // Send time of that frame
+        this.frameTimeout = 2000; // ms before a frame the worker never answered is given up
+        
         this.hands = null;
-        this.camera = null;
+        this.pose = null; // MediaPipe Pose, created when head and upper-body tracking is first used
+        this.simulationSource = null;
+        this.virtualInput = null;
         this.isInitialized = false;
         this.isTracking = false;
         
+        // Camera stream, and recovery when it is unplugged or comes back
+        this.videoElement = null;
+        this.previewElement = null;
+        this.stream = null;
+        this.usingCamera = false;
+        this.activeDeviceId = null;
+        this.cameraStatus = 'stopped';
+        this.cameraLost = false;
+        this.reconnecting = false;
+        this.reconnectTimer = null;
+        this.reconnectInterval = 2000; // ms between attempts while the camera is missing
+        this.frameLoopId = null;
+        this.handleTrackEnded = this.handleCameraLost.bind(this);
+        this.handleDeviceChange = this.onDeviceChange.bind(this);
+        
         // Hand tracking data
         this.currentHands = [];
         this.previousHands = [];
-        this.handHistory = new Map(); // For consistent hand identification
-        this.maxHistoryLength = 10;
         
-        // Smoothing parameters
-        this.smoothingFactor = 0.7;
+        // How the camera is mounted; simulated and virtual hands always use the default front view
+        this.cameraMount = new CameraMount();
+        this.defaultMount = new CameraMount();
+        this.frameSize = null; // Camera frame { width, height } once the stream is open
+        
+        // Persistent track IDs and corrected handedness across frames
+        this.identityTracker = new HandIdentityTracker();
+        
+        // Smoothing - One Euro filters per track, reset after a gap in tracking
+        this.handFilters = new Map();
+        this.filterResetTime = 1000; // ms
+        this.lastFrameTime = 0; // Capture time of the frame sent to MediaPipe
+        
+        // Tremor measurement per hand (left/right) and suppression per track
+        this.tremorAnalyzers = new Map();
+        this.tremorSuppressors = new Map();
+        
+        // Depth from apparent palm size, relative to each hand's usual size this session,
+        // so it works for small and large hands alike (MediaPipe's z is only relative to the wrist)
+        this.depthReferences = new Map(); // label -> { size, time }
+        this.depthAdaptTime = 20; // s for the usual size to follow a change of seating
+        this.typicalPalmSize = 0.12; // Palm length (view units) of a hand at an ordinary distance
+        
+        // Joint-angle gesture rules plus the student's personal gesture templates
+        this.gestureRecognizer = new GestureRecognizer();
+        
+        // Hands from the mouse, touch, keyboard, switches and gamepads (see VirtualHandInput)
+        // Their landmarks are in square proportions, unlike the camera's
+        this.virtualHands = [];
+        this.virtualGestureRecognizer = new GestureRecognizer();
+        
+        // Movements over time: swipes, waves, circles, taps and pushes
+        this.dynamicGestures = new DynamicGestureDetector();
+        
+        // Head and upper-body points that stand in for hands (see BODY_POINTS)
+        this.bodyMapper = new BodyPointMapper();
+        
         this.velocityThreshold = 0.02;
         this.confidenceThreshold = 0.7;
         
+        // Detections, rejections, inference time and lighting (see TrackingDiagnostics)
+        this.diagnostics = new TrackingDiagnostics();
+        this.sendTime = null; // When the frame being processed was sent to MediaPipe
+        
         // Tracking settings
         this.settings = {
             singleHandMode: false,
             sensitivity: 1.0,
             smoothing: true,
+            smoothingPreset: 'balanced', // See ONE_EURO_PRESETS
+            tremorAnalysis: true,
+            tremorSuppression: false, // Remove the measured tremor band before velocities and gestures
+            dynamicGestures: true,
+            normalizeVelocity: true, // Measure speed in palm lengths, so near and far hands respond alike
+            modelComplexity: 1, // 0 = lite model for slow computers, 1 = full
+            trackingTarget: 'hands', // 'hands', or 'body' for head and upper-body points
+            bodyPoints: { left: null, right: 'nose' }, // Body point driving each hand (see BODY_POINTS), null for none
+            cameraMount: 'front-mirrored', // See CAMERA_MOUNTS
+            // deviceId null uses the default front camera
+            camera: {
+                deviceId: null,
+                width: 1280,
+                height: 720,
+                frameRate: 30
+            },
             handPreference: 'right', // 'left', 'right', 'any'
+            // Whole camera view by default - students' reach is handled by range calibration
             movementZone: {
-                x: { min: 0.1, max: 0.9 },
-                y: { min: 0.1, max: 0.9 }
+                x: { min: 0, max: 1 },
+                y: { min: 0, max: 1 }
             }
         };
         
+        // Per-hand reachable area from range of motion calibration
+        // { left: { x: {min,max}, y: {min,max} } | null, right: ... }
+        this.rangeMapping = null;
+        this.rangeMappingMargin = 0.25; // Accept hands this fraction of the span outside the area
+        
         // Event callbacks
         this.onHandsDetected = null;
         this.onHandLost = null;
+        this.onFrameProcessed = null; // Live frames only, e.g. for session recording
+        this.onDynamicGesture = null; // { type, handId, label, direction, speed, confidence, position, timestamp }
+        this.onCameraStatus = null; // (status, cameraLabel) - 'connected', 'fallback', 'lost', 'reconnecting', 'stopped'
         this.onError = null;
         
         this.initializeMediaPipe();
     }
     
     /**
-     * Initialize MediaPipe Hands
+     * Whether this browser can track in a worker: frames are handed over as ImageBitmaps
+     * and MediaPipe draws them on an OffscreenCanvas
+     */
+    static canUseWorker() {
+        return typeof Worker !== 'undefined' && typeof createImageBitmap === 'function' &&
+            typeof OffscreenCanvas !== 'undefined' && typeof location !== 'undefined' && location.protocol !== 'file:';
+    }
+    
+    /**
+     * Initialize MediaPipe Hands, in the tracking worker if possible
      */
     initializeMediaPipe() {
+        if (this.useWorker && this.startWorker()) {
+            this.isInitialized = true;
+            return;
+        }
+        this.initializeMainThread();
+    }
+    
+    /**
+     * Run MediaPipe Hands on this thread
+     */
+    initializeMainThread() {
+        this.inferenceThread = 'main';
+        this.diagnostics.inferenceThread = 'main';
+        
         try {
             this.hands = new Hands({
                 locateFile: (file) => {
-                    return `https://cdn.jsdelivr.net/npm/@mediapipe/hands/${file}`;
+                    return `${this.assetBase}${file}`;
                 }
             });
             
-            this.hands.setOptions({
-                maxNumHands: this.settings.singleHandMode ? 1 : 2,
-                modelComplexity: 1,
-                minDetectionConfidence: 0.5,
-                minTrackingConfidence: 0.5
-            });
+            this.hands.setOptions(this.getMediaPipeOptions());
             
             this.hands.onResults(this.onResults.bind(this));
             this.isInitialized = true;
@@ -69,6 +186,175 @@ class HandTracker {
         }
     }
     
+    /**
+     * Start the tracking worker; camera frames are sent once it reports MediaPipe is ready
+     * Returns false if the browser could not create it
+     */
+    startWorker() {
+        try {
+            this.worker = new Worker(this.workerUrl);
+        } catch (error) {
+            console.warn('Could not create the hand tracking worker:', error);
+            return false;
+        }
+        
+        this.worker.onmessage = this.onWorkerMessage.bind(this);
+        this.worker.onerror = (event) => this.fallBackToMainThread(event.message || 'worker error');
+        this.worker.postMessage({
+            type: 'init',
+            assetBase: new URL(this.assetBase, location.href).href,
+            poseAssetBase: new URL(this.poseAssetBase, location.href).href,
+            settings: this.settings,
+            rangeMapping: this.rangeMapping,
+            gestureTemplates: this.gestureRecognizer.getTemplates()
+        });
+        
+        this.inferenceThread = 'worker';
+        this.diagnostics.inferenceThread = 'worker';
+        this.workerStartTimer = setTimeout(() => this.fallBackToMainThread('MediaPipe did not start in time'), this.workerStartTimeout);
+        return true;
+    }
+    
+    /**
+     * Track on this thread after all, when MediaPipe could not run in the worker
+     */
+    fallBackToMainThread(reason) {
+        if (!this.worker) return;
+        
+        console.warn('Hand tracking worker unavailable, tracking on the main thread:', reason);
+        clearTimeout(this.workerStartTimer);
+        this.worker.terminate();
+        this.worker = null;
+        this.workerReady = false;
+        this.frameInFlight = null;
+        this.initializeMainThread();
+    }
+    
+    /**
+     * Send settings and calibration changes on to the worker's copy of the pipeline
+     */
+    postToWorker(message) {
+        if (this.worker) {
+            this.worker.postMessage(message);
+        }
+    }
+    
+    onWorkerMessage(event) {
+        const message = event.data;
+        
+        switch (message.type) {
+            case 'ready':
+                clearTimeout(this.workerStartTimer);
+                this.workerReady = true;
+                console.log('MediaPipe Hands running in a worker');
+                break;
+            
+            case 'error':
+                this.fallBackToMainThread(message.message);
+                break;
+            
+            case 'results':
+                this.onWorkerResults(message);
+                break;
+            
+            case 'dropped':
+                // MediaPipe could not process the frame; the next one can go
+                if (message.session === this.workerSession) {
+                    this.frameInFlight = null;
+                }
+                break;
+        }
+    }
+    
+    /**
+     * Processed hands from the worker, delivered like results processed here
+     */
+    onWorkerResults({ session, hands, stats, tremor }) {
+        // Frames sent before tracking last stopped belong to an old session
+        if (session !== this.workerSession) return;
+        
+        this.frameInFlight = null;
+        if (!this.isTracking || !this.usingCamera || this.cameraLost) return;
+        
+        this.diagnostics.recordFrame(stats);
+        if (tremor) {
+            this.workerTremorSummary = tremor;
+        }
+        
+        this.previousHands = [...this.currentHands];
+        this.currentHands = [...hands, ...this.virtualHands];
+        
+        if (this.onFrameProcessed) {
+            this.onFrameProcessed(this.currentHands);
+        }
+        
+        this.emitHands();
+    }
+    
+    /**
+     * Copy a video frame into an ImageBitmap and transfer it to the worker, so nothing
+     * on this thread waits for inference
+     */
+    sendFrameToWorker(video, time) {
+        const session = this.workerSession;
+        
+        createImageBitmap(video)
+            .then(image => {
+                if (!this.worker || session !== this.workerSession) {
+                    image.close();
+                    return;
+                }
+                this.worker.postMessage({ type: 'frame', image, time, session }, [image]);
+            })
+            .catch(error => {
+                console.error('Could not capture a camera frame:', error);
+                this.frameInFlight = null;
+            });
+    }
+    
+    /**
+     * MediaPipe options that follow the settings
+     */
+    getMediaPipeOptions() {
+        return {
+            maxNumHands: this.settings.singleHandMode ? 1 : 2,
+            modelComplexity: this.settings.modelComplexity,
+            minDetectionConfidence: 0.5,
+            minTrackingConfidence: 0.5
+        };
+    }
+    
+    /**
+     * MediaPipe Pose for head and upper-body tracking, created on first use
+     */
+    getPoseModel() {
+        if (!this.pose) {
+            this.pose = new Pose({
+                locateFile: (file) => `${this.poseAssetBase}${file}`
+            });
+            this.pose.setOptions(this.getPoseOptions());
+            this.pose.onResults(this.onPoseResults.bind(this));
+        }
+        return this.pose;
+    }
+    
+    getPoseOptions() {
+        return {
+            modelComplexity: this.settings.modelComplexity,
+            smoothLandmarks: true,
+            enableSegmentation: false,
+            minDetectionConfidence: 0.5,
+            minTrackingConfidence: 0.5
+        };
+    }
+    
+    /**
+     * The model camera frames go to: Hands, or Pose when body points stand in for hands
+     */
+    getActiveModel() {
+        return this.settings.trackingTarget === 'body' ? this.getPoseModel() : this.hands;
+    }
+    
     /**
      * Start camera and hand tracking
      */
@@ -77,48 +363,284 @@ class HandTracker {
             throw new Error('Hand tracker not initialized');
         }
         
+        this.videoElement = videoElement;
+        this.previewElement = previewElement;
+        
         try {
-            let frameCount = 0;
+            await this.openCamera();
+        } catch (error) {
+            console.error('Failed to start camera:', error);
+            if (this.onError) this.onError('Failed to access camera. Please check permissions.');
+            throw error;
+        }
+        
+        this.usingCamera = true;
+        this.isTracking = true;
+        this.identityTracker.rightHandSide = this.cameraMount.getRightHandSide();
+        navigator.mediaDevices.addEventListener('devicechange', this.handleDeviceChange);
+        this.startFrameLoop();
+        
+        console.log('Hand tracking started');
+    }
+    
+    /**
+     * Video cameras connected to this computer
+     * Labels are empty until the page has been given camera permission
+     */
+    async getCameras() {
+        if (!navigator.mediaDevices || !navigator.mediaDevices.enumerateDevices) return [];
+        
+        const devices = await navigator.mediaDevices.enumerateDevices();
+        return devices.filter(device => device.kind === 'videoinput');
+    }
+    
+    /**
+     * Open the chosen camera, or the default one if it is not connected
+     */
+    async openCamera() {
+        const { deviceId, width, height, frameRate } = this.settings.camera;
+        const video = {
+            width: { ideal: width },
+            height: { ideal: height },
+            frameRate: { ideal: frameRate }
+        };
+        
+        let stream = null;
+        let fallback = false;
+        if (deviceId) {
+            try {
+                stream = await navigator.mediaDevices.getUserMedia({ video: { ...video, deviceId: { exact: deviceId } } });
+            } catch (error) {
+                // Another camera will not help if the browser refused permission
+                if (error.name === 'NotAllowedError') throw error;
+                console.warn('Chosen camera unavailable, using the default camera:', error);
+                fallback = true;
+            }
+        }
+        if (!stream) {
+            stream = await navigator.mediaDevices.getUserMedia({ video: { ...video, facingMode: 'user' } });
+        }
+        
+        this.closeStream();
+        this.stream = stream;
+        
+        const track = stream.getVideoTracks()[0];
+        track.addEventListener('ended', this.handleTrackEnded);
+        this.activeDeviceId = track.getSettings().deviceId || null;
+        
+        // The preview shows the same stream that is tracked
+        this.videoElement.srcObject = stream;
+        if (this.previewElement) {
+            this.previewElement.srcObject = stream;
+        }
+        await this.videoElement.play();
+        
+        const { videoWidth, videoHeight } = this.videoElement;
+        this.frameSize = videoWidth && videoHeight ? { width: videoWidth, height: videoHeight } : { width, height };
+        this.updateAspectRatio();
+        this.postToWorker({ type: 'frameSize', frameSize: this.frameSize });
+        
+        this.cameraLost = false;
+        this.setCameraStatus(fallback ? 'fallback' : 'connected', track.label);
+    }
+    
+    /**
+     * Send video frames to MediaPipe at the target frame rate
+     * A frame is only sent once the previous one has been processed, so slow
+     * computers drop frames (counted in the diagnostics) instead of falling behind
+     */
+    startFrameLoop() {
+        let frameCount = 0;
+        let lastSendTime = 0;
+        
+        const loop = () => {
+            if (!this.isTracking || !this.usingCamera) {
+                this.frameLoopId = null;
+                return;
+            }
+            this.frameLoopId = requestAnimationFrame(loop);
             
-            // Get camera stream first
-            const stream = await navigator.mediaDevices.getUserMedia({
-                video: {
-                    width: 1280,
-                    height: 720,
-                    facingMode: 'user'
-                }
-            });
+            const video = this.videoElement;
+            const now = Date.now();
+            // A little slack so display refreshes that land just early still count
+            const interval = 1000 / this.settings.camera.frameRate - 2;
+            if (this.cameraLost || video.readyState < 2 || now - lastSendTime < interval) return;
+            if (this.worker && !this.workerReady) return;
             
-            // Set up preview video if provided
-            if (previewElement) {
-                previewElement.srcObject = stream;
+            // The previous frame is still being processed, so this one is skipped rather than queued
+            const stalled = this.worker && now - this.frameInFlight > this.frameTimeout;
+            if (this.frameInFlight !== null && !stalled) {
+                lastSendTime = now;
+                this.diagnostics.recordDroppedFrame(now);
+                return;
             }
             
-            this.camera = new Camera(videoElement, {
-                onFrame: async () => {
-                    frameCount++;
-                    if (frameCount % 300 === 0) { // Log every 300 frames (about once per 5 seconds)
-                        console.log(`Camera frame ${frameCount}: sending to MediaPipe`);
-                    }
-                    
-                    if (this.hands && this.isTracking) {
-                        await this.hands.send({ image: videoElement });
-                    }
-                },
-                width: 1280,
-                height: 720,
-                facingMode: 'user'
-            });
+            this.diagnostics.sampleLighting(video, now);
+            
+            frameCount++;
+            if (frameCount % 300 === 0) { // Log every 300 frames
+                console.log(`Camera frame ${frameCount}: sending to MediaPipe`);
+            }
             
-            await this.camera.start();
-            this.isTracking = true;
+            // Results arrive after inference, so remember when the frame was captured
+            lastSendTime = now;
+            this.lastFrameTime = now;
+            this.frameInFlight = now;
             
-            console.log('Hand tracking started');
+            if (this.worker) {
+                this.sendFrameToWorker(video, now);
+                return;
+            }
+            
+            this.sendTime = performance.now();
+            this.getActiveModel().send({ image: video })
+                .catch(error => console.error('MediaPipe could not process a frame:', error))
+                .finally(() => { this.frameInFlight = null; });
+        };
+        
+        this.frameLoopId = requestAnimationFrame(loop);
+    }
+    
+    /**
+     * The video track ended - the camera was unplugged or taken by another program
+     */
+    handleCameraLost() {
+        if (!this.isTracking || this.cameraLost) return;
+        
+        console.warn('Camera lost, trying to reconnect');
+        this.cameraLost = true;
+        
+        // Camera hands vanish; virtual hands carry on without camera frames to join
+        this.previousHands = [...this.currentHands];
+        this.currentHands = [...this.virtualHands];
+        this.emitHands();
+        
+        this.setCameraStatus('lost');
+        this.scheduleReconnect();
+    }
+    
+    /**
+     * Cameras were plugged in or out
+     */
+    async onDeviceChange() {
+        if (!this.isTracking || !this.usingCamera) return;
+        
+        if (this.cameraLost) {
+            this.reconnectCamera();
+            return;
+        }
+        
+        // Move back to the chosen camera when it returns
+        const { deviceId } = this.settings.camera;
+        if (deviceId && this.activeDeviceId !== deviceId) {
+            const cameras = await this.getCameras();
+            if (cameras.some(camera => camera.deviceId === deviceId)) {
+                this.reconnectCamera();
+            }
+        }
+    }
+    
+    scheduleReconnect() {
+        clearTimeout(this.reconnectTimer);
+        this.reconnectTimer = setTimeout(() => this.reconnectCamera(), this.reconnectInterval);
+    }
+    
+    /**
+     * Reopen the camera with the current settings, retrying while it is missing
+     */
+    async reconnectCamera() {
+        if (!this.isTracking || !this.usingCamera || this.reconnecting) return;
+        
+        clearTimeout(this.reconnectTimer);
+        const previousStatus = this.cameraStatus;
+        this.reconnecting = true;
+        this.setCameraStatus('reconnecting');
+        
+        try {
+            await this.openCamera();
+            console.log('Camera reconnected');
         } catch (error) {
-            console.error('Failed to start camera:', error);
-            if (this.onError) this.onError('Failed to access camera. Please check permissions.');
-            throw error;
+            console.warn('Camera reconnect failed:', error);
+            const track = this.stream && this.stream.getVideoTracks()[0];
+            if (track && track.readyState === 'live') {
+                // Switching settings failed, but the previous camera still works
+                this.setCameraStatus(previousStatus, track.label);
+            } else {
+                this.cameraLost = true;
+                this.setCameraStatus('lost');
+                this.scheduleReconnect();
+            }
+        } finally {
+            this.reconnecting = false;
         }
+        
+        // Tracking may have stopped while the camera was opening
+        if (!this.usingCamera) this.closeStream();
+    }
+    
+    /**
+     * Stop the camera stream and everything watching it
+     */
+    stopCamera() {
+        if (!this.usingCamera) return;
+        
+        this.usingCamera = false;
+        this.cameraLost = false;
+        clearTimeout(this.reconnectTimer);
+        if (this.frameLoopId) {
+            cancelAnimationFrame(this.frameLoopId);
+            this.frameLoopId = null;
+        }
+        navigator.mediaDevices.removeEventListener('devicechange', this.handleDeviceChange);
+        this.closeStream();
+        this.setCameraStatus('stopped');
+    }
+    
+    closeStream() {
+        if (!this.stream) return;
+        
+        for (const track of this.stream.getTracks()) {
+            track.removeEventListener('ended', this.handleTrackEnded);
+            track.stop();
+        }
+        this.stream = null;
+        this.activeDeviceId = null;
+        if (this.videoElement) this.videoElement.srcObject = null;
+        if (this.previewElement) this.previewElement.srcObject = null;
+    }
+    
+    setCameraStatus(status, cameraLabel = '') {
+        this.cameraStatus = status;
+        if (this.onCameraStatus) this.onCameraStatus(status, cameraLabel);
+    }
+    
+    /**
+     * Start tracking from a synthetic hand source instead of the camera
+     * Synthetic results go through onResults, so filtering, smoothing and
+     * gesture detection behave exactly as with MediaPipe
+     */
+    startSimulation(source) {
+        this.simulationSource = source;
+        source.onResults = this.onResults.bind(this);
+        this.isTracking = true;
+        
+        // Synthetic landmarks are already in square proportions, seen from the default front view
+        this.gestureRecognizer.aspectRatio = 1;
+        this.identityTracker.rightHandSide = this.defaultMount.getRightHandSide();
+        source.start();
+        
+        console.log('Simulated hand tracking started');
+    }
+    
+    /**
+     * Add hands from other input devices, with or without the camera
+     * While the camera or a simulation runs, virtual hands join its frames;
+     * on their own they are delivered at the virtual input's rate
+     */
+    startVirtualInput(input) {
+        this.virtualInput = input;
+        input.onHands = this.updateVirtualHands.bind(this);
+        input.start();
     }
     
     /**
@@ -126,14 +648,38 @@ class HandTracker {
      */
     stopTracking() {
         this.isTracking = false;
-        if (this.camera) {
-            this.camera.stop();
+        this.stopCamera();
+        if (this.simulationSource) {
+            this.simulationSource.stop();
+            this.simulationSource = null;
         }
+        if (this.virtualInput) {
+            this.virtualInput.stop();
+            this.virtualInput = null;
+        }
+        this.virtualHands = [];
+        this.resetTrackingState();
+        
+        console.log('Hand tracking stopped');
+    }
+    
+    /**
+     * Forget tracks, filters and per-session estimates, here and in the worker
+     */
+    resetTrackingState() {
         this.currentHands = [];
         this.previousHands = [];
-        this.handHistory.clear();
+        this.identityTracker.reset();
+        this.handFilters.clear();
+        this.tremorSuppressors.clear();
+        this.depthReferences.clear();
+        this.dynamicGestures.reset();
+        this.diagnostics.reset();
+        this.sendTime = null;
+        this.frameInFlight = null;
         
-        console.log('Hand tracking stopped');
+        this.workerSession++;
+        this.postToWorker({ type: 'reset', session: this.workerSession });
     }
     
     /**
@@ -142,67 +688,239 @@ class HandTracker {
     onResults(results) {
         if (!this.isTracking) return;
         
-        // Debug: Log raw MediaPipe results
-        if (results.multiHandLandmarks) {
-            // Only log occasionally to prevent memory issues
-            if (Math.random() < 0.01) { // 1% chance to log
-                console.log(`MediaPipe detected ${results.multiHandLandmarks.length} hands`);
-            }
-        }
+        // Simulated frames skip MediaPipe, so only camera frames have an inference time
+        const inferenceTime = this.sendTime !== null ? performance.now() - this.sendTime : null;
+        this.sendTime = null;
         
         this.previousHands = [...this.currentHands];
         this.currentHands = [];
         
+        // Synthetic sources stamp their own frames; camera frames use the capture time
+        const frameTime = results.timestamp || this.lastFrameTime || Date.now();
+        const detectedHands = [];
+        const frameStats = { time: frameTime, raw: 0, accepted: 0, lowConfidence: 0, outsideZone: 0, confidences: [], inferenceTime };
+        
         if (results.multiHandLandmarks && results.multiHandedness) {
             for (let i = 0; i < results.multiHandLandmarks.length; i++) {
                 const landmarks = results.multiHandLandmarks[i];
                 const handedness = results.multiHandedness[i];
                 
-                // Only log occasionally to prevent memory issues
-                if (Math.random() < 0.01) { // 1% chance to log
-                    console.log(`Hand ${i}: confidence=${handedness.score.toFixed(3)}, threshold=${this.confidenceThreshold}`);
-                }
+                frameStats.raw++;
+                frameStats.confidences.push({
+                    label: this.getActiveMount().getHandLabel(handedness.label),
+                    score: handedness.score
+                });
                 
                 if (handedness.score < this.confidenceThreshold) {
-                    if (Math.random() < 0.01) { // 1% chance to log
-                        console.log(`Hand ${i} filtered out due to low confidence`);
-                    }
+                    frameStats.lowConfidence++;
                     continue;
                 }
                 
-                const handData = this.processHandData(landmarks, handedness, i);
-                
-                // Apply movement zone filtering
-                if (this.isInMovementZone(handData)) {
-                    if (Math.random() < 0.01) { // 1% chance to log
-                        console.log(`Hand ${i} accepted: center=(${handData.center.x.toFixed(3)}, ${handData.center.y.toFixed(3)})`);
-                    }
-                    this.currentHands.push(handData);
-                } else {
-                    if (Math.random() < 0.01) { // 1% chance to log
-                        console.log(`Hand ${i} filtered out due to movement zone`);
-                    }
-                }
+                detectedHands.push(this.processHandData(landmarks, handedness, i, frameTime));
             }
         }
         
-        // Maintain consistent hand identification
-        this.maintainHandIdentity();
+        // Match hands to persistent tracks first - zones and calibration depend on the corrected hand
+        this.maintainHandIdentity(detectedHands, frameTime);
+        
+        for (const handData of detectedHands) {
+            // Apply movement zone filtering
+            if (this.isInMovementZone(handData)) {
+                this.applyRangeMapping(handData);
+                this.currentHands.push(handData);
+            } else {
+                frameStats.outsideZone++;
+            }
+        }
+        frameStats.accepted = this.currentHands.length;
+        this.diagnostics.recordFrame(frameStats);
+        this.lastFrameStats = frameStats;
         
         // Apply smoothing
         if (this.settings.smoothing) {
             this.smoothHandPositions();
         }
         
+        // Measure tremor, then optionally filter it out
+        if (this.settings.tremorAnalysis || this.settings.tremorSuppression) {
+            this.analyzeTremor();
+        }
+        if (this.settings.tremorSuppression) {
+            this.suppressTremor();
+        }
+        
+        this.estimateDepth();
+        
         // Calculate velocities and gestures
         this.calculateHandVelocities();
         this.detectGestures();
         
+        for (const hand of this.currentHands) {
+            hand.points = this.getCanvasPoints(hand, this.getRangeBounds(hand.label));
+        }
+        
+        this.currentHands.push(...this.virtualHands);
+        
+        if (this.onFrameProcessed) {
+            this.onFrameProcessed(this.currentHands);
+        }
+        
+        this.emitHands();
+    }
+    
+    /**
+     * Process MediaPipe Pose results: the chosen body points become hands, which go
+     * through range mapping, smoothing and velocities like camera hands
+     */
+    onPoseResults(results) {
+        if (!this.isTracking) return;
+        
+        const inferenceTime = this.sendTime !== null ? performance.now() - this.sendTime : null;
+        this.sendTime = null;
+        
+        this.previousHands = [...this.currentHands];
+        this.currentHands = [];
+        
+        const frameTime = results.timestamp || this.lastFrameTime || Date.now();
+        const frameStats = { time: frameTime, raw: 0, accepted: 0, lowConfidence: 0, outsideZone: 0, confidences: [], inferenceTime };
+        
+        const inputs = results.poseLandmarks ?
+            this.bodyMapper.getHands(results.poseLandmarks, this.settings.bodyPoints, this.getActiveMount()) : [];
+        
+        for (const input of inputs) {
+            frameStats.raw++;
+            frameStats.confidences.push({ label: input.label, score: input.visibility });
+            
+            if (input.visibility < this.bodyMapper.minVisibility) {
+                frameStats.lowConfidence++;
+                continue;
+            }
+            
+            const hand = this.processVirtualHand(input, null, frameTime);
+            hand.confidence = input.visibility;
+            hand.bodyPoint = input.bodyPoint;
+            hand.bodyPosition = input.position; // Where the body point is in the view, for the preview
+            
+            if (!this.isInMovementZone(hand)) {
+                frameStats.outsideZone++;
+                continue;
+            }
+            this.applyRangeMapping(hand);
+            this.currentHands.push(hand);
+        }
+        frameStats.accepted = this.currentHands.length;
+        this.diagnostics.recordFrame(frameStats);
+        this.lastFrameStats = frameStats;
+        
+        if (this.settings.smoothing) {
+            this.smoothHandPositions();
+        }
+        this.calculateHandVelocities();
+        
+        for (const hand of this.currentHands) {
+            hand.points = this.getCanvasPoints(hand, this.getRangeBounds(hand.label));
+        }
+        
+        this.currentHands.push(...this.virtualHands);
+        
+        if (this.onFrameProcessed) {
+            this.onFrameProcessed(this.currentHands);
+        }
+        
+        this.emitHands();
+    }
+    
+    /**
+     * Turn one update from the virtual input into full hand objects
+     */
+    updateVirtualHands(inputs, time) {
+        const previous = this.virtualHands;
+        this.virtualHands = inputs.map(input =>
+            this.processVirtualHand(input, previous.find(h => h.id === input.id), time));
+        
+        // Without camera frames to join, the virtual hands make up the frame themselves
+        if (!this.isTracking || this.cameraLost) {
+            this.previousHands = [...this.currentHands];
+            this.currentHands = [...this.virtualHands];
+            
+            if (this.onFrameProcessed) {
+                this.onFrameProcessed(this.currentHands);
+            }
+            
+            this.emitHands();
+        }
+    }
+    
+    /**
+     * Build a hand object for a virtual input state
+     * Virtual hands already have stable IDs and no camera noise, so identity tracking,
+     * range mapping, smoothing and tremor analysis are skipped
+     */
+    processVirtualHand(input, previousHand, time) {
+        // processHandData expects MediaPipe's handedness, which is flipped
+        const handedness = { label: input.label === 'left' ? 'Right' : 'Left', score: 1 };
+        const hand = this.processHandData(input.landmarks, handedness, 0, time, this.defaultMount);
+        
+        hand.id = input.id;
+        hand.source = input.source;
+        
+        // Exactly where the pointer or key movement put it
+        hand.center = { ...hand.center, x: input.x, y: input.y };
+        hand.rawCenter = { ...hand.center };
+        hand.points = this.getCanvasPoints(hand);
+        if (input.direction) {
+            hand.scanDirection = input.direction; // Switch scanning: where the hand goes next
+        }
+        
+        if (previousHand) {
+            const dt = (time - previousHand.timestamp) / 1000;
+            if (dt > 0) {
+                const dx = hand.center.x - previousHand.center.x;
+                const dy = hand.center.y - previousHand.center.y;
+                hand.velocity = {
+                    x: (dx / dt) * this.settings.sensitivity,
+                    y: (dy / dt) * this.settings.sensitivity,
+                    magnitude: Math.sqrt(dx * dx + dy * dy) / dt * this.settings.sensitivity
+                };
+            }
+        }
+        
+        const result = this.virtualGestureRecognizer.recognize(hand.landmarks);
+        hand.gestures = result.gestures;
+        hand.gestureFeatures = result.features;
+        
+        return hand;
+    }
+    
+    /**
+     * Feed already-processed hands (e.g. a recorded session) through the same
+     * callbacks as live tracking
+     */
+    injectHands(hands) {
+        this.previousHands = [...this.currentHands];
+        this.currentHands = hands;
+        this.emitHands();
+    }
+    
+    /**
+     * Deliver the current hands to listeners, then report movement gestures and hand loss
+     * Replayed sessions come through here too, so their gestures are detected again
+     */
+    emitHands() {
+        const dynamicGestures = this.settings.dynamicGestures ?
+            this.dynamicGestures.process(this.currentHands) : [];
+        
         // Trigger callbacks
         if (this.onHandsDetected) {
             this.onHandsDetected(this.currentHands);
         }
         
+        if (this.onDynamicGesture) {
+            for (const event of dynamicGestures) {
+                this.onDynamicGesture(event);
+            }
+        }
+        
         // Check for hand loss
         if (this.previousHands.length > 0 && this.currentHands.length === 0) {
             if (this.onHandLost) this.onHandLost();
@@ -212,52 +930,82 @@ class HandTracker {
     /**
      * Process raw hand landmark data
      */
-    processHandData(landmarks, handedness, index) {
-        const rawLabel = handedness.label; // 'Left' or 'Right' from MediaPipe
+    processHandData(landmarks, handedness, index, timestamp = Date.now(), mount = this.getActiveMount()) {
+        // MediaPipe's 'Left' or 'Right' depends on how the camera sees the hand
+        const label = mount.getHandLabel(handedness.label);
         
-        // Flip labels to match user's perspective with mirrored coordinates
-        // MediaPipe sees "Left" but user's left hand should be labeled as "Left" on left side
-        const label = rawLabel === 'Left' ? 'Right' : 'Left';
-        
-        // Get key landmarks
-        const wrist = landmarks[0];
-        const indexTip = landmarks[8];
-        const middleTip = landmarks[12];
-        const ringTip = landmarks[16];
-        const pinkyTip = landmarks[20];
-        const thumbTip = landmarks[4];
+        // Everything downstream works in the view the student sees, not the camera image
+        const viewLandmarks = landmarks.map(landmark => mount.toView(landmark));
         
         // Calculate hand center (average of key points)
-        const handCenter = this.calculateHandCenter(landmarks);
+        const handCenter = this.calculateHandCenter(viewLandmarks);
         
         // Calculate hand size for gesture recognition
-        const handSize = this.calculateHandSize(landmarks);
+        const handSize = this.calculateHandSize(viewLandmarks);
         
         return {
-            id: `${label}_${index}`,
-            label: label.toLowerCase(), // Right hand shows as "right" on right side, left hand as "left" on left side
+            id: `${label}_${index}`, // Replaced by a persistent track ID in maintainHandIdentity
+            source: 'camera', // Or the VirtualHandInput source that produced the hand
+            label: label, // The student's own left or right hand
             confidence: handedness.score,
-            landmarks: landmarks,
+            landmarks: viewLandmarks,
             center: handCenter,
+            rawCenter: { ...handCenter }, // Before range of motion mapping
             size: handSize,
+            palmSize: this.calculatePalmSize(viewLandmarks),
+            depth: 0.5, // 0 far from the camera - 1 close to it, see estimateDepth()
             velocity: { x: 0, y: 0, magnitude: 0 },
-            fingers: {
-                thumb: thumbTip,
-                index: indexTip,
-                middle: middleTip,
-                ring: ringTip,
-                pinky: pinkyTip
-            },
+            fingers: this.getFingertips(viewLandmarks),
+            points: null, // Wrist and fingertips on the canvas, see getCanvasPoints()
             gestures: {
                 isPointing: false,
                 isFist: false,
                 isOpen: false,
-                isPinching: false
+                isPinching: false,
+                custom: null // Name of a matched personal gesture template
             },
-            timestamp: Date.now()
+            gestureFeatures: null, // Feature vector used for personal gesture templates
+            tremor: null, // Latest tremor estimate, see TremorAnalyzer
+            timestamp: timestamp
         };
     }
     
+    /**
+     * Fingertip landmarks by name
+     */
+    getFingertips(landmarks) {
+        return {
+            thumb: landmarks[4],
+            index: landmarks[8],
+            middle: landmarks[12],
+            ring: landmarks[16],
+            pinky: landmarks[20]
+        };
+    }
+    
+    /**
+     * Wrist and fingertips in canvas coordinates, like hand.center
+     * Each is placed around the finished centre by its offset from the landmarks' centre,
+     * stretched by the range of motion mapping, so the points move exactly with the centre
+     */
+    getCanvasPoints(hand, bounds = null) {
+        const anchor = this.calculateHandCenter(hand.landmarks);
+        const scaleX = bounds ? 1 / (bounds.x.max - bounds.x.min) : 1;
+        const scaleY = bounds ? 1 / (bounds.y.max - bounds.y.min) : 1;
+        const clamp = (value) => Math.max(0, Math.min(1, value));
+        
+        const toCanvas = (landmark) => ({
+            x: clamp(hand.center.x + (landmark.x - anchor.x) * scaleX),
+            y: clamp(hand.center.y + (landmark.y - anchor.y) * scaleY)
+        });
+        
+        const points = { wrist: toCanvas(hand.landmarks[0]) };
+        for (const [name, landmark] of Object.entries(this.getFingertips(hand.landmarks))) {
+            points[name] = toCanvas(landmark);
+        }
+        return points;
+    }
+    
     /**
      * Calculate hand center point
      */
@@ -268,12 +1016,9 @@ class HandTracker {
             sumY += landmark.y;
         }
         
-        // Mirror the x-coordinate to match the mirrored video preview
-        // This ensures hand positions match what user sees in the mirrored camera preview
-        const mirroredX = 1 - (sumX / landmarks.length);
-        
+        // Landmarks are already in view coordinates (see CameraMount)
         return {
-            x: mirroredX,
+            x: sumX / landmarks.length,
             y: sumY / landmarks.length,
             z: landmarks[0].z // Use wrist z-coordinate as reference
         };
@@ -292,62 +1037,215 @@ class HandTracker {
         return Math.sqrt(dx * dx + dy * dy);
     }
     
+    /**
+     * Palm length from the wrist to the middle knuckle, or the knuckle width scaled to match
+     * when the palm is seen side-on; unlike calculateHandSize it does not change with a fist
+     * x is stretched to the view's proportions (as for gesture angles), so turning the palm does
+     * not change its size on a wide camera
+     */
+    calculatePalmSize(landmarks) {
+        const aspectRatio = this.gestureRecognizer.aspectRatio;
+        const distance = (a, b) => Math.hypot((b.x - a.x) * aspectRatio, b.y - a.y);
+        const length = distance(landmarks[0], landmarks[9]);
+        const width = distance(landmarks[5], landmarks[17]);
+        return Math.max(length, width * 1.3);
+    }
+    
+    /**
+     * Set hand.depth from the palm size compared with the hand's usual size
+     * Twice the usual size (about half the distance) is fully near, half the size fully far
+     */
+    estimateDepth() {
+        for (const hand of this.currentHands) {
+            hand.palmSize = this.calculatePalmSize(hand.landmarks);
+            const time = hand.timestamp / 1000;
+            
+            let reference = this.depthReferences.get(hand.label);
+            if (!reference) {
+                reference = { size: hand.palmSize, time };
+                this.depthReferences.set(hand.label, reference);
+            } else {
+                const alpha = Math.min(1, Math.max(0, time - reference.time) / this.depthAdaptTime);
+                reference.size += (hand.palmSize - reference.size) * alpha;
+                reference.time = time;
+            }
+            
+            const depth = 0.5 + Math.log2(hand.palmSize / reference.size) / 2;
+            hand.depth = Math.max(0, Math.min(1, depth));
+        }
+    }
+    
     /**
      * Check if hand is within defined movement zone
+     * Calibrated hands use their own reachable area (plus a margin) instead
      */
     isInMovementZone(handData) {
         const { x, y } = handData.center;
+        const bounds = this.getRangeBounds(handData.label);
+        
+        if (bounds) {
+            const marginX = (bounds.x.max - bounds.x.min) * this.rangeMappingMargin;
+            const marginY = (bounds.y.max - bounds.y.min) * this.rangeMappingMargin;
+            return x >= bounds.x.min - marginX && x <= bounds.x.max + marginX &&
+                   y >= bounds.y.min - marginY && y <= bounds.y.max + marginY;
+        }
+        
         const zone = this.settings.movementZone;
         
         return x >= zone.x.min && x <= zone.x.max &&
                y >= zone.y.min && y <= zone.y.max;
     }
     
+    /**
+     * Set (or clear with null) the per-hand range of motion mapping
+     */
+    setRangeMapping(mapping) {
+        this.rangeMapping = mapping;
+        this.postToWorker({ type: 'rangeMapping', mapping });
+        console.log('Range of motion mapping', mapping ? 'applied' : 'cleared');
+    }
+    
+    getRangeBounds(label) {
+        return this.rangeMapping ? this.rangeMapping[label] || null : null;
+    }
+    
+    /**
+     * Stretch the hand's calibrated reachable area over the full canvas
+     */
+    applyRangeMapping(handData) {
+        const bounds = this.getRangeBounds(handData.label);
+        if (!bounds) return;
+        
+        const clamp = (value) => Math.max(0, Math.min(1, value));
+        handData.center.x = clamp((handData.center.x - bounds.x.min) / (bounds.x.max - bounds.x.min));
+        handData.center.y = clamp((handData.center.y - bounds.y.min) / (bounds.y.max - bounds.y.min));
+    }
+    
     /**
      * Maintain consistent hand identification across frames
+     * Assigns persistent track IDs by predicted position, so IDs survive short dropouts
+     * and handedness flips from MediaPipe are corrected
      */
-    maintainHandIdentity() {
-        if (this.currentHands.length === 0) return;
+    maintainHandIdentity(hands, time) {
+        this.identityTracker.update(hands, time);
+        
+        // Drop per-track state for hands that are gone for good
+        for (const states of [this.handFilters, this.tremorSuppressors]) {
+            for (const id of states.keys()) {
+                if (!this.identityTracker.hasTrack(id)) {
+                    states.delete(id);
+                }
+            }
+        }
+    }
+    
+    /**
+     * Apply speed-adaptive smoothing to the centre and all landmarks
+     * Steady when the hand is nearly still, responsive when it moves quickly
+     */
+    smoothHandPositions() {
+        const params = this.getSmoothingParameters();
         
-        // Simple approach: maintain left/right consistency
-        // More complex tracking could use position history and movement prediction
         for (const hand of this.currentHands) {
-            const history = this.handHistory.get(hand.label) || [];
-            history.push({
-                center: hand.center,
-                timestamp: hand.timestamp
-            });
+            let filter = this.handFilters.get(hand.id);
             
-            // Keep limited history
-            if (history.length > this.maxHistoryLength) {
-                history.shift();
+            // Start fresh after a dropout so the hand does not glide in from its old position
+            const time = hand.timestamp / 1000;
+            if (!filter || time - filter.lastTime > this.filterResetTime / 1000) {
+                filter = new HandFilter(params, hand.landmarks.length);
+                this.handFilters.set(hand.id, filter);
             }
             
-            this.handHistory.set(hand.label, history);
+            const smoothed = filter.filter(hand.center, hand.landmarks, time);
+            hand.center = smoothed.center;
+            hand.landmarks = smoothed.landmarks;
+            hand.fingers = this.getFingertips(hand.landmarks);
         }
     }
     
     /**
-     * Apply smoothing to hand positions
+     * One Euro parameters for the selected smoothing preset
      */
-    smoothHandPositions() {
-        for (const currentHand of this.currentHands) {
-            const previousHand = this.previousHands.find(h => h.label === currentHand.label);
+    getSmoothingParameters() {
+        return ONE_EURO_PRESETS[this.settings.smoothingPreset] || ONE_EURO_PRESETS.balanced;
+    }
+    
+    /**
+     * Estimate each hand's tremor from its unsmoothed, unmapped positions
+     */
+    analyzeTremor() {
+        for (const hand of this.currentHands) {
+            let analyzer = this.tremorAnalyzers.get(hand.label);
+            if (!analyzer) {
+                analyzer = new TremorAnalyzer();
+                this.tremorAnalyzers.set(hand.label, analyzer);
+            }
             
-            if (previousHand) {
-                // Apply exponential smoothing
-                currentHand.center.x = this.lerp(
-                    previousHand.center.x,
-                    currentHand.center.x,
-                    1 - this.smoothingFactor
-                );
-                currentHand.center.y = this.lerp(
-                    previousHand.center.y,
-                    currentHand.center.y,
-                    1 - this.smoothingFactor
-                );
+            const center = hand.rawCenter || hand.center;
+            analyzer.addSample(hand.timestamp, center.x, center.y, hand.size);
+            
+            const estimate = analyzer.getEstimate();
+            hand.tremor = estimate ? {
+                detected: estimate.detected,
+                frequency: estimate.frequency,
+                amplitude: estimate.amplitude,
+                relativeAmplitude: estimate.relativeAmplitude
+            } : null;
+        }
+    }
+    
+    /**
+     * Remove the measured tremor band from the centre and shift the landmarks to match
+     */
+    suppressTremor() {
+        for (const hand of this.currentHands) {
+            let suppressor = this.tremorSuppressors.get(hand.id);
+            if (!suppressor) {
+                suppressor = new TremorSuppressor();
+                this.tremorSuppressors.set(hand.id, suppressor);
             }
+            
+            const filtered = suppressor.filter(hand.center, hand.timestamp / 1000, hand.tremor);
+            const dx = filtered.x - hand.center.x;
+            const dy = filtered.y - hand.center.y;
+            if (dx === 0 && dy === 0) continue;
+            
+            hand.center = { ...hand.center, x: filtered.x, y: filtered.y };
+            
+            // Landmarks are in view coordinates before range mapping
+            const bounds = this.getRangeBounds(hand.label);
+            const landmarkDx = dx * (bounds ? bounds.x.max - bounds.x.min : 1);
+            const landmarkDy = dy * (bounds ? bounds.y.max - bounds.y.min : 1);
+            hand.landmarks = hand.landmarks.map(landmark => ({
+                ...landmark,
+                x: landmark.x + landmarkDx,
+                y: landmark.y + landmarkDy
+            }));
+            hand.fingers = this.getFingertips(hand.landmarks);
+        }
+    }
+    
+    /**
+     * Tremor measured for each hand since the session was last reset
+     */
+    getTremorSummary() {
+        const summary = {};
+        for (const [label, analyzer] of this.tremorAnalyzers) {
+            summary[label] = analyzer.getSessionSummary();
+        }
+        // Camera hands tracked in the worker are measured there
+        return { ...summary, ...this.workerTremorSummary };
+    }
+    
+    /**
+     * Start a new tremor measurement session
+     */
+    resetTremorSession() {
+        for (const analyzer of this.tremorAnalyzers.values()) {
+            analyzer.resetSession();
         }
+        this.workerTremorSummary = {};
+        this.postToWorker({ type: 'resetTremorSession' });
     }
     
     /**
@@ -355,7 +1253,7 @@ class HandTracker {
      */
     calculateHandVelocities() {
         for (const currentHand of this.currentHands) {
-            const previousHand = this.previousHands.find(h => h.label === currentHand.label);
+            const previousHand = this.previousHands.find(h => h.id === currentHand.id);
             
             if (previousHand) {
                 const dt = (currentHand.timestamp - previousHand.timestamp) / 1000; // Convert to seconds
@@ -363,11 +1261,12 @@ class HandTracker {
                 if (dt > 0) {
                     const dx = currentHand.center.x - previousHand.center.x;
                     const dy = currentHand.center.y - previousHand.center.y;
+                    const scale = this.settings.sensitivity * this.getVelocityScale(currentHand);
                     
                     currentHand.velocity = {
-                        x: (dx / dt) * this.settings.sensitivity,
-                        y: (dy / dt) * this.settings.sensitivity,
-                        magnitude: Math.sqrt(dx * dx + dy * dy) / dt * this.settings.sensitivity
+                        x: (dx / dt) * scale,
+                        y: (dy / dt) * scale,
+                        magnitude: Math.sqrt(dx * dx + dy * dy) / dt * scale
                     };
                 }
             }
@@ -375,59 +1274,47 @@ class HandTracker {
     }
     
     /**
-     * Detect basic hand gestures
+     * Factor that turns screen speed into palm lengths per second (at the typical palm size)
+     * Calibrated hands are already stretched to the student's reach, so they are left alone
+     */
+    getVelocityScale(hand) {
+        if (!this.settings.normalizeVelocity || !hand.palmSize || this.getRangeBounds(hand.label)) {
+            return 1;
+        }
+        // Limited so one badly tracked frame cannot make the hand look very fast
+        return Math.max(0.33, Math.min(3, this.typicalPalmSize / hand.palmSize));
+    }
+    
+    /**
+     * Detect hand gestures from joint angles, so they work in any hand orientation
      */
     detectGestures() {
         for (const hand of this.currentHands) {
-            const landmarks = hand.landmarks;
-            
-            // Detect pointing (index finger extended)
-            hand.gestures.isPointing = this.isFingerExtended(landmarks, 8) && 
-                                      !this.isFingerExtended(landmarks, 12) &&
-                                      !this.isFingerExtended(landmarks, 16) &&
-                                      !this.isFingerExtended(landmarks, 20);
-            
-            // Detect open hand (all fingers extended)
-            hand.gestures.isOpen = this.isFingerExtended(landmarks, 8) &&
-                                  this.isFingerExtended(landmarks, 12) &&
-                                  this.isFingerExtended(landmarks, 16) &&
-                                  this.isFingerExtended(landmarks, 20);
-            
-            // Detect fist (all fingers closed)
-            hand.gestures.isFist = !this.isFingerExtended(landmarks, 8) &&
-                                  !this.isFingerExtended(landmarks, 12) &&
-                                  !this.isFingerExtended(landmarks, 16) &&
-                                  !this.isFingerExtended(landmarks, 20);
-            
-            // Detect pinching (thumb and index close)
-            hand.gestures.isPinching = this.isPinching(landmarks);
+            const result = this.gestureRecognizer.recognize(hand.landmarks);
+            hand.gestures = result.gestures;
+            hand.gestureFeatures = result.features;
         }
     }
     
     /**
-     * Check if a finger is extended
+     * Replace the personal gesture templates (e.g. when the student changes)
      */
-    isFingerExtended(landmarks, tipIndex) {
-        const tip = landmarks[tipIndex];
-        const pip = landmarks[tipIndex - 2]; // PIP joint
-        
-        // Simple check: tip is higher than PIP joint
-        return tip.y < pip.y;
+    setGestureTemplates(templates) {
+        this.gestureRecognizer.setTemplates(templates);
+        this.postToWorker({ type: 'gestureTemplates', templates: this.gestureRecognizer.getTemplates() });
     }
     
     /**
-     * Check if thumb and index finger are pinching
+     * Add trained samples of a personal gesture
      */
-    isPinching(landmarks) {
-        const thumbTip = landmarks[4];
-        const indexTip = landmarks[8];
-        
-        const distance = Math.sqrt(
-            Math.pow(thumbTip.x - indexTip.x, 2) +
-            Math.pow(thumbTip.y - indexTip.y, 2)
-        );
-        
-        return distance < 0.05; // Threshold for pinching
+    addGestureTemplate(name, samples) {
+        this.gestureRecognizer.addTemplate(name, samples);
+        this.postToWorker({ type: 'gestureTemplates', templates: this.gestureRecognizer.getTemplates() });
+    }
+    
+    removeGestureTemplate(name) {
+        this.gestureRecognizer.removeTemplate(name);
+        this.postToWorker({ type: 'gestureTemplates', templates: this.gestureRecognizer.getTemplates() });
     }
     
     /**
@@ -442,15 +1329,63 @@ class HandTracker {
      */
     updateSettings(newSettings) {
         this.settings = { ...this.settings, ...newSettings };
+        this.postToWorker({ type: 'settings', settings: newSettings });
+        
+        if (newSettings.smoothingPreset) {
+            const params = this.getSmoothingParameters();
+            for (const filter of this.handFilters.values()) {
+                filter.setParameters(params);
+            }
+        }
         
         if (this.hands) {
-            this.hands.setOptions({
-                maxNumHands: this.settings.singleHandMode ? 1 : 2,
-                modelComplexity: 1,
-                minDetectionConfidence: 0.5,
-                minTrackingConfidence: 0.5
-            });
+            this.hands.setOptions(this.getMediaPipeOptions());
+        }
+        if (this.pose) {
+            this.pose.setOptions(this.getPoseOptions());
         }
+        
+        if (newSettings.cameraMount) {
+            this.setCameraMount(newSettings.cameraMount);
+        }
+        
+        // A different camera, resolution or frame rate needs a new stream
+        if (newSettings.camera && this.usingCamera) {
+            this.reconnectCamera();
+        }
+    }
+    
+    /**
+     * Change how the camera is mounted
+     * Positions jump to the new view, so tracks and filters start again
+     */
+    setCameraMount(mode) {
+        this.cameraMount.setMode(mode);
+        this.settings.cameraMount = this.cameraMount.mode;
+        this.updateAspectRatio();
+        
+        if (!this.simulationSource) {
+            this.identityTracker.reset();
+            this.identityTracker.rightHandSide = this.cameraMount.getRightHandSide();
+            this.handFilters.clear();
+            this.tremorSuppressors.clear();
+            this.dynamicGestures.reset();
+        }
+    }
+    
+    /**
+     * Mount used for hands from the current source
+     */
+    getActiveMount() {
+        return this.simulationSource ? this.defaultMount : this.cameraMount;
+    }
+    
+    /**
+     * Gesture angles need the view's real proportions
+     */
+    updateAspectRatio() {
+        if (this.simulationSource || !this.frameSize) return;
+        this.gestureRecognizer.aspectRatio = this.cameraMount.getViewAspectRatio(this.frameSize.width, this.frameSize.height);
     }
     
     /**
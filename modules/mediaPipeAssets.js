@@ -0,0 +1,161 @@
+/**
+ * MediaPipe Assets Module
+ * Loads MediaPipe from copies served by the app itself (vendor/mediapipe, filled by
+ * `npm run vendor`), so sessions work in schools with locked-down or no internet.
+ * The CDN is only used, if allowed, when the local copy is missing.
+ *
+ * The same file list is used by scripts/fetch-mediapipe.js to download the assets
+ * and by the service worker to cache them.
+ */
+
+const MEDIAPIPE_ASSETS = {
+    localPath: 'vendor/mediapipe',
+    cdnPath: 'https://cdn.jsdelivr.net/npm',
+    
+    // Set to false for deployments that must never reach the internet
+    cdnFallback: true,
+    
+    // Loaded in this order; versions are pinned so local and CDN copies match
+    packages: {
+        hands: {
+            name: '@mediapipe/hands',
+            version: '0.4.1675469240',
+            script: 'hands.js',
+            global: 'Hands',
+            // hands.js fetches the rest itself through locateFile
+            files: [
+                'hands.js',
+                'hands.binarypb',
+                'hands_solution_packed_assets.data',
+                'hands_solution_packed_assets_loader.js',
+                'hands_solution_simd_wasm_bin.js',
+                'hands_solution_simd_wasm_bin.wasm',
+                'hands_solution_wasm_bin.js',
+                'hands_solution_wasm_bin.wasm',
+                'hand_landmark_full.tflite',
+                'hand_landmark_lite.tflite'
+            ]
+        },
+        // Head and upper-body tracking; hands work without it
+        pose: {
+            name: '@mediapipe/pose',
+            version: '0.5.1675469404',
+            script: 'pose.js',
+            global: 'Pose',
+            optional: true,
+            files: [
+                'pose.js',
+                'pose_web.binarypb',
+                'pose_solution_packed_assets.data',
+                'pose_solution_packed_assets_loader.js',
+                'pose_solution_simd_wasm_bin.data',
+                'pose_solution_simd_wasm_bin.js',
+                'pose_solution_simd_wasm_bin.wasm',
+                'pose_solution_wasm_bin.js',
+                'pose_solution_wasm_bin.wasm',
+                'pose_landmark_full.tflite',
+                'pose_landmark_lite.tflite'
+            ]
+        }
+    }
+};
+
+class MediaPipeLoader {
+    constructor(options = {}) {
+        this.assets = options.assets || MEDIAPIPE_ASSETS;
+        this.allowCdn = options.allowCdn !== undefined ? options.allowCdn : this.assets.cdnFallback;
+        
+        // Package name -> 'local', 'cdn' or 'unavailable'
+        this.sources = {};
+    }
+    
+    /**
+     * Load every package's script, preferring the local copy
+     * Returns the startup report from checkAssets()
+     */
+    async load() {
+        for (const [key, pkg] of Object.entries(this.assets.packages)) {
+            if (await this.loadScript(`${this.getLocalBase(key)}${pkg.script}`, pkg.global)) {
+                this.sources[key] = 'local';
+            } else if (this.allowCdn && await this.loadScript(`${this.getCdnBase(key)}${pkg.script}`, pkg.global)) {
+                this.sources[key] = 'cdn';
+                console.warn(`MediaPipe ${key} loaded from the CDN - run "npm run vendor" for offline use`);
+            } else {
+                this.sources[key] = 'unavailable';
+                console.error(`MediaPipe ${key} could not be loaded`);
+            }
+        }
+        
+        return this.checkAssets();
+    }
+    
+    /**
+     * Add a script tag and resolve with whether it defined the expected global
+     */
+    loadScript(src, globalName) {
+        return new Promise((resolve) => {
+            const script = document.createElement('script');
+            script.src = src;
+            script.crossOrigin = 'anonymous';
+            script.onload = () => resolve(typeof window[globalName] !== 'undefined');
+            script.onerror = () => {
+                script.remove();
+                resolve(false);
+            };
+            document.head.appendChild(script);
+        });
+    }
+    
+    /**
+     * Which local files are missing, and where each package is being served from
+     * { sources: { hands: 'local' | 'cdn' | 'unavailable', ... }, missing: ['vendor/...'], checked }
+     */
+    async checkAssets() {
+        const report = { sources: { ...this.sources }, missing: [], checked: false };
+        
+        // Pages opened straight from disk cannot fetch files; MediaPipe needs a web server anyway
+        if (location.protocol === 'file:') return report;
+        
+        for (const [key, pkg] of Object.entries(this.assets.packages)) {
+            for (const file of pkg.files) {
+                const url = `${this.getLocalBase(key)}${file}`;
+                try {
+                    const response = await fetch(url, { method: 'HEAD', cache: 'no-cache' });
+                    if (!response.ok) report.missing.push(url);
+                } catch (error) {
+                    report.missing.push(url);
+                }
+            }
+        }
+        
+        report.checked = true;
+        return report;
+    }
+    
+    /**
+     * Base URL that MediaPipe should fetch a package's data files from
+     */
+    getAssetBase(key) {
+        return this.sources[key] === 'cdn' ? this.getCdnBase(key) : this.getLocalBase(key);
+    }
+    
+    /**
+     * Whether a package's script loaded, from the local copy or the CDN
+     */
+    isAvailable(key) {
+        return this.sources[key] === 'local' || this.sources[key] === 'cdn';
+    }
+    
+    getLocalBase(key) {
+        return `${this.assets.localPath}/${key}/`;
+    }
+    
+    getCdnBase(key) {
+        const pkg = this.assets.packages[key];
+        return `${this.assets.cdnPath}/${pkg.name}@${pkg.version}/`;
+    }
+}
+
+// Export for use in main application
+window.MEDIAPIPE_ASSETS = MEDIAPIPE_ASSETS;
+window.MediaPipeLoader = MediaPipeLoader;
@@ -0,0 +1,204 @@
+/**
+ * Motion Filters Module
+ * Speed-adaptive smoothing for hand positions and landmarks.
+ *
+ * The One Euro filter (Casiez, Roussel & Vogel, CHI 2012) smooths heavily when a hand is
+ * nearly still - removing jitter - and lightly when it moves fast - removing lag.
+ * It works from real timestamps, so it behaves the same at 15fps and 60fps.
+ */
+
+/**
+ * Therapist-facing presets (positions are normalized 0-1, time in seconds)
+ * minCutoff: lower = steadier when still, beta: higher = less lag on fast movements
+ */
+const ONE_EURO_PRESETS = {
+    responsive: { minCutoff: 2.0, beta: 20, dCutoff: 1.0 },
+    balanced: { minCutoff: 1.0, beta: 10, dCutoff: 1.0 },
+    stable: { minCutoff: 0.5, beta: 5, dCutoff: 1.0 },
+    'extra-stable': { minCutoff: 0.25, beta: 2, dCutoff: 1.0 }
+};
+
+class OneEuroFilter {
+    constructor(params = ONE_EURO_PRESETS.balanced) {
+        this.setParameters(params);
+        this.reset();
+    }
+    
+    setParameters({ minCutoff, beta, dCutoff }) {
+        this.minCutoff = minCutoff;
+        this.beta = beta;
+        this.dCutoff = dCutoff;
+    }
+    
+    reset() {
+        this.previousValue = null;
+        this.previousDerivative = 0;
+        this.previousTime = null;
+    }
+    
+    /**
+     * Smoothing factor for a cutoff frequency (Hz) and time step (s)
+     */
+    alpha(cutoff, dt) {
+        const tau = 1 / (2 * Math.PI * cutoff);
+        return 1 / (1 + tau / dt);
+    }
+    
+    /**
+     * Filter one sample taken at the given time (seconds)
+     */
+    filter(value, time) {
+        if (this.previousTime === null || time < this.previousTime) {
+            // First sample, or the clock restarted (e.g. a new simulation script)
+            this.previousValue = value;
+            this.previousDerivative = 0;
+            this.previousTime = time;
+            return value;
+        }
+        
+        const dt = time - this.previousTime;
+        if (dt === 0) return this.previousValue;
+        
+        const derivative = (value - this.previousValue) / dt;
+        const smoothedDerivative = this.previousDerivative +
+            this.alpha(this.dCutoff, dt) * (derivative - this.previousDerivative);
+        
+        const cutoff = this.minCutoff + this.beta * Math.abs(smoothedDerivative);
+        const smoothed = this.previousValue + this.alpha(cutoff, dt) * (value - this.previousValue);
+        
+        this.previousValue = smoothed;
+        this.previousDerivative = smoothedDerivative;
+        this.previousTime = time;
+        
+        return smoothed;
+    }
+}
+
+/**
+ * One Euro filters for a 3D point
+ */
+class PointFilter {
+    constructor(params) {
+        this.x = new OneEuroFilter(params);
+        this.y = new OneEuroFilter(params);
+        this.z = new OneEuroFilter(params);
+    }
+    
+    setParameters(params) {
+        this.x.setParameters(params);
+        this.y.setParameters(params);
+        this.z.setParameters(params);
+    }
+    
+    filter(point, time) {
+        return {
+            x: this.x.filter(point.x, time),
+            y: this.y.filter(point.y, time),
+            z: point.z === undefined ? point.z : this.z.filter(point.z, time)
+        };
+    }
+}
+
+/**
+ * Filters for one tracked hand: its centre plus every landmark
+ */
+class HandFilter {
+    constructor(params, landmarkCount = 21) {
+        this.params = params;
+        this.center = new PointFilter(params);
+        this.landmarks = [];
+        for (let i = 0; i < landmarkCount; i++) {
+            this.landmarks.push(new PointFilter(params));
+        }
+        this.lastTime = 0;
+    }
+    
+    setParameters(params) {
+        this.params = params;
+        this.center.setParameters(params);
+        for (const filter of this.landmarks) {
+            filter.setParameters(params);
+        }
+    }
+    
+    /**
+     * Return smoothed copies of the centre and landmarks
+     */
+    filter(center, landmarks, time) {
+        this.lastTime = time;
+        return {
+            center: this.center.filter(center, time),
+            landmarks: landmarks.map((landmark, i) =>
+                this.landmarks[i] ? this.landmarks[i].filter(landmark, time) : { ...landmark })
+        };
+    }
+}
+
+/**
+ * Biquad band-stop (notch) filter that removes one frequency band
+ * The sample rate is taken from each frame's timestamp, so uneven frame rates are handled
+ */
+class NotchFilter {
+    constructor(frequency = 5, q = 1.5) {
+        this.frequency = frequency;
+        this.q = q;
+        this.reset();
+    }
+    
+    reset() {
+        this.x1 = null;
+        this.x2 = null;
+        this.y1 = null;
+        this.y2 = null;
+        this.previousTime = null;
+    }
+    
+    setFrequency(frequency) {
+        this.frequency = frequency;
+    }
+    
+    /**
+     * Filter one sample taken at the given time (seconds)
+     */
+    filter(value, time) {
+        const dt = this.previousTime === null ? 0 : time - this.previousTime;
+        this.previousTime = time;
+        
+        // Prime the state on the first sample or after the clock jumps
+        if (this.x1 === null || dt <= 0 || dt > 0.5) {
+            this.x1 = this.x2 = this.y1 = this.y2 = value;
+            return value;
+        }
+        
+        const sampleRate = 1 / dt;
+        if (this.frequency >= sampleRate / 2) {
+            // The band cannot be represented at this frame rate
+            this.x2 = this.x1;
+            this.x1 = value;
+            this.y2 = this.y1;
+            this.y1 = value;
+            return value;
+        }
+        
+        const w0 = 2 * Math.PI * this.frequency / sampleRate;
+        const cosW0 = Math.cos(w0);
+        const alpha = Math.sin(w0) / (2 * this.q);
+        const a0 = 1 + alpha;
+        
+        const output = (value - 2 * cosW0 * this.x1 + this.x2 + 2 * cosW0 * this.y1 - (1 - alpha) * this.y2) / a0;
+        
+        this.x2 = this.x1;
+        this.x1 = value;
+        this.y2 = this.y1;
+        this.y1 = output;
+        
+        return output;
+    }
+}
+
+// Export for use in main application
+window.ONE_EURO_PRESETS = ONE_EURO_PRESETS;
+window.OneEuroFilter = OneEuroFilter;
+window.PointFilter = PointFilter;
+window.HandFilter = HandFilter;
+window.NotchFilter = NotchFilter;
@@ -0,0 +1,417 @@
+/**
+ * Session Recorder Module
+ * Records processed hand-tracking frames and replays them through the live pipeline
+ * so therapists can review sessions and developers can reproduce issues without a camera
+ */
+
+const SESSION_FILE_FORMAT = 'little-hands-session';
+// 2: landmarks in view coordinates, like the hand centre
+// 3: landmarks as flat [x, y, z, x, y, z, ...] arrays, without fields rebuilt on replay
+const SESSION_FILE_VERSION = 3;
+
+// Hand fields left out of recordings: fingers are rebuilt from the landmarks, and gesture
+// features are only needed for training gestures on live hands
+const SESSION_DROPPED_FIELDS = ['fingers', 'gestureFeatures'];
+
+// Landmark numbers of the fingertips, as in HandTracker.getFingertips()
+const SESSION_FINGERTIPS = { thumb: 4, index: 8, middle: 12, ring: 16, pinky: 20 };
+
+class SessionRecorder {
+    constructor() {
+        this.isRecording = false;
+        this.recording = null;
+        this.startTime = 0;
+        
+        // About 20 minutes of tracking at 30fps; stored compactly (see compactHand), two hands
+        // for the whole time take about 100 MB, which school laptops and Chromebooks can hold
+        this.maxFrames = 36000;
+        
+        // Decimal places kept for coordinates in saved files
+        this.precision = 5;
+        
+        // Callbacks
+        this.onRecordingStopped = null;
+    }
+    
+    /**
+     * Start a new recording
+     */
+    start(metadata = {}) {
+        this.recording = {
+            format: SESSION_FILE_FORMAT,
+            version: SESSION_FILE_VERSION,
+            recordedAt: new Date().toISOString(),
+            metadata: { ...metadata },
+            duration: 0,
+            frames: []
+        };
+        this.startTime = Date.now();
+        this.isRecording = true;
+        
+        console.log('Session recording started');
+    }
+    
+    /**
+     * Record one processed frame of hand objects
+     */
+    recordFrame(hands) {
+        if (!this.isRecording) return;
+        
+        const t = Date.now() - this.startTime;
+        this.recording.frames.push({
+            t,
+            hands: hands.map(hand => this.compactHand(hand))
+        });
+        this.recording.duration = t;
+        
+        if (this.recording.frames.length >= this.maxFrames) {
+            console.warn('Session recording reached its maximum length and was stopped');
+            this.stop();
+        }
+    }
+    
+    /**
+     * Stop recording and return the recorded session
+     */
+    stop() {
+        if (!this.isRecording) return this.recording;
+        
+        this.isRecording = false;
+        console.log(`Session recording stopped: ${this.recording.frames.length} frames`);
+        
+        if (this.onRecordingStopped) {
+            this.onRecordingStopped(this.recording);
+        }
+        
+        return this.recording;
+    }
+    
+    /**
+     * Check whether there is a finished recording to save
+     */
+    hasRecording() {
+        return !!this.recording && this.recording.frames.length > 0;
+    }
+    
+    /**
+     * Small rounded copy of a hand, so later in-place smoothing cannot alter recorded data:
+     * landmarks become one flat Float32Array and fields rebuilt on replay are left out
+     */
+    compactHand(hand) {
+        const fields = { ...hand };
+        for (const name of [...SESSION_DROPPED_FIELDS, 'landmarks']) delete fields[name];
+        const compact = JSON.parse(JSON.stringify(fields, (key, value) => this.round(value)));
+        
+        if (Array.isArray(hand.landmarks)) {
+            compact.landmarks = Float32Array.from(hand.landmarks.flatMap(point => [point.x, point.y, point.z || 0]));
+        }
+        return compact;
+    }
+    
+    /**
+     * Round coordinates for saving; typed arrays are saved as plain arrays
+     */
+    round(value) {
+        if (ArrayBuffer.isView(value)) return Array.from(value);
+        if (typeof value === 'number' && !Number.isInteger(value)) {
+            const factor = Math.pow(10, this.precision);
+            return Math.round(value * factor) / factor;
+        }
+        return value;
+    }
+    
+    /**
+     * A full hand object from a recorded one, in any file version
+     */
+    static expandHand(hand) {
+        const { landmarks, ...fields } = hand;
+        const expanded = JSON.parse(JSON.stringify(fields));
+        
+        if (landmarks && typeof landmarks[0] === 'number') {
+            expanded.landmarks = [];
+            for (let i = 0; i + 2 < landmarks.length; i += 3) {
+                expanded.landmarks.push({ x: landmarks[i], y: landmarks[i + 1], z: landmarks[i + 2] });
+            }
+        } else if (landmarks) {
+            expanded.landmarks = landmarks.map(point => ({ ...point }));
+        }
+        
+        if (!expanded.fingers && Array.isArray(expanded.landmarks) && expanded.landmarks.length === 21) {
+            expanded.fingers = {};
+            for (const [name, index] of Object.entries(SESSION_FINGERTIPS)) {
+                expanded.fingers[name] = { ...expanded.landmarks[index] };
+            }
+        }
+        return expanded;
+    }
+    
+    /**
+     * Serialize the recording to JSON with rounded coordinates
+     */
+    serialize(recording = this.recording) {
+        return JSON.stringify(recording, (key, value) => this.round(value));
+    }
+    
+    /**
+     * Download the recording as a JSON file
+     */
+    download(filename = null) {
+        if (!this.hasRecording()) return false;
+        
+        const stamp = this.recording.recordedAt.replace(/[:.]/g, '-');
+        const blob = new Blob([this.serialize()], { type: 'application/json' });
+        const url = URL.createObjectURL(blob);
+        
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = filename || `little-hands-session-${stamp}.json`;
+        document.body.appendChild(link);
+        link.click();
+        document.body.removeChild(link);
+        
+        setTimeout(() => URL.revokeObjectURL(url), 1000);
+        return true;
+    }
+    
+    /**
+     * Parse and validate a recording from JSON text
+     */
+    static parse(text) {
+        const recording = JSON.parse(text);
+        
+        if (!recording || recording.format !== SESSION_FILE_FORMAT) {
+            throw new Error('This file is not a Little Hands session recording');
+        }
+        if (recording.version > SESSION_FILE_VERSION) {
+            throw new Error('This recording was made with a newer version of the app');
+        }
+        if (!Array.isArray(recording.frames)) {
+            throw new Error('The recording has no frames');
+        }
+        
+        if (!recording.version || recording.version < 2) {
+            SessionRecorder.mirrorLandmarks(recording);
+        }
+        
+        return recording;
+    }
+    
+    /**
+     * Version 1 kept landmarks in unmirrored camera coordinates; flip them into the
+     * mirrored front view that those recordings were made with
+     */
+    static mirrorLandmarks(recording) {
+        const mirror = (point) => (point ? { ...point, x: 1 - point.x } : point);
+        
+        for (const frame of recording.frames) {
+            for (const hand of frame.hands || []) {
+                if (Array.isArray(hand.landmarks)) {
+                    hand.landmarks = hand.landmarks.map(mirror);
+                }
+                if (hand.fingers) {
+                    for (const name of Object.keys(hand.fingers)) {
+                        hand.fingers[name] = mirror(hand.fingers[name]);
+                    }
+                }
+            }
+        }
+    }
+    
+    /**
+     * Load a recording from a File selected by the user
+     */
+    static async loadFromFile(file) {
+        const text = await file.text();
+        return SessionRecorder.parse(text);
+    }
+}
+
+/**
+ * Replays a recorded session frame by frame with pause, seek and speed control
+ */
+class SessionPlayer {
+    constructor() {
+        this.recording = null;
+        this.isPlaying = false;
+        
+        // Playback position in recording time (ms)
+        this.position = 0;
+        this.frameIndex = 0;
+        this.speed = 1;
+        this.minSpeed = 0.25;
+        this.maxSpeed = 4;
+        
+        // Catch-up limit so high speeds or slow devices do not flood the pipeline
+        this.maxFramesPerTick = 10;
+        
+        this.animationId = null;
+        this.lastTickTime = 0;
+        
+        // Callbacks
+        this.onFrame = null;
+        this.onPositionChange = null;
+        this.onEnded = null;
+    }
+    
+    /**
+     * Load a recording for playback
+     */
+    load(recording) {
+        this.stop();
+        this.recording = recording;
+        this.position = 0;
+        this.frameIndex = 0;
+    }
+    
+    /**
+     * Start or continue playback
+     */
+    play() {
+        if (!this.recording || this.isPlaying) return;
+        
+        // Restart from the beginning if playback had finished
+        if (this.position >= this.getDuration()) {
+            this.seek(0);
+        }
+        
+        this.isPlaying = true;
+        this.lastTickTime = Date.now();
+        
+        const tick = () => {
+            if (!this.isPlaying) return;
+            this.advance();
+            if (this.isPlaying) {
+                this.animationId = requestAnimationFrame(tick);
+            }
+        };
+        
+        this.animationId = requestAnimationFrame(tick);
+    }
+    
+    /**
+     * Pause playback at the current position
+     */
+    pause() {
+        this.isPlaying = false;
+        if (this.animationId) {
+            cancelAnimationFrame(this.animationId);
+            this.animationId = null;
+        }
+    }
+    
+    /**
+     * Stop playback and rewind
+     */
+    stop() {
+        this.pause();
+        this.position = 0;
+        this.frameIndex = 0;
+    }
+    
+    /**
+     * Jump to a position (ms) and emit the frame shown at that time
+     */
+    seek(time) {
+        if (!this.recording) return;
+        
+        this.position = Math.max(0, Math.min(time, this.getDuration()));
+        this.frameIndex = this.findFrameIndex(this.position);
+        
+        const frame = this.recording.frames[this.frameIndex - 1];
+        if (frame) {
+            this.emitFrame(frame);
+        }
+        
+        this.notifyPosition();
+    }
+    
+    /**
+     * Set playback speed, clamped to the supported range
+     */
+    setSpeed(speed) {
+        this.speed = Math.max(this.minSpeed, Math.min(this.maxSpeed, speed));
+    }
+    
+    /**
+     * Advance playback by the elapsed wall-clock time
+     */
+    advance() {
+        const now = Date.now();
+        this.position += (now - this.lastTickTime) * this.speed;
+        this.lastTickTime = now;
+        
+        const frames = this.recording.frames;
+        const target = this.findFrameIndex(this.position);
+        
+        // Skip ahead to the latest due frames when falling behind
+        if (target - this.frameIndex > this.maxFramesPerTick) {
+            this.frameIndex = target - this.maxFramesPerTick;
+        }
+        
+        while (this.frameIndex < target) {
+            this.emitFrame(frames[this.frameIndex]);
+            this.frameIndex++;
+        }
+        
+        this.notifyPosition();
+        
+        if (this.frameIndex >= frames.length) {
+            this.position = this.getDuration();
+            this.pause();
+            if (this.onEnded) this.onEnded();
+        }
+    }
+    
+    /**
+     * Send a copy of the recorded hands to the consumer with live timestamps
+     */
+    emitFrame(frame) {
+        if (!this.onFrame) return;
+        
+        const now = Date.now();
+        const hands = frame.hands.map(hand => ({
+            ...SessionRecorder.expandHand(hand),
+            timestamp: now
+        }));
+        
+        this.onFrame(hands);
+    }
+    
+    /**
+     * Index of the first frame after the given time (binary search)
+     */
+    findFrameIndex(time) {
+        const frames = this.recording.frames;
+        let low = 0;
+        let high = frames.length;
+        
+        while (low < high) {
+            const mid = (low + high) >> 1;
+            if (frames[mid].t <= time) {
+                low = mid + 1;
+            } else {
+                high = mid;
+            }
+        }
+        
+        return low;
+    }
+    
+    notifyPosition() {
+        if (this.onPositionChange) {
+            this.onPositionChange(this.position, this.getDuration());
+        }
+    }
+    
+    getDuration() {
+        return this.recording ? this.recording.duration : 0;
+    }
+    
+    isLoaded() {
+        return !!this.recording;
+    }
+}
+
+// Export for use in main application
+window.SessionRecorder = SessionRecorder;
+window.SessionPlayer = SessionPlayer;
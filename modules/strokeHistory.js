@@ -0,0 +1,212 @@
+/**
+ * Stroke History Module
+ * The drawing as a list of strokes rather than pixels. A stroke starts when a hand puts its pen
+ * down and ends when the pen lifts, the hand enters or leaves a trigger zone, or it pauses.
+ * Finished strokes are kept so the canvas can be redrawn from them - after undo and redo, or
+ * when the window is resized.
+ *
+ * Points are in canvas units (0-1) so the picture fits any canvas size; widths are in pixels.
+ */
+
+class StrokeHistory {
+    constructor() {
+        this.strokes = []; // Finished strokes, oldest first
+        this.activeStrokes = new Map(); // key -> stroke being drawn
+        this.undone = []; // Strokes taken off by undo, most recent last
+        
+        // Bounds memory in long permanent-painting sessions (about an hour of drawing with two hands)
+        this.maxPoints = 200000;
+        this.pointCount = 0;
+        
+        // Long strokes are split so one never grows past this, whatever the hand does
+        this.maxStrokePoints = 2000;
+        
+        // Points closer than this (canvas units) to a stroke's last point are left out, so a
+        // still hand adds nothing and its stroke ends after a pause like a hand that has gone
+        this.minPointDistance = 0.005;
+        
+        this.nextId = 1;
+        
+        // Goes up whenever finished strokes change other than by a new one being added,
+        // so a cached picture knows to redraw
+        this.revision = 0;
+    }
+    
+    /**
+     * Add a point to the stroke drawn by this key, starting one if needed
+     * point: { x, y, width, color, opacity, time }; handId lets a hand's strokes be ended together
+     */
+    addPoint(key, point, handId = key) {
+        let stroke = this.activeStrokes.get(key);
+        if (stroke) {
+            const last = stroke.points[stroke.points.length - 1];
+            if (Math.hypot(point.x - last.x, point.y - last.y) < this.minPointDistance) return;
+            
+            if (stroke.points.length >= this.maxStrokePoints) {
+                // Carry on in a new stroke from where this one stops, so the line has no gap
+                this.endStroke(key);
+                stroke = this.startStroke(key, handId);
+                stroke.points.push(last);
+                this.pointCount++;
+            }
+        } else {
+            stroke = this.startStroke(key, handId);
+        }
+        
+        stroke.points.push(point);
+        this.pointCount++;
+        
+        // A stroke that draws something after undo replaces what was undone, like any editor
+        if (stroke.points.length === 2) {
+            this.undone = [];
+        }
+        
+        while (this.pointCount > this.maxPoints && this.strokes.length > 0) {
+            const dropped = this.strokes.shift();
+            this.pointCount -= dropped.points.length;
+            this.revision++;
+            console.warn('Drawing reached its maximum size; the oldest stroke was removed');
+        }
+    }
+    
+    startStroke(key, handId) {
+        const stroke = { id: this.nextId++, key, handId, points: [] };
+        this.activeStrokes.set(key, stroke);
+        return stroke;
+    }
+    
+    /**
+     * Finish the stroke drawn by this key; returns the finished stroke, or null
+     * A single point draws nothing, so it is not kept
+     */
+    endStroke(key) {
+        const stroke = this.activeStrokes.get(key);
+        if (!stroke) return null;
+        
+        this.activeStrokes.delete(key);
+        if (stroke.points.length < 2) {
+            this.pointCount -= stroke.points.length;
+            return null;
+        }
+        
+        this.strokes.push(stroke);
+        return stroke;
+    }
+    
+    /**
+     * Finish every stroke a hand is drawing (all its draw points and their mirror copies)
+     */
+    endHandStrokes(handId) {
+        const finished = [];
+        for (const stroke of [...this.activeStrokes.values()]) {
+            if (stroke.handId === handId) {
+                const ended = this.endStroke(stroke.key);
+                if (ended) finished.push(ended);
+            }
+        }
+        return finished;
+    }
+    
+    /**
+     * Finish strokes that have had no new point for pauseTime ms - the hand has gone or kept still
+     */
+    endIdleStrokes(now, pauseTime) {
+        const finished = [];
+        for (const stroke of [...this.activeStrokes.values()]) {
+            const last = stroke.points[stroke.points.length - 1];
+            if (!last || now - last.time > pauseTime) {
+                const ended = this.endStroke(stroke.key);
+                if (ended) finished.push(ended);
+            }
+        }
+        return finished;
+    }
+    
+    endAll() {
+        for (const key of [...this.activeStrokes.keys()]) {
+            this.endStroke(key);
+        }
+    }
+    
+    /**
+     * Drop points older than maxAge ms, and strokes left with none; returns whether anything was removed
+     */
+    removeOlderThan(now, maxAge) {
+        let removed = false;
+        const trim = (stroke) => {
+            let count = 0;
+            while (count < stroke.points.length && now - stroke.points[count].time > maxAge) count++;
+            if (count > 0) {
+                stroke.points.splice(0, count);
+                this.pointCount -= count;
+                removed = true;
+            }
+            return stroke.points.length > 0;
+        };
+        
+        this.strokes = this.strokes.filter(trim);
+        for (const stroke of [...this.activeStrokes.values()]) {
+            if (!trim(stroke)) this.activeStrokes.delete(stroke.key);
+        }
+        if (removed) this.revision++;
+        return removed;
+    }
+    
+    /**
+     * Take off the most recent stroke; returns whether there was one
+     */
+    undo() {
+        this.endAll();
+        const stroke = this.strokes.pop();
+        if (!stroke) return false;
+        
+        this.pointCount -= stroke.points.length;
+        this.undone.push(stroke);
+        this.revision++;
+        return true;
+    }
+    
+    /**
+     * Put back the most recently undone stroke; returns whether there was one
+     */
+    redo() {
+        const stroke = this.undone.pop();
+        if (!stroke) return false;
+        
+        this.endAll();
+        this.strokes.push(stroke);
+        this.pointCount += stroke.points.length;
+        this.revision++;
+        return true;
+    }
+    
+    canUndo() {
+        return this.strokes.length > 0 || this.activeStrokes.size > 0;
+    }
+    
+    canRedo() {
+        return this.undone.length > 0;
+    }
+    
+    /**
+     * Finished and in-progress strokes, oldest first
+     */
+    getAll() {
+        return [...this.strokes, ...this.activeStrokes.values()];
+    }
+    
+    isEmpty() {
+        return this.strokes.length === 0 && this.activeStrokes.size === 0;
+    }
+    
+    clear() {
+        this.strokes = [];
+        this.activeStrokes.clear();
+        this.undone = [];
+        this.pointCount = 0;
+        this.revision++;
+    }
+}
+
+// Export for use in main application
+window.StrokeHistory = StrokeHistory;
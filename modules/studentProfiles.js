@@ -0,0 +1,121 @@
+/**
+ * Student Profiles Module
+ * Keeps per-student settings (calibration, layouts) in this browser's localStorage.
+ * Nothing leaves the device; students can be identified by initials or a nickname.
+ */
+
+class StudentProfiles {
+    constructor(storageKey = 'littleHands.students') {
+        this.storageKey = storageKey;
+        this.data = { current: null, students: {} };
+        
+        // Callbacks
+        this.onStudentChange = null;
+        
+        this.load();
+    }
+    
+    /**
+     * Read profiles from localStorage
+     */
+    load() {
+        try {
+            const stored = window.localStorage.getItem(this.storageKey);
+            if (stored) {
+                const parsed = JSON.parse(stored);
+                this.data = {
+                    current: parsed.current || null,
+                    students: parsed.students || {}
+                };
+            }
+        } catch (error) {
+            // Private browsing or blocked storage - profiles only last for this session
+            console.warn('Student profiles could not be loaded:', error);
+        }
+    }
+    
+    /**
+     * Write profiles to localStorage
+     */
+    save() {
+        try {
+            window.localStorage.setItem(this.storageKey, JSON.stringify(this.data));
+            return true;
+        } catch (error) {
+            console.warn('Student profiles could not be saved:', error);
+            return false;
+        }
+    }
+    
+    /**
+     * Names of all saved students
+     */
+    list() {
+        return Object.keys(this.data.students).sort((a, b) => a.localeCompare(b));
+    }
+    
+    getCurrent() {
+        return this.data.current;
+    }
+    
+    /**
+     * Switch to a student, creating the profile if needed
+     */
+    setCurrent(name) {
+        const trimmed = (name || '').trim();
+        this.data.current = trimmed || null;
+        
+        if (trimmed && !this.data.students[trimmed]) {
+            this.data.students[trimmed] = {};
+        }
+        
+        this.save();
+        
+        if (this.onStudentChange) {
+            this.onStudentChange(this.data.current);
+        }
+    }
+    
+    /**
+     * Read a value from a student's profile (defaults to the current student)
+     */
+    get(key, name = this.data.current) {
+        if (!name || !this.data.students[name]) return null;
+        
+        const value = this.data.students[name][key];
+        return value === undefined ? null : value;
+    }
+    
+    /**
+     * Store a value in a student's profile (defaults to the current student)
+     */
+    set(key, value, name = this.data.current) {
+        if (!name) return false;
+        
+        if (!this.data.students[name]) {
+            this.data.students[name] = {};
+        }
+        
+        if (value === null || value === undefined) {
+            delete this.data.students[name][key];
+        } else {
+            this.data.students[name][key] = value;
+        }
+        
+        return this.save();
+    }
+    
+    /**
+     * Delete a student's profile
+     */
+    remove(name) {
+        delete this.data.students[name];
+        if (this.data.current === name) {
+            this.data.current = null;
+        }
+        this.save();
+    }
+}
+
+// Export for use in main application
+window.StudentProfiles = StudentProfiles;
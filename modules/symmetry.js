@@ -0,0 +1,110 @@
+/**
+ * Symmetry Module
+ * Copies every mark a hand makes across mirror axes and around a kaleidoscope centre, so even a
+ * small movement fills the canvas. Drawing, particles and shapes all use the same transform.
+ *
+ * Each copy is a 2x2 matrix applied about the centre in canvas pixels, so rotations stay round
+ * on a wide canvas: copy = centre + matrix * (point - centre)
+ */
+
+// Mirror axes through the centre: 'vertical' mirrors left and right, 'horizontal' top and bottom
+const SYMMETRY_MIRRORS = {
+    none: [],
+    vertical: [[-1, 0, 0, 1]],
+    horizontal: [[1, 0, 0, -1]],
+    both: [[-1, 0, 0, 1], [1, 0, 0, -1], [-1, 0, 0, -1]]
+};
+
+// Kaleidoscope segments; 1 turns the rotation off
+const SYMMETRY_SEGMENTS = { min: 3, max: 12 };
+
+class SymmetryTransform {
+    constructor() {
+        this.mirror = 'none';
+        this.segments = 1;
+        this.center = { x: 0.5, y: 0.5 }; // Canvas units
+        
+        this.matrices = [[1, 0, 0, 1]]; // [m11, m12, m21, m22]; the first is the original mark
+    }
+    
+    /**
+     * Change any of { mirror, segments, center }
+     */
+    configure(settings) {
+        if (settings.mirror && SYMMETRY_MIRRORS[settings.mirror]) {
+            this.mirror = settings.mirror;
+        }
+        if (settings.segments !== undefined) {
+            const segments = Math.round(settings.segments);
+            this.segments = segments < SYMMETRY_SEGMENTS.min ? 1 : Math.min(segments, SYMMETRY_SEGMENTS.max);
+        }
+        if (settings.center) {
+            this.center = {
+                x: Math.max(0, Math.min(1, settings.center.x)),
+                y: Math.max(0, Math.min(1, settings.center.y))
+            };
+        }
+        
+        this.matrices = this.buildMatrices();
+    }
+    
+    isActive() {
+        return this.matrices.length > 1;
+    }
+    
+    /**
+     * Every rotation, each combined with every mirror; copies that land on each other are kept once
+     */
+    buildMatrices() {
+        const mirrors = [[1, 0, 0, 1], ...SYMMETRY_MIRRORS[this.mirror]];
+        const matrices = [];
+        const seen = new Set();
+        
+        for (let i = 0; i < this.segments; i++) {
+            const angle = (i / this.segments) * Math.PI * 2;
+            const cos = Math.cos(angle);
+            const sin = Math.sin(angle);
+            
+            for (const [a, b, c, d] of mirrors) {
+                // Rotation after mirroring
+                const matrix = [cos * a - sin * c, cos * b - sin * d, sin * a + cos * c, sin * b + cos * d];
+                const id = matrix.map(value => Math.round(value * 1000)).join(',');
+                if (seen.has(id)) continue;
+                
+                seen.add(id);
+                matrices.push(matrix);
+            }
+        }
+        return matrices;
+    }
+    
+    /**
+     * The mark and its copies in canvas pixels: [{ x, y, matrix }], the mark itself first
+     */
+    getCopies(x, y, width, height) {
+        const cx = this.center.x * width;
+        const cy = this.center.y * height;
+        const dx = x - cx;
+        const dy = y - cy;
+        
+        return this.matrices.map(matrix => ({
+            x: cx + matrix[0] * dx + matrix[1] * dy,
+            y: cy + matrix[2] * dx + matrix[3] * dy,
+            matrix
+        }));
+    }
+    
+    /**
+     * A direction (e.g. a velocity) turned the same way as a copy
+     */
+    transformVector(matrix, x, y) {
+        return {
+            x: matrix[0] * x + matrix[1] * y,
+            y: matrix[2] * x + matrix[3] * y
+        };
+    }
+}
+
+// Export for use in main application
+window.SYMMETRY_SEGMENTS = SYMMETRY_SEGMENTS;
+window.SymmetryTransform = SymmetryTransform;
@@ -0,0 +1,676 @@
+/**
+ * Synthetic Hands Module
+ * Generates scripted hands for demos, workshops and testing without a webcam.
+ * Output matches MediaPipe Hands results so HandTracker processes it exactly like camera input.
+ */
+
+/**
+ * Finger states for each named pose
+ * thumb: 'extended' | 'tucked' | 'pinch', other fingers: 'extended' | 'curled' | 'pinch'
+ */
+const SYNTHETIC_HAND_POSES = {
+    open: { thumb: 'extended', index: 'extended', middle: 'extended', ring: 'extended', pinky: 'extended' },
+    point: { thumb: 'tucked', index: 'extended', middle: 'curled', ring: 'curled', pinky: 'curled' },
+    fist: { thumb: 'tucked', index: 'curled', middle: 'curled', ring: 'curled', pinky: 'curled' },
+    pinch: { thumb: 'pinch', index: 'pinch', middle: 'extended', ring: 'extended', pinky: 'extended' },
+    relaxed: { thumb: 'extended', index: 'extended', middle: 'extended', ring: 'curled', pinky: 'curled' }
+};
+
+/**
+ * Built-in motion scripts
+ *
+ * Coordinates are in the mirrored display space the app shows (0-1, y down).
+ * Each hand track is a list of keyframes; numeric values are interpolated and
+ * pose/present switch at each keyframe. Noise parameters:
+ *   jitter          - random positional noise per frame (standard deviation)
+ *   landmarkJitter  - extra per-landmark noise
+ *   tremor          - { frequency (Hz), amplitude } sinusoidal oscillation
+ *   confidence      - [min, max] handedness score range
+ *   dropout         - chance per frame of a short detection dropout
+ *   dropoutDuration - length of a dropout in ms
+ *   labelFlip       - chance per frame that handedness is reported the wrong way round
+ */
+const SYNTHETIC_HAND_SCRIPTS = {
+    'figure-eight': {
+        displayName: 'Figure Eights',
+        description: 'Both hands trace mirrored figure-eights (bilateral coordination)',
+        duration: 4000,
+        loop: true,
+        interpolation: 'smooth',
+        hands: [
+            {
+                label: 'right',
+                size: 0.18,
+                noise: { jitter: 0.002, confidence: [0.9, 0.98] },
+                keyframes: [
+                    { t: 0, x: 0.65, y: 0.5, pose: 'open' },
+                    { t: 500, x: 0.756, y: 0.6 },
+                    { t: 1000, x: 0.8, y: 0.5 },
+                    { t: 1500, x: 0.756, y: 0.4 },
+                    { t: 2000, x: 0.65, y: 0.5 },
+                    { t: 2500, x: 0.544, y: 0.6 },
+                    { t: 3000, x: 0.5, y: 0.5 },
+                    { t: 3500, x: 0.544, y: 0.4 },
+                    { t: 4000, x: 0.65, y: 0.5 }
+                ]
+            },
+            {
+                label: 'left',
+                size: 0.18,
+                noise: { jitter: 0.002, confidence: [0.9, 0.98] },
+                keyframes: [
+                    { t: 0, x: 0.35, y: 0.5, pose: 'open' },
+                    { t: 500, x: 0.244, y: 0.6 },
+                    { t: 1000, x: 0.2, y: 0.5 },
+                    { t: 1500, x: 0.244, y: 0.4 },
+                    { t: 2000, x: 0.35, y: 0.5 },
+                    { t: 2500, x: 0.456, y: 0.6 },
+                    { t: 3000, x: 0.5, y: 0.5 },
+                    { t: 3500, x: 0.456, y: 0.4 },
+                    { t: 4000, x: 0.35, y: 0.5 }
+                ]
+            }
+        ]
+    },
+    
+    'clapping': {
+        displayName: 'Clapping',
+        description: 'Steady clapping at about 50 beats per minute (rhythm activities)',
+        duration: 1200,
+        loop: true,
+        interpolation: 'smooth',
+        hands: [
+            {
+                label: 'right',
+                size: 0.18,
+                noise: { jitter: 0.002, confidence: [0.88, 0.97] },
+                keyframes: [
+                    { t: 0, x: 0.7, y: 0.5, z: 0, pose: 'open' },
+                    { t: 500, x: 0.53, y: 0.52, z: -0.02 },
+                    { t: 600, x: 0.53, y: 0.52, z: -0.02 },
+                    { t: 1200, x: 0.7, y: 0.5, z: 0 }
+                ]
+            },
+            {
+                label: 'left',
+                size: 0.18,
+                noise: { jitter: 0.002, confidence: [0.88, 0.97] },
+                keyframes: [
+                    { t: 0, x: 0.3, y: 0.5, z: 0, pose: 'open' },
+                    { t: 500, x: 0.47, y: 0.52, z: -0.02 },
+                    { t: 600, x: 0.47, y: 0.52, z: -0.02 },
+                    { t: 1200, x: 0.3, y: 0.5, z: 0 }
+                ]
+            }
+        ]
+    },
+    
+    'reach-targets': {
+        displayName: 'Reaching to Targets',
+        description: 'One hand reaches out to the corners and returns to rest (range of motion)',
+        duration: 9000,
+        loop: true,
+        interpolation: 'smooth',
+        hands: [
+            {
+                label: 'right',
+                size: 0.17,
+                noise: { jitter: 0.003, confidence: [0.85, 0.97] },
+                keyframes: [
+                    { t: 0, x: 0.55, y: 0.7, pose: 'relaxed' },
+                    { t: 1000, x: 0.25, y: 0.25, pose: 'point' },
+                    { t: 1500, x: 0.25, y: 0.25, pose: 'relaxed' },
+                    { t: 2500, x: 0.55, y: 0.7 },
+                    { t: 3500, x: 0.8, y: 0.22, pose: 'point' },
+                    { t: 4000, x: 0.8, y: 0.22, pose: 'relaxed' },
+                    { t: 5000, x: 0.55, y: 0.7 },
+                    { t: 6000, x: 0.85, y: 0.65, pose: 'point' },
+                    { t: 6500, x: 0.85, y: 0.65, pose: 'relaxed' },
+                    { t: 7500, x: 0.55, y: 0.7 },
+                    { t: 9000, x: 0.55, y: 0.7 }
+                ]
+            }
+        ]
+    },
+    
+    'tremor': {
+        displayName: 'Resting Tremor',
+        description: 'A mostly still hand with a 5 Hz tremor and slow drift',
+        duration: 6000,
+        loop: true,
+        interpolation: 'smooth',
+        hands: [
+            {
+                label: 'right',
+                size: 0.17,
+                noise: {
+                    jitter: 0.002,
+                    landmarkJitter: 0.001,
+                    tremor: { frequency: 5, amplitude: 0.012 },
+                    confidence: [0.8, 0.95]
+                },
+                keyframes: [
+                    { t: 0, x: 0.55, y: 0.5, pose: 'open' },
+                    { t: 3000, x: 0.6, y: 0.45 },
+                    { t: 6000, x: 0.55, y: 0.5 }
+                ]
+            }
+        ]
+    },
+    
+    'enter-leave': {
+        displayName: 'Entering and Leaving',
+        description: 'Hands move in and out of view with brief detection dropouts',
+        duration: 10000,
+        loop: true,
+        interpolation: 'linear',
+        hands: [
+            {
+                label: 'right',
+                size: 0.18,
+                noise: { jitter: 0.002, confidence: [0.75, 0.95], dropout: 0.02, dropoutDuration: 150 },
+                keyframes: [
+                    { t: 0, x: 0.95, y: 0.5, pose: 'open', present: true },
+                    { t: 1500, x: 0.6, y: 0.45 },
+                    { t: 3500, x: 0.7, y: 0.55 },
+                    { t: 5000, x: 0.95, y: 0.5, present: false },
+                    { t: 10000, x: 0.95, y: 0.5 }
+                ]
+            },
+            {
+                label: 'left',
+                size: 0.18,
+                noise: { jitter: 0.002, confidence: [0.75, 0.95], dropout: 0.02, dropoutDuration: 150 },
+                keyframes: [
+                    { t: 0, x: 0.3, y: 0.95, pose: 'open', present: false },
+                    { t: 3000, x: 0.3, y: 0.95, present: true },
+                    { t: 4500, x: 0.35, y: 0.5 },
+                    { t: 7000, x: 0.25, y: 0.4 },
+                    { t: 8500, x: 0.05, y: 0.45, present: false },
+                    { t: 10000, x: 0.05, y: 0.45 }
+                ]
+            }
+        ]
+    },
+    
+    'crossing': {
+        displayName: 'Crossing the Midline',
+        description: 'Hands swap sides past each other with handedness swaps and dropouts (identity tracking)',
+        duration: 4000,
+        loop: true,
+        interpolation: 'smooth',
+        hands: [
+            {
+                label: 'right',
+                size: 0.17,
+                noise: { jitter: 0.002, confidence: [0.8, 0.95], dropout: 0.02, dropoutDuration: 200, labelFlip: 0.1 },
+                keyframes: [
+                    { t: 0, x: 0.75, y: 0.4, pose: 'open' },
+                    { t: 2000, x: 0.25, y: 0.4 },
+                    { t: 4000, x: 0.75, y: 0.4 }
+                ]
+            },
+            {
+                label: 'left',
+                size: 0.17,
+                noise: { jitter: 0.002, confidence: [0.8, 0.95], dropout: 0.02, dropoutDuration: 200, labelFlip: 0.1 },
+                keyframes: [
+                    { t: 0, x: 0.25, y: 0.65, pose: 'open' },
+                    { t: 2000, x: 0.75, y: 0.65 },
+                    { t: 4000, x: 0.25, y: 0.65 }
+                ]
+            }
+        ]
+    },
+    
+    'movements': {
+        displayName: 'Big Movements',
+        description: 'One hand swipes right and up, waves, circles, taps down and pushes forward (dynamic gestures)',
+        duration: 14000,
+        loop: true,
+        interpolation: 'linear',
+        hands: [
+            {
+                label: 'right',
+                size: 0.16,
+                noise: { jitter: 0.002, confidence: [0.85, 0.97] },
+                keyframes: [
+                    { t: 0, x: 0.3, y: 0.5, size: 0.16, pose: 'open' },
+                    { t: 800, x: 0.3, y: 0.5 },
+                    { t: 1100, x: 0.7, y: 0.5 },
+                    { t: 2000, x: 0.7, y: 0.5 },
+                    { t: 2300, x: 0.7, y: 0.2 },
+                    { t: 3000, x: 0.7, y: 0.2 },
+                    { t: 4000, x: 0.5, y: 0.5 },
+                    { t: 4200, x: 0.56, y: 0.5 },
+                    { t: 4400, x: 0.44, y: 0.5 },
+                    { t: 4600, x: 0.56, y: 0.5 },
+                    { t: 4800, x: 0.44, y: 0.5 },
+                    { t: 5000, x: 0.56, y: 0.5 },
+                    { t: 5200, x: 0.44, y: 0.5 },
+                    { t: 5400, x: 0.56, y: 0.5 },
+                    { t: 5600, x: 0.44, y: 0.5 },
+                    { t: 6200, x: 0.5, y: 0.5 },
+                    { t: 6400, x: 0.6, y: 0.5 },
+                    { t: 6530, x: 0.587, y: 0.55 },
+                    { t: 6660, x: 0.55, y: 0.587 },
+                    { t: 6790, x: 0.5, y: 0.6 },
+                    { t: 6920, x: 0.45, y: 0.587 },
+                    { t: 7050, x: 0.413, y: 0.55 },
+                    { t: 7180, x: 0.4, y: 0.5 },
+                    { t: 7310, x: 0.413, y: 0.45 },
+                    { t: 7440, x: 0.45, y: 0.413 },
+                    { t: 7570, x: 0.5, y: 0.4 },
+                    { t: 7700, x: 0.55, y: 0.413 },
+                    { t: 7830, x: 0.587, y: 0.45 },
+                    { t: 7960, x: 0.6, y: 0.5 },
+                    { t: 8500, x: 0.6, y: 0.5 },
+                    { t: 9000, x: 0.5, y: 0.45 },
+                    { t: 9300, x: 0.5, y: 0.45 },
+                    { t: 9450, x: 0.5, y: 0.57 },
+                    { t: 10000, x: 0.5, y: 0.57 },
+                    { t: 10600, x: 0.5, y: 0.5 },
+                    { t: 11000, x: 0.5, y: 0.5, size: 0.16 },
+                    { t: 11400, x: 0.5, y: 0.5, size: 0.22 },
+                    { t: 12200, x: 0.5, y: 0.5, size: 0.22 },
+                    { t: 13200, x: 0.5, y: 0.5, size: 0.16 },
+                    { t: 14000, x: 0.3, y: 0.5 }
+                ]
+            }
+        ]
+    },
+    
+    'gestures': {
+        displayName: 'Gesture Cycle',
+        description: 'One hand cycles through open, pointing, fist and pinch (shape mode)',
+        duration: 6000,
+        loop: true,
+        interpolation: 'smooth',
+        hands: [
+            {
+                label: 'right',
+                size: 0.2,
+                noise: { jitter: 0.0015, confidence: [0.9, 0.98] },
+                keyframes: [
+                    { t: 0, x: 0.45, y: 0.5, pose: 'open' },
+                    { t: 1500, x: 0.55, y: 0.45, pose: 'point' },
+                    { t: 3000, x: 0.6, y: 0.5, pose: 'fist' },
+                    { t: 4500, x: 0.5, y: 0.55, pose: 'pinch' },
+                    { t: 6000, x: 0.45, y: 0.5 }
+                ]
+            }
+        ]
+    },
+    
+    'open-close': {
+        displayName: 'Opening and Closing',
+        description: 'One hand opens and closes without moving (grip practice; no movement gestures should fire)',
+        duration: 2000,
+        loop: true,
+        interpolation: 'smooth',
+        hands: [
+            {
+                label: 'right',
+                size: 0.2,
+                noise: { jitter: 0.0015, confidence: [0.9, 0.98] },
+                keyframes: [
+                    { t: 0, x: 0.5, y: 0.5, pose: 'fist' },
+                    { t: 1000, x: 0.5, y: 0.5, pose: 'open' },
+                    { t: 2000, x: 0.5, y: 0.5, pose: 'fist' }
+                ]
+            }
+        ]
+    }
+};
+
+/**
+ * Canonical right-hand geometry in hand units (wrist at origin, fingers pointing up, y down)
+ * One hand unit is roughly the wrist to middle fingertip distance.
+ */
+const SYNTHETIC_FINGER_GEOMETRY = {
+    index: { mcp: [-0.12, -0.45], lengths: [0.2, 0.12, 0.1], spread: -0.08 },
+    middle: { mcp: [0, -0.48], lengths: [0.22, 0.14, 0.11], spread: 0 },
+    ring: { mcp: [0.1, -0.45], lengths: [0.2, 0.12, 0.1], spread: 0.08 },
+    pinky: { mcp: [0.19, -0.4], lengths: [0.15, 0.1, 0.08], spread: 0.18 }
+};
+
+const SYNTHETIC_THUMB_GEOMETRY = {
+    extended: [[-0.12, -0.1], [-0.25, -0.2], [-0.35, -0.3], [-0.43, -0.38]],
+    tucked: [[-0.12, -0.1], [-0.2, -0.22], [-0.15, -0.33], [-0.06, -0.38]],
+    pinch: [[-0.12, -0.1], [-0.22, -0.24], [-0.27, -0.38], [-0.27, -0.55]]
+};
+
+class SyntheticHandSource {
+    constructor(options = {}) {
+        this.scripts = { ...SYNTHETIC_HAND_SCRIPTS };
+        this.scriptName = options.script || 'figure-eight';
+        
+        // Frame rate of generated "inference" results
+        this.fps = options.fps || 30;
+        this.seed = options.seed || 1;
+        
+        this.isRunning = false;
+        this.startTime = Date.now();
+        this.timerId = null;
+        
+        // Per-track dropout state and deterministic random generator
+        this.trackState = [];
+        this.random = null;
+        this.resetRandom();
+        
+        // Callback receives MediaPipe-shaped results
+        this.onResults = null;
+    }
+    
+    /**
+     * Add or replace a motion script
+     */
+    registerScript(name, script) {
+        if (!script || !Array.isArray(script.hands)) {
+            throw new Error(`Synthetic hand script "${name}" needs a hands array`);
+        }
+        this.scripts[name] = script;
+    }
+    
+    /**
+     * Choose which script to play
+     */
+    setScript(name) {
+        if (!this.scripts[name]) {
+            console.error(`Unknown synthetic hand script: ${name}`);
+            return false;
+        }
+        
+        this.scriptName = name;
+        this.startTime = Date.now();
+        this.resetRandom();
+        return true;
+    }
+    
+    getAvailableScripts() {
+        return Object.keys(this.scripts).map(name => ({
+            name,
+            displayName: this.scripts[name].displayName || name,
+            description: this.scripts[name].description || ''
+        }));
+    }
+    
+    /**
+     * Start emitting frames at the configured rate
+     */
+    start() {
+        if (this.isRunning) return;
+        
+        this.isRunning = true;
+        this.startTime = Date.now();
+        this.resetRandom();
+        
+        const tick = () => {
+            if (!this.isRunning) return;
+            
+            const results = this.generateFrame(Date.now() - this.startTime);
+            if (this.onResults) {
+                this.onResults(results);
+            }
+            
+            this.timerId = setTimeout(tick, 1000 / this.fps);
+        };
+        
+        tick();
+        console.log(`Synthetic hand source started: ${this.scriptName}`);
+    }
+    
+    stop() {
+        this.isRunning = false;
+        if (this.timerId) {
+            clearTimeout(this.timerId);
+            this.timerId = null;
+        }
+    }
+    
+    /**
+     * Generate the results for a given script time (ms)
+     * Can be called directly for deterministic, headless tests.
+     */
+    generateFrame(time) {
+        const script = this.scripts[this.scriptName];
+        const results = {
+            multiHandLandmarks: [],
+            multiHandedness: [],
+            // Frame capture time, as HandTracker expects from the camera
+            timestamp: this.startTime + time
+        };
+        
+        if (!script) return results;
+        
+        const scriptTime = script.loop ? time % script.duration : Math.min(time, script.duration);
+        
+        script.hands.forEach((track, index) => {
+            const state = this.evaluateTrack(track, scriptTime, script);
+            if (!state || !state.present) return;
+            
+            const noise = track.noise || {};
+            if (this.isDroppedOut(index, noise, time)) return;
+            
+            this.applyNoise(state, noise, time, index);
+            
+            let label = track.label || 'right';
+            if (noise.labelFlip && this.random() < noise.labelFlip) {
+                label = label === 'left' ? 'right' : 'left';
+            }
+            
+            const [minScore, maxScore] = noise.confidence || [0.95, 0.95];
+            
+            results.multiHandLandmarks.push(this.buildLandmarks(state, track, noise));
+            results.multiHandedness.push({
+                index: results.multiHandedness.length,
+                // MediaPipe reports handedness from the camera's view, so it is flipped
+                label: label === 'left' ? 'Right' : 'Left',
+                score: minScore + (maxScore - minScore) * this.random()
+            });
+        });
+        
+        return results;
+    }
+    
+    /**
+     * Interpolate a track's keyframes at the given time
+     */
+    evaluateTrack(track, time, script) {
+        const keyframes = track.keyframes;
+        if (!keyframes || keyframes.length === 0) return null;
+        
+        // Discrete properties carry forward from earlier keyframes
+        let pose = 'open';
+        let present = true;
+        let segment = 0;
+        
+        for (let i = 0; i < keyframes.length; i++) {
+            if (keyframes[i].t > time) break;
+            if (keyframes[i].pose !== undefined) pose = keyframes[i].pose;
+            if (keyframes[i].present !== undefined) present = keyframes[i].present;
+            segment = i;
+        }
+        
+        const current = keyframes[segment];
+        const next = keyframes[Math.min(segment + 1, keyframes.length - 1)];
+        const span = next.t - current.t;
+        const progress = span > 0 ? Math.max(0, Math.min(1, (time - current.t) / span)) : 0;
+        
+        const state = { pose, present };
+        for (const key of ['x', 'y', 'z', 'size', 'rotation']) {
+            const fallback = key === 'size' ? (track.size || 0.18) : key === 'z' || key === 'rotation' ? 0 : 0.5;
+            const value = (frame) => (frame[key] !== undefined ? frame[key] : this.carriedValue(keyframes, frame, key, fallback));
+            
+            if (script.interpolation === 'smooth') {
+                const before = keyframes[this.neighbourIndex(segment - 1, keyframes.length, script.loop)];
+                const after = keyframes[this.neighbourIndex(segment + 2, keyframes.length, script.loop)];
+                state[key] = this.catmullRom(value(before), value(current), value(next), value(after), progress);
+            } else {
+                state[key] = value(current) + (value(next) - value(current)) * progress;
+            }
+        }
+        
+        return state;
+    }
+    
+    /**
+     * Value of a property from the closest earlier keyframe that defines it
+     */
+    carriedValue(keyframes, frame, key, fallback) {
+        for (let i = keyframes.indexOf(frame); i >= 0; i--) {
+            if (keyframes[i][key] !== undefined) return keyframes[i][key];
+        }
+        return fallback;
+    }
+    
+    neighbourIndex(index, length, loop) {
+        if (loop) {
+            // First and last keyframes of a looping script are the same point
+            if (index < 0) return length - 2 >= 0 ? length - 2 : 0;
+            if (index >= length) return Math.min(1, length - 1);
+            return index;
+        }
+        return Math.max(0, Math.min(length - 1, index));
+    }
+    
+    catmullRom(p0, p1, p2, p3, t) {
+        const t2 = t * t;
+        const t3 = t2 * t;
+        return 0.5 * ((2 * p1) + (-p0 + p2) * t + (2 * p0 - 5 * p1 + 4 * p2 - p3) * t2 + (-p0 + 3 * p1 - 3 * p2 + p3) * t3);
+    }
+    
+    /**
+     * Simulate short tracking dropouts
+     */
+    isDroppedOut(index, noise, time) {
+        const state = this.trackState[index] || (this.trackState[index] = { dropoutUntil: -1 });
+        
+        if (time < state.dropoutUntil) return true;
+        
+        if (noise.dropout && this.random() < noise.dropout) {
+            state.dropoutUntil = time + (noise.dropoutDuration || 150);
+            return true;
+        }
+        
+        return false;
+    }
+    
+    /**
+     * Add jitter and tremor to the interpolated position
+     */
+    applyNoise(state, noise, time, index) {
+        if (noise.jitter) {
+            state.x += this.gaussian() * noise.jitter;
+            state.y += this.gaussian() * noise.jitter;
+        }
+        
+        if (noise.tremor) {
+            const phase = 2 * Math.PI * noise.tremor.frequency * (time / 1000) + index;
+            state.x += Math.sin(phase) * noise.tremor.amplitude;
+            state.y += Math.sin(phase * 1.07 + 1.3) * noise.tremor.amplitude * 0.6;
+        }
+    }
+    
+    /**
+     * Build 21 MediaPipe landmarks (raw camera space) for a hand state
+     */
+    buildLandmarks(state, track, noise) {
+        const pose = typeof state.pose === 'string' ?
+            (SYNTHETIC_HAND_POSES[state.pose] || SYNTHETIC_HAND_POSES.open) : state.pose;
+        
+        const local = [[0, 0]];
+        local.push(...(SYNTHETIC_THUMB_GEOMETRY[pose.thumb] || SYNTHETIC_THUMB_GEOMETRY.extended));
+        
+        for (const finger of ['index', 'middle', 'ring', 'pinky']) {
+            local.push(...this.buildFinger(SYNTHETIC_FINGER_GEOMETRY[finger], pose[finger]));
+        }
+        
+        // Thumb tip meets the index tip when pinching
+        if (pose.thumb === 'pinch') {
+            local[4] = [local[8][0] - 0.01, local[8][1] + 0.02];
+        }
+        
+        // Centre the shape so the landmark average lands on the scripted position
+        const meanX = local.reduce((sum, p) => sum + p[0], 0) / local.length;
+        const meanY = local.reduce((sum, p) => sum + p[1], 0) / local.length;
+        
+        const mirror = (track.label || 'right') === 'left' ? -1 : 1;
+        const angle = (state.rotation || 0) * Math.PI / 180;
+        const cos = Math.cos(angle);
+        const sin = Math.sin(angle);
+        const landmarkJitter = noise.landmarkJitter || 0;
+        
+        return local.map(([lx, ly], i) => {
+            const px = (lx - meanX) * mirror * state.size;
+            const py = (ly - meanY) * state.size;
+            const displayX = state.x + px * cos - py * sin + this.gaussian() * landmarkJitter;
+            const displayY = state.y + px * sin + py * cos + this.gaussian() * landmarkJitter;
+            
+            return {
+                // Raw MediaPipe x is unmirrored; HandTracker mirrors it back for display
+                x: 1 - displayX,
+                y: displayY,
+                // Fingers sit slightly nearer the camera than the wrist, in proportion to hand size
+                z: (state.z || 0) - (i === 0 ? 0 : 0.05 * state.size)
+            };
+        });
+    }
+    
+    /**
+     * MCP, PIP, DIP and tip positions for one finger
+     */
+    buildFinger(geometry, fingerState) {
+        const [mx, my] = geometry.mcp;
+        const [l1, l2, l3] = geometry.lengths;
+        const dx = Math.sin(geometry.spread);
+        const dy = -Math.cos(geometry.spread);
+        
+        if (fingerState === 'curled') {
+            // Fold back towards the palm so the tip sits below the PIP joint
+            const pip = [mx + dx * l1 * 0.6, my + dy * l1 * 0.6];
+            const dip = [pip[0] + 0.02, pip[1] + l2 * 0.8];
+            const tip = [dip[0] + 0.01, dip[1] + l3 * 0.6];
+            return [[mx, my], pip, dip, tip];
+        }
+        
+        if (fingerState === 'pinch') {
+            // Index bends forward to meet the thumb
+            const pip = [mx - 0.04, my - l1 * 0.75];
+            const dip = [pip[0] - 0.06, pip[1] - 0.02];
+            const tip = [dip[0] - 0.04, dip[1] + 0.05];
+            return [[mx, my], pip, dip, tip];
+        }
+        
+        const pip = [mx + dx * l1, my + dy * l1];
+        const dip = [pip[0] + dx * l2, pip[1] + dy * l2];
+        const tip = [dip[0] + dx * l3, dip[1] + dy * l3];
+        return [[mx, my], pip, dip, tip];
+    }
+    
+    /**
+     * Deterministic random numbers so scripted runs are reproducible
+     */
+    resetRandom() {
+        let state = this.seed >>> 0;
+        this.random = () => {
+            state = (state + 0x6D2B79F5) >>> 0;
+            let t = state;
+            t = Math.imul(t ^ (t >>> 15), t | 1);
+            t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+            return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+        };
+        this.trackState = [];
+    }
+    
+    gaussian() {
+        const u = Math.max(this.random(), 1e-9);
+        const v = this.random();
+        return Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * v);
+    }
+}
+
+// Export for use in main application
+window.SyntheticHandSource = SyntheticHandSource;
+window.SYNTHETIC_HAND_SCRIPTS = SYNTHETIC_HAND_SCRIPTS;
+window.SYNTHETIC_HAND_POSES = SYNTHETIC_HAND_POSES;
@@ -10,7 +10,9 @@ class TherapeuticActivities {
         
         // Current activity
         this.currentActivity = null;
+        this.currentActivityName = null;
         this.isActive = false;
+        this.isPaused = false;
         
         // Available activities - initialize with error handling
         this.activities = {};
@@ -22,7 +24,8 @@ class TherapeuticActivities {
                 'large-movement': new LargeMovementReward(visualEffects),
                 'fine-motor': new FineMotorSkills(visualEffects),
                 'rhythm-sync': new RhythmSynchronization(visualEffects, audioProcessor),
-                'emotional-expression': new EmotionalExpression(visualEffects, audioProcessor)
+                'emotional-expression': new EmotionalExpression(visualEffects, audioProcessor),
+                'zone-targets': new ZoneTargets(visualEffects)
             };
         } catch (error) {
             console.error('Error initializing therapeutic activities:', error);
@@ -47,7 +50,10 @@ class TherapeuticActivities {
             totalMovements: 0,
             bilateralCoordination: 0,
             largeMovements: 0,
-            fineMovements: 0
+            fineMovements: 0,
+            zoneTargets: 0,
+            tremor: {}, // Per-hand tremor summary from HandTracker.getTremorSummary()
+            tracking: null // Tracking quality from TrackingDiagnostics.getSessionSummary()
         };
         
         // Callbacks
@@ -65,8 +71,10 @@ class TherapeuticActivities {
             
             // Start new activity
             this.currentActivity = this.activities[activityName];
+            this.currentActivityName = activityName;
             this.currentActivity.start({ ...this.settings, ...customSettings });
             this.isActive = true;
+            this.isPaused = false;
             
             // Track session data
             if (!this.sessionData.startTime) {
@@ -76,6 +84,7 @@ class TherapeuticActivities {
             this.sessionData.activities.push({
                 name: activityName,
                 startTime: Date.now(),
+                pausedDuration: 0,
                 settings: { ...this.settings, ...customSettings }
             });
             
@@ -92,6 +101,11 @@ class TherapeuticActivities {
      */
     stopActivity() {
         if (this.currentActivity && this.isActive) {
+            // Close any open pause so it is counted in the session data
+            if (this.isPaused) {
+                this.resumeActivity();
+            }
+            
             this.currentActivity.stop();
             
             // Update session data
@@ -103,16 +117,55 @@ class TherapeuticActivities {
             
             this.isActive = false;
             this.currentActivity = null;
+            this.currentActivityName = null;
             
             console.log('Stopped therapeutic activity');
         }
     }
     
+    /**
+     * Pause the current activity without losing its progress
+     * Gives students a rest break while keeping the activity ready to continue
+     */
+    pauseActivity() {
+        if (!this.currentActivity || !this.isActive || this.isPaused) return false;
+        
+        this.currentActivity.pause();
+        this.isPaused = true;
+        
+        const currentActivityData = this.sessionData.activities[this.sessionData.activities.length - 1];
+        if (currentActivityData) {
+            currentActivityData.pauseStartTime = Date.now();
+        }
+        
+        console.log('Paused therapeutic activity');
+        return true;
+    }
+    
+    /**
+     * Resume a paused activity
+     */
+    resumeActivity() {
+        if (!this.currentActivity || !this.isActive || !this.isPaused) return false;
+        
+        this.currentActivity.resume();
+        this.isPaused = false;
+        
+        const currentActivityData = this.sessionData.activities[this.sessionData.activities.length - 1];
+        if (currentActivityData && currentActivityData.pauseStartTime) {
+            currentActivityData.pausedDuration += Date.now() - currentActivityData.pauseStartTime;
+            delete currentActivityData.pauseStartTime;
+        }
+        
+        console.log('Resumed therapeutic activity');
+        return true;
+    }
+    
     /**
      * Process hand data for therapeutic activities
      */
     processHands(hands) {
-        if (!this.isActive || !this.currentActivity) return;
+        if (!this.isActive || !this.currentActivity || this.isPaused) return;
         
         // Update total movements
         this.sessionData.totalMovements += hands.length;
@@ -131,6 +184,42 @@ class TherapeuticActivities {
         }
     }
     
+    /**
+     * Pass a trigger zone event (see TriggerZones) to the current activity
+     */
+    processZoneEvent(event) {
+        if (!this.isActive || !this.currentActivity || this.isPaused) return;
+        if (typeof this.currentActivity.processZoneEvent !== 'function') return;
+        
+        const activityResult = this.currentActivity.processZoneEvent(event);
+        
+        if (activityResult && activityResult.achievement) {
+            this.handleAchievement(activityResult.achievement);
+        }
+        if (activityResult && activityResult.progress) {
+            this.updateProgress(activityResult.progress);
+        }
+    }
+    
+    /**
+     * Trigger zones that activities can use as targets
+     */
+    setTargetZones(zones) {
+        for (const activity of Object.values(this.activities)) {
+            if (typeof activity.setTargetZones === 'function') {
+                activity.setTargetZones(zones);
+            }
+        }
+    }
+    
+    /**
+     * Zone the current activity wants the student to reach, if any
+     */
+    getTargetZoneId() {
+        if (!this.isActive || !this.currentActivity) return null;
+        return this.currentActivity.targetZoneId || null;
+    }
+    
     /**
      * Handle achievement events
      */
@@ -165,6 +254,9 @@ class TherapeuticActivities {
         if (progress.fineMovement) {
             this.sessionData.fineMovements += progress.fineMovement;
         }
+        if (progress.zoneTarget) {
+            this.sessionData.zoneTargets += progress.zoneTarget;
+        }
         
         // Callback
         if (this.onProgressUpdate) {
@@ -172,6 +264,20 @@ class TherapeuticActivities {
         }
     }
     
+    /**
+     * Store the latest tremor measurements for this session
+     */
+    recordTremor(summary) {
+        this.sessionData.tremor = summary;
+    }
+    
+    /**
+     * Store the latest tracking quality figures, so poor sessions can be traced to poor tracking
+     */
+    recordTracking(summary) {
+        this.sessionData.tracking = summary;
+    }
+    
     /**
      * Trigger celebration visual effects
      */
@@ -218,7 +324,9 @@ class TherapeuticActivities {
         
         return {
             active: true,
+            paused: this.isPaused,
             name: this.currentActivity.getName(),
+            displayName: this.currentActivity.getDisplayName(),
             status: this.currentActivity.getStatus(),
             progress: this.currentActivity.getProgress()
         };
@@ -263,7 +371,10 @@ class TherapeuticActivities {
             totalMovements: 0,
             bilateralCoordination: 0,
             largeMovements: 0,
-            fineMovements: 0
+            fineMovements: 0,
+            zoneTargets: 0,
+            tremor: {},
+            tracking: null
         };
     }
 }
@@ -276,6 +387,7 @@ class TherapeuticActivity {
         this.visualEffects = visualEffects;
         this.audioProcessor = audioProcessor;
         this.isActive = false;
+        this.isPaused = false;
         this.settings = {};
         this.progress = {};
     }
@@ -283,11 +395,21 @@ class TherapeuticActivity {
     start(settings = {}) {
         this.settings = settings;
         this.isActive = true;
+        this.isPaused = false;
         this.progress = {};
     }
     
     stop() {
         this.isActive = false;
+        this.isPaused = false;
+    }
+    
+    pause() {
+        this.isPaused = true;
+    }
+    
+    resume() {
+        this.isPaused = false;
     }
     
     processHands(hands) {
@@ -304,7 +426,10 @@ class TherapeuticActivity {
     getDescription() { return 'Base therapeutic activity'; }
     getDifficulty() { return 'medium'; }
     getTherapeuticGoals() { return []; }
-    getStatus() { return this.isActive ? 'active' : 'inactive'; }
+    getStatus() {
+        if (!this.isActive) return 'inactive';
+        return this.isPaused ? 'paused' : 'active';
+    }
     getProgress() { return this.progress; }
 }
 
@@ -656,6 +781,81 @@ class EmotionalExpression extends TherapeuticActivity {
     }
 }
 
+/**
+ * Zone Targets Activity
+ * Reach the highlighted trigger zone; a new one lights up each time
+ */
+class ZoneTargets extends TherapeuticActivity {
+    constructor(visualEffects) {
+        super(visualEffects);
+        this.zones = [];
+        this.targetZoneId = null;
+        this.targetsReached = 0;
+        this.achievementEvery = 5;
+    }
+    
+    getName() { return 'zone-targets'; }
+    getDisplayName() { return 'Zone Targets'; }
+    getDescription() { return 'Reach the highlighted zone - draw zones and mark targets in Settings'; }
+    getTherapeuticGoals() { return ['reaching', 'range of motion', 'visual tracking']; }
+    
+    start(settings = {}) {
+        super.start(settings);
+        this.targetsReached = 0;
+        this.chooseTarget();
+    }
+    
+    stop() {
+        super.stop();
+        this.targetZoneId = null;
+    }
+    
+    /**
+     * Zones marked as targets, or every zone if none are marked
+     */
+    setTargetZones(zones) {
+        const targets = zones.filter(zone => zone.actions && zone.actions.target);
+        this.zones = targets.length > 0 ? targets : zones;
+        
+        if (this.isActive && !this.zones.some(zone => zone.id === this.targetZoneId)) {
+            this.chooseTarget();
+        }
+    }
+    
+    /**
+     * Light up a different zone from the last one where possible
+     */
+    chooseTarget() {
+        const choices = this.zones.length > 1 ?
+            this.zones.filter(zone => zone.id !== this.targetZoneId) : this.zones;
+        const zone = choices[Math.floor(Math.random() * choices.length)];
+        
+        this.targetZoneId = zone ? zone.id : null;
+        this.progress = {
+            targetsReached: this.targetsReached,
+            currentTarget: zone ? zone.name : 'Draw a zone in Settings'
+        };
+    }
+    
+    processZoneEvent(event) {
+        if (event.type !== 'enter' || event.zoneId !== this.targetZoneId) return null;
+        
+        this.targetsReached++;
+        this.visualEffects.createBurst(event.position, 40);
+        this.chooseTarget();
+        
+        const result = { progress: { zoneTarget: 1 } };
+        if (this.targetsReached % this.achievementEvery === 0) {
+            result.achievement = {
+                name: 'Target Finder',
+                description: `Reached ${this.targetsReached} targets!`,
+                type: 'zone-targets'
+            };
+        }
+        return result;
+    }
+}
+
 // Export for use in main application
 window.TherapeuticActivities = TherapeuticActivities;
 window.TherapeuticActivity = TherapeuticActivity;
@@ -665,3 +865,4 @@ window.LargeMovementReward = LargeMovementReward;
 window.FineMotorSkills = FineMotorSkills;
 window.RhythmSynchronization = RhythmSynchronization;
 window.EmotionalExpression = EmotionalExpression;
+window.ZoneTargets = ZoneTargets;
@@ -0,0 +1,261 @@
+/**
+ * Tracking Diagnostics Module
+ * Counts what happens to every tracked frame - how many hands MediaPipe found, how many were
+ * rejected and why, how confident it was and how long inference took - and checks the camera
+ * image for poor lighting, so a session with bad tracking can be explained afterwards.
+ */
+
+// Lighting limits on a 0-255 brightness scale
+const LIGHTING_LIMITS = {
+    dark: 60, // Average brightness below this is too dark
+    bright: 200, // Average brightness above this is washed out
+    lowContrast: 25, // Brightness spread below this makes hands hard to pick out
+    clipped: 0.25 // Fraction of near-white pixels that suggests a window or lamp behind the student
+};
+
+const LIGHTING_WARNINGS = {
+    dark: 'Too dark - add light in front of the student',
+    bright: 'Too bright - the image is washed out',
+    backlit: 'Backlit - move away from windows or lamps behind the student',
+    'low-contrast': 'Low contrast - hands blend into the background'
+};
+
+class TrackingDiagnostics {
+    constructor() {
+        // Frames kept for the live figures
+        this.windowSize = 5000; // ms
+        this.frames = [];
+        this.drops = []; // Times of camera frames skipped while the previous one was processed
+        
+        // Where MediaPipe runs: 'worker' or 'main' (set by HandTracker)
+        this.inferenceThread = null;
+        
+        // Lighting is checked on a small copy of the camera image now and then
+        this.lightingInterval = 1000; // ms
+        this.lastLightingTime = 0;
+        this.lighting = null; // { brightness, contrast, clipped, warning }
+        this.sampleCanvas = null;
+        
+        this.resetSession();
+    }
+    
+    /**
+     * Start new session totals (the live window is kept)
+     */
+    resetSession() {
+        this.session = {
+            startTime: null,
+            endTime: null,
+            frames: 0,
+            framesWithHands: 0,
+            rawDetections: 0,
+            accepted: 0,
+            lowConfidence: 0,
+            outsideZone: 0,
+            confidenceSum: 0,
+            confidenceCount: 0,
+            inferenceSum: 0,
+            inferenceCount: 0,
+            inferenceMax: 0,
+            droppedFrames: 0,
+            lightingSamples: 0,
+            lightingWarnings: {} // warning -> samples
+        };
+    }
+    
+    /**
+     * Record one processed frame
+     * { time, raw, accepted, lowConfidence, outsideZone, confidences: [{ label, score }], inferenceTime }
+     * inferenceTime is null for frames that did not go through MediaPipe (simulation)
+     */
+    recordFrame(frame) {
+        this.frames.push(frame);
+        while (this.frames.length > 0 && frame.time - this.frames[0].time > this.windowSize) {
+            this.frames.shift();
+        }
+        
+        const session = this.session;
+        if (session.startTime === null) session.startTime = frame.time;
+        session.endTime = frame.time;
+        session.frames++;
+        if (frame.accepted > 0) session.framesWithHands++;
+        session.rawDetections += frame.raw;
+        session.accepted += frame.accepted;
+        session.lowConfidence += frame.lowConfidence;
+        session.outsideZone += frame.outsideZone;
+        
+        for (const { score } of frame.confidences) {
+            session.confidenceSum += score;
+            session.confidenceCount++;
+        }
+        
+        if (typeof frame.inferenceTime === 'number') {
+            session.inferenceSum += frame.inferenceTime;
+            session.inferenceCount++;
+            session.inferenceMax = Math.max(session.inferenceMax, frame.inferenceTime);
+        }
+    }
+    
+    /**
+     * Record a camera frame that was skipped because inference was still busy
+     */
+    recordDroppedFrame(time) {
+        this.drops.push(time);
+        while (this.drops.length > 0 && time - this.drops[0] > this.windowSize) {
+            this.drops.shift();
+        }
+        this.session.droppedFrames++;
+    }
+    
+    /**
+     * Figures for the last few seconds, for the diagnostics panel
+     */
+    getLiveMetrics() {
+        const frames = this.frames;
+        const count = frames.length;
+        const span = count > 1 ? (frames[count - 1].time - frames[0].time) / 1000 : 0;
+        
+        const sum = (key) => frames.reduce((total, frame) => total + frame[key], 0);
+        const timed = frames.filter(frame => typeof frame.inferenceTime === 'number');
+        
+        const confidence = {};
+        for (const frame of frames) {
+            for (const { label, score } of frame.confidences) {
+                const entry = confidence[label] || (confidence[label] = { average: 0, min: 1, count: 0 });
+                entry.average += score;
+                entry.min = Math.min(entry.min, score);
+                entry.count++;
+            }
+        }
+        for (const entry of Object.values(confidence)) {
+            entry.average /= entry.count;
+        }
+        
+        return {
+            frames: count,
+            trackingFps: span > 0 ? (count - 1) / span : 0,
+            rawPerFrame: count > 0 ? sum('raw') / count : 0,
+            acceptedPerFrame: count > 0 ? sum('accepted') / count : 0,
+            framesWithHands: count > 0 ? frames.filter(frame => frame.accepted > 0).length / count : 0,
+            lowConfidence: sum('lowConfidence'),
+            outsideZone: sum('outsideZone'),
+            droppedFrames: this.drops.length,
+            confidence,
+            inference: timed.length > 0 ? {
+                average: timed.reduce((total, frame) => total + frame.inferenceTime, 0) / timed.length,
+                max: Math.max(...timed.map(frame => frame.inferenceTime))
+            } : null,
+            inferenceThread: this.inferenceThread,
+            lighting: this.lighting
+        };
+    }
+    
+    /**
+     * Totals for the session, to be stored with the session data
+     */
+    getSessionSummary() {
+        const session = this.session;
+        if (session.frames === 0) return null;
+        
+        const duration = (session.endTime - session.startTime) / 1000;
+        const round = (value, places = 2) => Math.round(value * 10 ** places) / 10 ** places;
+        
+        const lightingWarnings = {};
+        for (const [warning, samples] of Object.entries(session.lightingWarnings)) {
+            lightingWarnings[warning] = round(samples / session.lightingSamples); // Fraction of the session
+        }
+        
+        return {
+            durationSeconds: round(duration, 1),
+            frames: session.frames,
+            trackingFps: duration > 0 ? round((session.frames - 1) / duration, 1) : 0,
+            framesWithHands: round(session.framesWithHands / session.frames),
+            rawDetections: session.rawDetections,
+            acceptedDetections: session.accepted,
+            rejectedLowConfidence: session.lowConfidence,
+            rejectedOutsideZone: session.outsideZone,
+            averageConfidence: session.confidenceCount > 0 ? round(session.confidenceSum / session.confidenceCount) : null,
+            inferenceMs: session.inferenceCount > 0 ? {
+                average: round(session.inferenceSum / session.inferenceCount, 1),
+                max: round(session.inferenceMax, 1)
+            } : null,
+            inferenceThread: this.inferenceThread,
+            droppedFrames: session.droppedFrames,
+            lightingWarnings
+        };
+    }
+    
+    /**
+     * Check the camera image's lighting if it is time to (time in ms)
+     */
+    sampleLighting(video, time = Date.now()) {
+        if (time - this.lastLightingTime < this.lightingInterval) return;
+        if (!video || !video.videoWidth) return;
+        this.lastLightingTime = time;
+        
+        if (!this.sampleCanvas) {
+            this.sampleCanvas = document.createElement('canvas');
+            this.sampleCanvas.width = 32;
+            this.sampleCanvas.height = 24;
+        }
+        
+        const ctx = this.sampleCanvas.getContext('2d', { willReadFrequently: true });
+        ctx.drawImage(video, 0, 0, this.sampleCanvas.width, this.sampleCanvas.height);
+        const pixels = ctx.getImageData(0, 0, this.sampleCanvas.width, this.sampleCanvas.height).data;
+        
+        this.lighting = this.analyzeLighting(pixels);
+        this.session.lightingSamples++;
+        if (this.lighting.warning) {
+            const warnings = this.session.lightingWarnings;
+            warnings[this.lighting.warning] = (warnings[this.lighting.warning] || 0) + 1;
+        }
+    }
+    
+    /**
+     * Brightness, contrast and clipping of RGBA pixels, with the most serious warning (or null)
+     */
+    analyzeLighting(pixels) {
+        const count = pixels.length / 4;
+        let sum = 0;
+        let sumSquares = 0;
+        let clipped = 0;
+        
+        for (let i = 0; i < pixels.length; i += 4) {
+            const luma = 0.299 * pixels[i] + 0.587 * pixels[i + 1] + 0.114 * pixels[i + 2];
+            sum += luma;
+            sumSquares += luma * luma;
+            if (luma > 245) clipped++;
+        }
+        
+        const brightness = sum / count;
+        const contrast = Math.sqrt(Math.max(0, sumSquares / count - brightness * brightness));
+        const clippedFraction = clipped / count;
+        
+        let warning = null;
+        if (brightness < LIGHTING_LIMITS.dark) warning = 'dark';
+        else if (brightness > LIGHTING_LIMITS.bright) warning = 'bright';
+        else if (clippedFraction > LIGHTING_LIMITS.clipped) warning = 'backlit';
+        else if (contrast < LIGHTING_LIMITS.lowContrast) warning = 'low-contrast';
+        
+        return {
+            brightness: Math.round(brightness),
+            contrast: Math.round(contrast),
+            clipped: Math.round(clippedFraction * 100) / 100,
+            warning
+        };
+    }
+    
+    /**
+     * Forget the live window and lighting, e.g. when tracking stops
+     */
+    reset() {
+        this.frames = [];
+        this.drops = [];
+        this.lighting = null;
+        this.lastLightingTime = 0;
+    }
+}
+
+// Export for use in main application
+window.LIGHTING_WARNINGS = LIGHTING_WARNINGS;
+window.TrackingDiagnostics = TrackingDiagnostics;
@@ -0,0 +1,209 @@
+/**
+ * Tracking Worker
+ * Runs MediaPipe Hands (or Pose, for head and upper-body tracking) and the hand feature
+ * pipeline - identity, smoothing, tremor, depth, velocities and gestures - away from the page, so drawing never waits for inference.
+ * The page sends camera frames as ImageBitmaps and gets finished hand objects back;
+ * see HandTracker.startWorker() for the page's side.
+ *
+ * Messages in: init, frame, frameSize, settings, rangeMapping, gestureTemplates, reset, resetTremorSession
+ * Messages out: ready, error, results, dropped
+ */
+
+// The modules are written for the page, which exports through window
+self.window = self;
+
+// MediaPipe's loader expects a page: it makes a canvas for WebGL and adds script tags for
+// its WASM glue code. In a worker these become an OffscreenCanvas and importScripts.
+if (typeof self.document === 'undefined') {
+    const loadScript = (element) => {
+        try {
+            importScripts(element.src);
+            element.listeners.load.forEach(callback => callback());
+        } catch (error) {
+            element.listeners.error.forEach(callback => callback(error));
+        }
+    };
+    
+    self.document = {
+        createElement(tag) {
+            if (tag === 'canvas') return new OffscreenCanvas(1, 1);
+            if (tag === 'script') {
+                return {
+                    src: '',
+                    listeners: { load: [], error: [] },
+                    setAttribute(name, value) { this[name] = value; },
+                    addEventListener(type, callback) { (this.listeners[type] || []).push(callback); },
+                    set onload(callback) { this.listeners.load.push(callback); },
+                    set onerror(callback) { this.listeners.error.push(callback); }
+                };
+            }
+            throw new Error(`Cannot create <${tag}> in the tracking worker`);
+        },
+        head: { appendChild: loadScript },
+        body: { appendChild: loadScript }
+    };
+}
+
+importScripts(
+    'motionFilters.js',
+    'tremorAnalysis.js',
+    'cameraMount.js',
+    'handIdentity.js',
+    'gestureRecognition.js',
+    'dynamicGestures.js',
+    'trackingDiagnostics.js',
+    'syntheticHands.js',
+    'bodyTracking.js',
+    'handTracking.js'
+);
+
+let tracker = null;
+let session = 0;
+
+// Session of the frame MediaPipe is working on, or null; results are stamped with it, so a
+// frame sent before a reset cannot come back as part of the new session
+let frameInFlightSession = null;
+
+// Tremor summaries go back with the hands now and then, not with every frame
+const TREMOR_SUMMARY_INTERVAL = 500; // ms
+let lastTremorSummaryTime = 0;
+
+/**
+ * Load MediaPipe and set up the pipeline with the page's current settings
+ */
+async function initialize({ assetBase, poseAssetBase, settings, rangeMapping, gestureTemplates }) {
+    try {
+        importScripts(`${assetBase}hands.js`);
+        
+        // Pose is only needed for body tracking, so hands still work without it
+        try {
+            importScripts(`${poseAssetBase}pose.js`);
+        } catch (error) {
+            console.warn('MediaPipe Pose could not be loaded in the worker:', error);
+        }
+        
+        tracker = new HandTracker({ assetBase, poseAssetBase, worker: false });
+        if (!tracker.isInitialized) {
+            throw new Error('MediaPipe Hands could not be created in the worker');
+        }
+        
+        applySettings(settings);
+        tracker.setRangeMapping(rangeMapping);
+        tracker.setGestureTemplates(gestureTemplates);
+        
+        // The page feeds frames in; hands go straight back to it
+        tracker.isTracking = true;
+        tracker.onHandsDetected = sendResults;
+        
+        // Loads the model and WASM now, rather than on the first frame
+        if (typeof tracker.hands.initialize === 'function') {
+            await tracker.hands.initialize();
+        }
+        
+        self.postMessage({ type: 'ready' });
+    } catch (error) {
+        self.postMessage({ type: 'error', message: error.message || String(error) });
+    }
+}
+
+function applySettings(settings) {
+    tracker.updateSettings(settings);
+    
+    // Movement gestures are detected on the page, together with virtual and replayed hands
+    tracker.settings.dynamicGestures = false;
+}
+
+/**
+ * Track one camera frame; its results come back through sendResults
+ */
+async function processFrame({ image, time, session: frameSession }) {
+    if (frameSession !== session) {
+        image.close();
+        return;
+    }
+    
+    // One frame at a time: the page stops waiting after a reset or a stall, but MediaPipe has not
+    if (frameInFlightSession !== null) {
+        image.close();
+        self.postMessage({ type: 'dropped', session: frameSession });
+        return;
+    }
+    
+    // The page has Pose even if the worker could not load it, so let it track there
+    if (tracker.settings.trackingTarget === 'body' && typeof Pose === 'undefined') {
+        image.close();
+        self.postMessage({ type: 'error', message: 'MediaPipe Pose is not available in the worker' });
+        return;
+    }
+    
+    tracker.lastFrameTime = time;
+    tracker.sendTime = performance.now();
+    frameInFlightSession = frameSession;
+    
+    try {
+        await tracker.getActiveModel().send({ image });
+    } catch (error) {
+        console.error('MediaPipe could not process a frame:', error);
+        tracker.sendTime = null;
+        self.postMessage({ type: 'dropped', session: frameSession });
+    } finally {
+        frameInFlightSession = null;
+        image.close();
+    }
+}
+
+function sendResults(hands) {
+    if (frameInFlightSession === null) return;
+    
+    const now = Date.now();
+    let tremor = null;
+    if (now - lastTremorSummaryTime >= TREMOR_SUMMARY_INTERVAL) {
+        lastTremorSummaryTime = now;
+        tremor = tracker.getTremorSummary();
+    }
+    
+    self.postMessage({ type: 'results', session: frameInFlightSession, hands, stats: tracker.lastFrameStats, tremor });
+}
+
+self.onmessage = (event) => {
+    const message = event.data;
+    
+    if (message.type === 'init') {
+        initialize(message);
+        return;
+    }
+    if (!tracker) return;
+    
+    switch (message.type) {
+        case 'frame':
+            processFrame(message);
+            break;
+        
+        case 'frameSize':
+            tracker.frameSize = message.frameSize;
+            tracker.updateAspectRatio();
+            break;
+        
+        case 'settings':
+            applySettings(message.settings);
+            break;
+        
+        case 'rangeMapping':
+            tracker.setRangeMapping(message.mapping);
+            break;
+        
+        case 'gestureTemplates':
+            tracker.setGestureTemplates(message.templates);
+            break;
+        
+        case 'reset':
+            session = message.session;
+            tracker.resetTrackingState();
+            lastTremorSummaryTime = 0;
+            break;
+        
+        case 'resetTremorSession':
+            tracker.resetTremorSession();
+            break;
+    }
+};
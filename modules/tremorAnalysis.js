@@ -0,0 +1,290 @@
+/**
+ * Tremor Analysis Module
+ * Measures the dominant tremor frequency and amplitude from a hand's recent positions,
+ * and optionally removes that band so shaking does not turn into movement.
+ *
+ * Voluntary movement is slow (mostly below 3Hz); essential, intention and parkinsonian
+ * tremor sit roughly between 3 and 12Hz, so a peak in that band is treated as tremor.
+ */
+
+class TremorAnalyzer {
+    constructor(options = {}) {
+        this.windowDuration = options.windowDuration || 2000; // ms of history analysed
+        this.minDuration = options.minDuration || 1000; // ms needed before estimating
+        this.analysisInterval = options.analysisInterval || 250; // ms between estimates
+        this.minFrequency = options.minFrequency || 3; // Hz
+        this.maxFrequency = options.maxFrequency || 12; // Hz, limited further by the frame rate
+        this.frequencyStep = options.frequencyStep || 0.25; // Hz
+        
+        // A peak counts as tremor when it stands this far above the rest of the band...
+        this.peakRatio = options.peakRatio || 4;
+        // ...and moves the hand at least this far (normalized camera units)
+        this.minAmplitude = options.minAmplitude || 0.003;
+        
+        // Restart the history after a tracking gap longer than this
+        this.gapTime = options.gapTime || 500; // ms
+        
+        this.samples = [];
+        this.lastAnalysisTime = 0;
+        this.estimate = null;
+        this.resetSession();
+    }
+    
+    /**
+     * Clear the running session statistics
+     */
+    resetSession() {
+        this.session = {
+            analyses: 0,
+            detections: 0,
+            frequencySum: 0,
+            amplitudeSum: 0,
+            relativeAmplitudeSum: 0,
+            peakAmplitude: 0,
+            peakRelativeAmplitude: 0
+        };
+    }
+    
+    /**
+     * Add one unsmoothed position (time in ms); returns true when a new estimate was made
+     */
+    addSample(time, x, y, handSize) {
+        const last = this.samples[this.samples.length - 1];
+        if (last && time === last.time) return false;
+        
+        // Start again after a dropout or when the clock restarts (e.g. a new simulation script)
+        if (last && (time < last.time || time - last.time > this.gapTime)) {
+            this.samples = [];
+            this.estimate = null;
+        }
+        
+        this.samples.push({ time, x, y, size: handSize });
+        
+        while (this.samples.length > 0 && time - this.samples[0].time > this.windowDuration) {
+            this.samples.shift();
+        }
+        
+        if (time >= this.lastAnalysisTime && time - this.lastAnalysisTime < this.analysisInterval) {
+            return false;
+        }
+        
+        this.lastAnalysisTime = time;
+        this.estimate = this.analyze();
+        if (this.estimate) {
+            this.recordEstimate(this.estimate);
+        }
+        return true;
+    }
+    
+    /**
+     * Latest estimate, or null while there is not enough history
+     */
+    getEstimate() {
+        return this.estimate;
+    }
+    
+    /**
+     * Estimate the strongest oscillation in the tremor band
+     */
+    analyze() {
+        const count = this.samples.length;
+        if (count < 16) return null;
+        
+        const start = this.samples[0].time;
+        const duration = this.samples[count - 1].time - start;
+        if (duration < this.minDuration) return null;
+        
+        const sampleRate = (count - 1) / (duration / 1000);
+        const maxFrequency = Math.min(this.maxFrequency, sampleRate * 0.45);
+        if (maxFrequency <= this.minFrequency) return null;
+        
+        // Frame times jitter, so resample onto an even grid first
+        const xs = this.resample('x', start, sampleRate, count);
+        const ys = this.resample('y', start, sampleRate, count);
+        
+        // Remove voluntary movement by subtracting a moving average one slowest-tremor period long
+        const window = Math.max(3, Math.round(sampleRate / this.minFrequency));
+        this.removeTrend(xs, window);
+        this.removeTrend(ys, window);
+        
+        // Hann window reduces leakage from movement that does not fit the window exactly
+        const weights = [];
+        let weightSum = 0;
+        for (let i = 0; i < count; i++) {
+            const weight = 0.5 - 0.5 * Math.cos(2 * Math.PI * i / (count - 1));
+            weights.push(weight);
+            weightSum += weight;
+        }
+        
+        const powers = [];
+        let peak = null;
+        for (let frequency = this.minFrequency; frequency <= maxFrequency + 1e-9; frequency += this.frequencyStep) {
+            const ax = this.amplitudeAt(xs, weights, weightSum, frequency, sampleRate);
+            const ay = this.amplitudeAt(ys, weights, weightSum, frequency, sampleRate);
+            const power = ax * ax + ay * ay;
+            powers.push(power);
+            
+            if (!peak || power > peak.power) {
+                peak = { frequency, power };
+            }
+        }
+        
+        const sorted = [...powers].sort((a, b) => a - b);
+        const median = sorted[Math.floor(sorted.length / 2)] || 0;
+        const ratio = median > 0 ? peak.power / median : 0;
+        
+        const amplitude = Math.sqrt(peak.power);
+        const handSize = this.samples.reduce((sum, sample) => sum + sample.size, 0) / count;
+        
+        return {
+            detected: ratio >= this.peakRatio && amplitude >= this.minAmplitude,
+            frequency: peak.frequency,
+            amplitude,
+            relativeAmplitude: handSize > 0 ? amplitude / handSize : 0,
+            peakRatio: ratio,
+            sampleRate
+        };
+    }
+    
+    /**
+     * Linearly interpolate one coordinate onto evenly spaced times
+     */
+    resample(axis, start, sampleRate, count) {
+        const values = [];
+        let j = 0;
+        
+        for (let i = 0; i < count; i++) {
+            const time = start + (i / sampleRate) * 1000;
+            while (j < this.samples.length - 2 && this.samples[j + 1].time < time) {
+                j++;
+            }
+            
+            const a = this.samples[j];
+            const b = this.samples[Math.min(j + 1, this.samples.length - 1)];
+            const t = b.time > a.time ? Math.max(0, Math.min(1, (time - a.time) / (b.time - a.time))) : 0;
+            values.push(a[axis] + (b[axis] - a[axis]) * t);
+        }
+        
+        return values;
+    }
+    
+    /**
+     * Subtract a centred moving average in place
+     */
+    removeTrend(values, window) {
+        const half = Math.floor(window / 2);
+        const trend = values.map((value, i) => {
+            const from = Math.max(0, i - half);
+            const to = Math.min(values.length - 1, i + half);
+            let sum = 0;
+            for (let k = from; k <= to; k++) {
+                sum += values[k];
+            }
+            return sum / (to - from + 1);
+        });
+        
+        for (let i = 0; i < values.length; i++) {
+            values[i] -= trend[i];
+        }
+    }
+    
+    /**
+     * Amplitude of a sinusoid at one frequency (single-bin DFT)
+     */
+    amplitudeAt(values, weights, weightSum, frequency, sampleRate) {
+        const step = 2 * Math.PI * frequency / sampleRate;
+        let re = 0, im = 0;
+        
+        for (let i = 0; i < values.length; i++) {
+            const value = values[i] * weights[i];
+            re += value * Math.cos(step * i);
+            im -= value * Math.sin(step * i);
+        }
+        
+        return 2 * Math.sqrt(re * re + im * im) / weightSum;
+    }
+    
+    recordEstimate(estimate) {
+        const session = this.session;
+        session.analyses++;
+        
+        if (!estimate.detected) return;
+        
+        session.detections++;
+        session.frequencySum += estimate.frequency;
+        session.amplitudeSum += estimate.amplitude;
+        session.relativeAmplitudeSum += estimate.relativeAmplitude;
+        session.peakAmplitude = Math.max(session.peakAmplitude, estimate.amplitude);
+        session.peakRelativeAmplitude = Math.max(session.peakRelativeAmplitude, estimate.relativeAmplitude);
+    }
+    
+    /**
+     * Averages over the session so far, or null if the hand was never analysed
+     */
+    getSessionSummary() {
+        const session = this.session;
+        if (session.analyses === 0) return null;
+        
+        const detections = session.detections;
+        return {
+            analyses: session.analyses,
+            detections,
+            // Share of the time this hand was seen with a tremor
+            presence: detections / session.analyses,
+            meanFrequency: detections > 0 ? session.frequencySum / detections : null,
+            meanAmplitude: detections > 0 ? session.amplitudeSum / detections : null,
+            meanRelativeAmplitude: detections > 0 ? session.relativeAmplitudeSum / detections : null,
+            peakAmplitude: session.peakAmplitude,
+            peakRelativeAmplitude: session.peakRelativeAmplitude
+        };
+    }
+}
+
+/**
+ * Removes the measured tremor band from one hand's position
+ * Fades in when tremor is detected and out when it stops, so switching never makes the hand jump
+ */
+class TremorSuppressor {
+    constructor(q = 1.5) {
+        this.x = new NotchFilter(5, q);
+        this.y = new NotchFilter(5, q);
+        this.frequency = null;
+        this.mix = 0;
+        this.fadeTime = 0.5; // seconds to fade the filter fully in or out
+        this.holdTime = 2; // seconds to keep filtering after the last detection
+        this.lastDetectionTime = null;
+        this.previousTime = null;
+    }
+    
+    /**
+     * Return the position with the tremor band removed (time in seconds)
+     */
+    filter(point, time, estimate) {
+        if (estimate && estimate.detected) {
+            this.frequency = estimate.frequency;
+            this.lastDetectionTime = time;
+            this.x.setFrequency(this.frequency);
+            this.y.setFrequency(this.frequency);
+        }
+        
+        const dt = this.previousTime === null ? 0 : Math.max(0, time - this.previousTime);
+        this.previousTime = time;
+        
+        const engaged = this.lastDetectionTime !== null && time - this.lastDetectionTime <= this.holdTime;
+        const change = dt / this.fadeTime;
+        this.mix = engaged ? Math.min(1, this.mix + change) : Math.max(0, this.mix - change);
+        
+        // Keep the filters running so their state is settled whenever they fade in
+        const filteredX = this.x.filter(point.x, time);
+        const filteredY = this.y.filter(point.y, time);
+        
+        return {
+            x: point.x + (filteredX - point.x) * this.mix,
+            y: point.y + (filteredY - point.y) * this.mix
+        };
+    }
+}
+
+// Export for use in main application
+window.TremorAnalyzer = TremorAnalyzer;
+window.TremorSuppressor = TremorSuppressor;
@@ -0,0 +1,287 @@
+/**
+ * Trigger Zones Module
+ * Named areas drawn on the camera preview that react when a hand enters, stays in or
+ * leaves them - play a note, change the drawing colour, burst particles or count as an
+ * activity target. Zones use the camera view (before range calibration), so a zone over
+ * a drum or a corner of the tray stays on that spot whatever the student's reach.
+ */
+
+// Notes a zone can play, from a pentatonic scale so any combination sounds pleasant
+const TRIGGER_ZONE_SOUNDS = {
+    C4: { name: 'Low C', frequency: 261.63 },
+    D4: { name: 'D', frequency: 293.66 },
+    E4: { name: 'E', frequency: 329.63 },
+    G4: { name: 'G', frequency: 392.0 },
+    A4: { name: 'A', frequency: 440.0 },
+    C5: { name: 'High C', frequency: 523.25 }
+};
+
+// Colours a zone can switch a hand's drawing to
+const TRIGGER_ZONE_COLORS = {
+    '#ff6b6b': 'Red',
+    '#feca57': 'Yellow',
+    '#96ceb4': 'Green',
+    '#45b7d1': 'Blue',
+    '#a29bfe': 'Purple'
+};
+
+class TriggerZones {
+    constructor() {
+        // [{ id, name, shape, actions, dwellTime }] in view coordinates (0-1); shape is one of
+        // { type: 'rect', x, y, width, height }, { type: 'circle', x, y, radiusX, radiusY }
+        // or { type: 'polygon', points: [{ x, y }, ...] }
+        this.zones = [];
+        this.nextId = 1;
+        
+        // Time a hand must stay in a zone before it dwells
+        this.defaultDwellTime = 1000; // ms
+        
+        // A hand must be outside this long before it leaves, so jitter on the edge does not retrigger
+        this.leaveDelay = 200; // ms
+        
+        // Hands currently in each zone, by `${zoneId}|${handId}`
+        this.presence = new Map();
+        
+        // Callbacks
+        this.onZoneEvent = null; // { type: 'enter'|'dwell'|'leave', zoneId, zoneName, handId, label, duration, position, timestamp }
+    }
+    
+    /**
+     * Add a zone; returns the stored zone
+     */
+    addZone({ name, shape, actions = {}, dwellTime = this.defaultDwellTime }) {
+        const zone = {
+            id: `zone_${this.nextId++}`,
+            name: name || `Zone ${this.zones.length + 1}`,
+            shape,
+            actions: { sound: null, color: null, burst: false, target: false, ...actions },
+            dwellTime
+        };
+        this.zones.push(zone);
+        return zone;
+    }
+    
+    updateZone(id, changes) {
+        const zone = this.getZone(id);
+        if (!zone) return null;
+        
+        if (changes.actions) {
+            zone.actions = { ...zone.actions, ...changes.actions };
+        }
+        for (const key of ['name', 'shape', 'dwellTime']) {
+            if (changes[key] !== undefined) zone[key] = changes[key];
+        }
+        return zone;
+    }
+    
+    removeZone(id) {
+        this.zones = this.zones.filter(zone => zone.id !== id);
+    }
+    
+    getZone(id) {
+        return this.zones.find(zone => zone.id === id) || null;
+    }
+    
+    getZones() {
+        return this.zones;
+    }
+    
+    /**
+     * Replace all zones, e.g. with a student's saved layout
+     * Hands inside the old zones are dropped without leave events
+     */
+    setZones(zones) {
+        this.zones = Array.isArray(zones) ? zones.filter(zone => zone && zone.shape) : [];
+        this.presence.clear();
+        
+        // Keep new IDs clear of the loaded ones
+        const numbers = this.zones.map(zone => parseInt(String(zone.id).replace('zone_', ''), 10) || 0);
+        this.nextId = Math.max(0, ...numbers) + 1;
+    }
+    
+    /**
+     * Check every hand against every zone and return this frame's events (time in ms)
+     */
+    update(hands, time = Date.now()) {
+        const events = [];
+        const inside = new Set();
+        
+        for (const zone of this.zones) {
+            for (const hand of hands) {
+                if (!this.containsPoint(zone, hand.rawCenter || hand.center)) continue;
+                
+                const key = `${zone.id}|${hand.id}`;
+                inside.add(key);
+                
+                let entry = this.presence.get(key);
+                if (!entry) {
+                    entry = { zone, enteredAt: time, lastInside: time, dwelled: false, hand };
+                    this.presence.set(key, entry);
+                    events.push(this.createEvent('enter', zone, hand, 0, time));
+                }
+                entry.lastInside = time;
+                entry.hand = hand;
+                
+                const duration = time - entry.enteredAt;
+                if (!entry.dwelled && duration >= zone.dwellTime) {
+                    entry.dwelled = true;
+                    events.push(this.createEvent('dwell', zone, hand, duration, time));
+                }
+            }
+        }
+        
+        for (const [key, entry] of this.presence) {
+            if (inside.has(key)) continue;
+            
+            // Removed zones let go straight away
+            const removed = !this.zones.includes(entry.zone);
+            if (!removed && time - entry.lastInside < this.leaveDelay) continue;
+            
+            this.presence.delete(key);
+            events.push(this.createEvent('leave', entry.zone, entry.hand, entry.lastInside - entry.enteredAt, time));
+        }
+        
+        if (this.onZoneEvent) {
+            for (const event of events) {
+                this.onZoneEvent(event);
+            }
+        }
+        
+        return events;
+    }
+    
+    createEvent(type, zone, hand, duration, time) {
+        return {
+            type,
+            zoneId: zone.id,
+            zoneName: zone.name,
+            handId: hand.id,
+            label: hand.label,
+            duration,
+            position: { ...hand.center }, // Canvas position, for effects
+            timestamp: time
+        };
+    }
+    
+    /**
+     * Whether any hand is in the zone
+     */
+    isOccupied(zoneId) {
+        for (const entry of this.presence.values()) {
+            if (entry.zone.id === zoneId) return true;
+        }
+        return false;
+    }
+    
+    /**
+     * Forget which hands are in which zones, e.g. when tracking stops
+     */
+    reset() {
+        this.presence.clear();
+    }
+    
+    containsPoint(zone, point) {
+        const shape = zone.shape;
+        
+        switch (shape.type) {
+            case 'rect':
+                return point.x >= shape.x && point.x <= shape.x + shape.width &&
+                    point.y >= shape.y && point.y <= shape.y + shape.height;
+            
+            case 'circle': {
+                const dx = (point.x - shape.x) / shape.radiusX;
+                const dy = (point.y - shape.y) / shape.radiusY;
+                return dx * dx + dy * dy <= 1;
+            }
+            
+            case 'polygon':
+                return this.pointInPolygon(point, shape.points);
+            
+            default:
+                return false;
+        }
+    }
+    
+    /**
+     * Even-odd ray casting
+     */
+    pointInPolygon(point, points) {
+        let inside = false;
+        for (let i = 0, j = points.length - 1; i < points.length; j = i++) {
+            const a = points[i];
+            const b = points[j];
+            if ((a.y > point.y) !== (b.y > point.y) &&
+                point.x < (b.x - a.x) * (point.y - a.y) / (b.y - a.y) + a.x) {
+                inside = !inside;
+            }
+        }
+        return inside;
+    }
+    
+    /**
+     * Centre of a zone, for placing its name
+     */
+    getCenter(zone) {
+        const shape = zone.shape;
+        if (shape.type === 'rect') {
+            return { x: shape.x + shape.width / 2, y: shape.y + shape.height / 2 };
+        }
+        if (shape.type === 'circle') {
+            return { x: shape.x, y: shape.y };
+        }
+        const count = shape.points.length || 1;
+        return {
+            x: shape.points.reduce((sum, p) => sum + p.x, 0) / count,
+            y: shape.points.reduce((sum, p) => sum + p.y, 0) / count
+        };
+    }
+}
+
+/**
+ * Short bell-like notes for zones, made with Web Audio so no sound files are needed
+ */
+class ZoneSoundPlayer {
+    constructor() {
+        this.context = null;
+        this.volume = 0.3;
+        this.duration = 0.8; // seconds
+    }
+    
+    play(note, volume = this.volume) {
+        const sound = TRIGGER_ZONE_SOUNDS[note];
+        if (!sound) return;
+        
+        // Created on first use, after the user has interacted with the page
+        if (!this.context) {
+            const AudioContextClass = window.AudioContext || window.webkitAudioContext;
+            if (!AudioContextClass) return;
+            this.context = new AudioContextClass();
+        }
+        if (this.context.state === 'suspended') {
+            this.context.resume();
+        }
+        
+        const now = this.context.currentTime;
+        const oscillator = this.context.createOscillator();
+        const gain = this.context.createGain();
+        
+        oscillator.type = 'sine';
+        oscillator.frequency.value = sound.frequency;
+        
+        // Quick attack and a gentle fade, so repeated notes never click or blare
+        gain.gain.setValueAtTime(0, now);
+        gain.gain.linearRampToValueAtTime(volume, now + 0.02);
+        gain.gain.exponentialRampToValueAtTime(0.001, now + this.duration);
+        
+        oscillator.connect(gain);
+        gain.connect(this.context.destination);
+        oscillator.start(now);
+        oscillator.stop(now + this.duration);
+    }
+}
+
+// Export for use in main application
+window.TRIGGER_ZONE_SOUNDS = TRIGGER_ZONE_SOUNDS;
+window.TRIGGER_ZONE_COLORS = TRIGGER_ZONE_COLORS;
+window.TriggerZones = TriggerZones;
+window.ZoneSoundPlayer = ZoneSoundPlayer;
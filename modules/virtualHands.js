@@ -0,0 +1,514 @@
+/**
+ * Virtual Hands Module
+ * Turns other input devices into hands for students who cannot be tracked by camera:
+ * mouse and multi-touch, the arrow keys, adapted switches (which send key presses)
+ * and gamepads.
+ *
+ * Each source reports simple states ({ id, label, x, y, pose }) in the mirrored display
+ * space (0-1, y down). VirtualHandInput builds MediaPipe-style landmarks for them, so
+ * HandTracker can give them velocity and gestures exactly as it does for camera hands.
+ * Any number of sources can run together, and alongside the camera.
+ */
+
+// Keys the keyboard and switch sources respond to
+// Switch interfaces can usually be set to send one of these keys
+const VIRTUAL_HAND_KEYS = {
+    left: ['ArrowLeft'],
+    right: ['ArrowRight'],
+    up: ['ArrowUp'],
+    down: ['ArrowDown'],
+    grip: ['Shift'],
+    switch: ['Enter']
+};
+
+// Input types that are typed into: every key belongs to them while they have focus
+const VIRTUAL_HAND_TEXT_INPUTS = ['text', 'search', 'email', 'url', 'tel', 'password', 'number',
+    'date', 'time', 'datetime-local', 'month', 'week'];
+
+// Input types that arrow keys change, and ones that Enter presses
+const VIRTUAL_HAND_ARROW_INPUTS = ['range', 'radio'];
+const VIRTUAL_HAND_PRESSABLE_INPUTS = ['button', 'submit', 'reset', 'checkbox', 'radio'];
+
+const VIRTUAL_HAND_SIZE = 0.15; // wrist to middle fingertip, canvas units
+
+/**
+ * Mouse, pen and multi-touch: every pointer over the canvas is a hand
+ * A mouse hovers as an open hand and grips (fist) while a button is held;
+ * a touching finger or pen is a pointing hand
+ */
+class PointerHandSource {
+    constructor(element) {
+        this.element = element;
+        this.pointers = new Map(); // pointerId -> { type, x, y, pressed }
+        this.previousTouchAction = '';
+        
+        this.handlePointer = this.handlePointer.bind(this);
+        this.handlePointerEnd = this.handlePointerEnd.bind(this);
+    }
+    
+    attach() {
+        const element = this.element;
+        element.addEventListener('pointerdown', this.handlePointer);
+        element.addEventListener('pointermove', this.handlePointer);
+        element.addEventListener('pointerup', this.handlePointer);
+        element.addEventListener('pointercancel', this.handlePointerEnd);
+        element.addEventListener('pointerleave', this.handlePointerEnd);
+        
+        // Touches move the hand instead of scrolling or zooming the page
+        this.previousTouchAction = element.style.touchAction;
+        element.style.touchAction = 'none';
+    }
+    
+    detach() {
+        const element = this.element;
+        element.removeEventListener('pointerdown', this.handlePointer);
+        element.removeEventListener('pointermove', this.handlePointer);
+        element.removeEventListener('pointerup', this.handlePointer);
+        element.removeEventListener('pointercancel', this.handlePointerEnd);
+        element.removeEventListener('pointerleave', this.handlePointerEnd);
+        element.style.touchAction = this.previousTouchAction;
+        
+        this.pointers.clear();
+    }
+    
+    handlePointer(event) {
+        const rect = this.element.getBoundingClientRect();
+        if (rect.width === 0 || rect.height === 0) return;
+        
+        const pressed = event.type === 'pointerup' ? false : event.buttons > 0;
+        
+        // Touch and pen only exist while they touch the screen
+        if (event.pointerType !== 'mouse' && !pressed) {
+            this.pointers.delete(event.pointerId);
+            return;
+        }
+        
+        this.pointers.set(event.pointerId, {
+            type: event.pointerType,
+            x: Math.max(0, Math.min(1, (event.clientX - rect.left) / rect.width)),
+            y: Math.max(0, Math.min(1, (event.clientY - rect.top) / rect.height)),
+            pressed
+        });
+    }
+    
+    handlePointerEnd(event) {
+        this.pointers.delete(event.pointerId);
+    }
+    
+    update() {
+        // Positions come straight from the events
+    }
+    
+    getStates() {
+        const states = [];
+        for (const [pointerId, pointer] of this.pointers) {
+            const isMouse = pointer.type === 'mouse';
+            states.push({
+                id: isMouse ? 'mouse' : `touch_${pointerId}`,
+                // Touches are labelled by the side of the screen so two-handed activities work
+                label: isMouse || pointer.x >= 0.5 ? 'right' : 'left',
+                x: pointer.x,
+                y: pointer.y,
+                pose: isMouse ? (pointer.pressed ? 'fist' : 'open') : 'point'
+            });
+        }
+        return states;
+    }
+}
+
+/**
+ * Arrow keys move one hand, speeding up the longer a key is held; Shift grips
+ */
+class KeyboardHandSource {
+    constructor() {
+        this.position = { x: 0.5, y: 0.5 };
+        this.held = new Set();
+        this.holdTime = 0; // seconds the current movement has lasted
+        
+        this.minSpeed = 0.15; // canvas units per second
+        this.maxSpeed = 0.7;
+        this.rampTime = 1; // seconds to reach full speed
+        
+        this.handleKeyDown = this.handleKeyDown.bind(this);
+        this.handleKeyUp = this.handleKeyUp.bind(this);
+        this.handleBlur = () => this.held.clear();
+    }
+    
+    attach() {
+        window.addEventListener('keydown', this.handleKeyDown);
+        window.addEventListener('keyup', this.handleKeyUp);
+        window.addEventListener('blur', this.handleBlur);
+    }
+    
+    detach() {
+        window.removeEventListener('keydown', this.handleKeyDown);
+        window.removeEventListener('keyup', this.handleKeyUp);
+        window.removeEventListener('blur', this.handleBlur);
+        this.held.clear();
+    }
+    
+    handlesKey(key) {
+        return ['left', 'right', 'up', 'down', 'grip'].some(action => VIRTUAL_HAND_KEYS[action].includes(key));
+    }
+    
+    handleKeyDown(event) {
+        if (!this.handlesKey(event.key) || VirtualHandInput.isControlEvent(event)) return;
+        event.preventDefault(); // Arrow keys would otherwise scroll the page
+        this.held.add(event.key);
+    }
+    
+    handleKeyUp(event) {
+        this.held.delete(event.key);
+    }
+    
+    isHeld(action) {
+        return VIRTUAL_HAND_KEYS[action].some(key => this.held.has(key));
+    }
+    
+    update(dt) {
+        let dx = (this.isHeld('right') ? 1 : 0) - (this.isHeld('left') ? 1 : 0);
+        let dy = (this.isHeld('down') ? 1 : 0) - (this.isHeld('up') ? 1 : 0);
+        
+        if (dx === 0 && dy === 0) {
+            this.holdTime = 0;
+            return;
+        }
+        
+        this.holdTime += dt;
+        const ramp = Math.min(1, this.holdTime / this.rampTime);
+        const speed = this.minSpeed + (this.maxSpeed - this.minSpeed) * ramp;
+        
+        // Diagonals move at the same speed as straight lines
+        const length = Math.hypot(dx, dy);
+        dx /= length;
+        dy /= length;
+        
+        this.position.x = Math.max(0, Math.min(1, this.position.x + dx * speed * dt));
+        this.position.y = Math.max(0, Math.min(1, this.position.y + dy * speed * dt));
+    }
+    
+    getStates() {
+        return [{
+            id: 'keyboard',
+            label: 'right',
+            x: this.position.x,
+            y: this.position.y,
+            pose: this.isHeld('grip') ? 'fist' : 'open'
+        }];
+    }
+}
+
+/**
+ * One switch steers a hand by rotational scanning: while the switch is held the hand
+ * moves in the direction shown, and each release turns to the next direction
+ */
+class SwitchHandSource {
+    constructor() {
+        this.position = { x: 0.5, y: 0.5 };
+        this.pressed = false;
+        this.speed = 0.35; // canvas units per second
+        
+        // Clockwise from right, as the student sees it
+        this.directions = [0, 45, 90, 135, 180, 225, 270, 315].map(degrees => {
+            const radians = degrees * Math.PI / 180;
+            return { x: Math.cos(radians), y: Math.sin(radians) };
+        });
+        this.directionIndex = 0;
+        
+        this.handleKeyDown = this.handleKeyDown.bind(this);
+        this.handleKeyUp = this.handleKeyUp.bind(this);
+    }
+    
+    attach() {
+        window.addEventListener('keydown', this.handleKeyDown);
+        window.addEventListener('keyup', this.handleKeyUp);
+    }
+    
+    detach() {
+        window.removeEventListener('keydown', this.handleKeyDown);
+        window.removeEventListener('keyup', this.handleKeyUp);
+        this.pressed = false;
+    }
+    
+    handlesKey(key) {
+        return VIRTUAL_HAND_KEYS.switch.includes(key);
+    }
+    
+    handleKeyDown(event) {
+        if (!this.handlesKey(event.key) || VirtualHandInput.isControlEvent(event)) return;
+        event.preventDefault();
+        this.pressed = true; // Key repeat while held is harmless
+    }
+    
+    handleKeyUp(event) {
+        if (!this.handlesKey(event.key) || !this.pressed) return;
+        this.pressed = false;
+        this.directionIndex = (this.directionIndex + 1) % this.directions.length;
+    }
+    
+    update(dt) {
+        if (!this.pressed) return;
+        
+        const direction = this.directions[this.directionIndex];
+        this.position.x = Math.max(0, Math.min(1, this.position.x + direction.x * this.speed * dt));
+        this.position.y = Math.max(0, Math.min(1, this.position.y + direction.y * this.speed * dt));
+    }
+    
+    getStates() {
+        return [{
+            id: 'switch',
+            label: 'left',
+            x: this.position.x,
+            y: this.position.y,
+            // Closed while moving, so activities see the press as well as the movement
+            pose: this.pressed ? 'fist' : 'open',
+            direction: this.directions[this.directionIndex]
+        }];
+    }
+}
+
+/**
+ * Gamepads: each stick steers one hand and the shoulder buttons or triggers on
+ * that side grip it
+ * A stick's hand appears once it has been used, so an idle controller adds nothing
+ */
+class GamepadHandSource {
+    constructor() {
+        this.speed = 0.8; // canvas units per second at full stick
+        this.deadZone = 0.2;
+        
+        this.sticks = [
+            { side: 'left', axes: [0, 1], gripButtons: [4, 6], startX: 0.35 },
+            { side: 'right', axes: [2, 3], gripButtons: [5, 7, 0], startX: 0.65 }
+        ];
+        
+        this.hands = new Map(); // `pad${index}_${side}` -> { x, y, grip, active }
+    }
+    
+    attach() {
+        // The Gamepad API is polled in update()
+    }
+    
+    detach() {
+        this.hands.clear();
+    }
+    
+    update(dt) {
+        const pads = navigator.getGamepads ? navigator.getGamepads() : [];
+        const connected = new Set();
+        
+        for (const pad of pads) {
+            if (!pad || !pad.connected) continue;
+            
+            for (const stick of this.sticks) {
+                const id = `pad${pad.index}_${stick.side}`;
+                connected.add(id);
+                
+                let hand = this.hands.get(id);
+                if (!hand) {
+                    hand = { x: stick.startX, y: 0.5, grip: false, active: false };
+                    this.hands.set(id, hand);
+                }
+                
+                const x = this.applyDeadZone(pad.axes[stick.axes[0]] || 0);
+                const y = this.applyDeadZone(pad.axes[stick.axes[1]] || 0);
+                hand.grip = stick.gripButtons.some(index => {
+                    const button = pad.buttons[index];
+                    return button && (button.pressed || button.value > 0.5);
+                });
+                hand.active = hand.active || x !== 0 || y !== 0 || hand.grip;
+                
+                hand.x = Math.max(0, Math.min(1, hand.x + x * this.speed * dt));
+                hand.y = Math.max(0, Math.min(1, hand.y + y * this.speed * dt));
+            }
+        }
+        
+        for (const id of this.hands.keys()) {
+            if (!connected.has(id)) {
+                this.hands.delete(id);
+            }
+        }
+    }
+    
+    /**
+     * Ignore stick drift near the centre and rescale the rest to 0-1
+     */
+    applyDeadZone(value) {
+        const magnitude = Math.abs(value);
+        if (magnitude < this.deadZone) return 0;
+        return Math.sign(value) * (magnitude - this.deadZone) / (1 - this.deadZone);
+    }
+    
+    getStates() {
+        const states = [];
+        for (const [id, hand] of this.hands) {
+            if (!hand.active) continue;
+            states.push({
+                id,
+                label: id.endsWith('left') ? 'left' : 'right',
+                x: hand.x,
+                y: hand.y,
+                pose: hand.grip ? 'fist' : 'open'
+            });
+        }
+        return states;
+    }
+}
+
+class VirtualHandInput {
+    constructor(element, options = {}) {
+        this.sources = {
+            pointer: new PointerHandSource(element),
+            keyboard: new KeyboardHandSource(),
+            switch: new SwitchHandSource(),
+            gamepad: new GamepadHandSource()
+        };
+        this.enabled = new Set();
+        
+        this.fps = options.fps || 30;
+        this.isRunning = false;
+        this.timerId = null;
+        this.lastTickTime = 0;
+        
+        // Builds landmarks with the same hand geometry as the simulation
+        this.landmarkBuilder = new SyntheticHandSource();
+        
+        // Callback receives (hands, time) with hands as [{ id, label, source, x, y, pose, landmarks }]
+        this.onHands = null;
+    }
+    
+    /**
+     * Whether the focused element uses this key itself, so it should not move a hand: anything
+     * typed into, arrows in selects, sliders and radio buttons, and Enter on a button the
+     * therapist reached with the keyboard (one just clicked with the mouse keeps no hold on it)
+     */
+    static isControlEvent(event) {
+        const target = event.target;
+        if (!target || !target.tagName) return false;
+        
+        const tag = target.tagName;
+        const type = (target.type || '').toLowerCase();
+        if (target.isContentEditable || tag === 'TEXTAREA' || (tag === 'INPUT' && VIRTUAL_HAND_TEXT_INPUTS.includes(type))) {
+            return true;
+        }
+        
+        if (event.key.startsWith('Arrow')) {
+            return tag === 'SELECT' || (tag === 'INPUT' && VIRTUAL_HAND_ARROW_INPUTS.includes(type));
+        }
+        
+        if (event.key === 'Enter') {
+            const pressable = tag === 'BUTTON' || tag === 'A' || tag === 'SELECT' ||
+                (tag === 'INPUT' && VIRTUAL_HAND_PRESSABLE_INPUTS.includes(type));
+            return pressable && VirtualHandInput.isKeyboardFocused(target);
+        }
+        
+        return false;
+    }
+    
+    static isKeyboardFocused(element) {
+        try {
+            return element.matches(':focus-visible');
+        } catch (error) {
+            // Browsers without :focus-visible: leave the key to the element, as before
+            return true;
+        }
+    }
+    
+    /**
+     * Turn a source on or off; takes effect immediately if input is running
+     */
+    setSourceEnabled(name, enabled) {
+        const source = this.sources[name];
+        if (!source || enabled === this.enabled.has(name)) return;
+        
+        if (enabled) {
+            this.enabled.add(name);
+            if (this.isRunning) source.attach();
+        } else {
+            this.enabled.delete(name);
+            if (this.isRunning) source.detach();
+        }
+    }
+    
+    isSourceActive(name) {
+        return this.isRunning && this.enabled.has(name);
+    }
+    
+    /**
+     * Whether a running keyboard or switch source uses this key (so app shortcuts can skip it)
+     */
+    handlesKey(key) {
+        return ['keyboard', 'switch'].some(name => this.isSourceActive(name) && this.sources[name].handlesKey(key));
+    }
+    
+    start() {
+        if (this.isRunning) return;
+        
+        this.isRunning = true;
+        this.lastTickTime = Date.now();
+        for (const name of this.enabled) {
+            this.sources[name].attach();
+        }
+        
+        const tick = () => {
+            if (!this.isRunning) return;
+            this.tick(Date.now());
+            this.timerId = setTimeout(tick, 1000 / this.fps);
+        };
+        
+        tick();
+        console.log(`Virtual hand input started: ${[...this.enabled].join(', ') || 'no sources'}`);
+    }
+    
+    stop() {
+        if (!this.isRunning) return;
+        
+        this.isRunning = false;
+        if (this.timerId) {
+            clearTimeout(this.timerId);
+            this.timerId = null;
+        }
+        for (const name of this.enabled) {
+            this.sources[name].detach();
+        }
+    }
+    
+    /**
+     * Advance every enabled source and report their hands (time in ms)
+     */
+    tick(time) {
+        // Cap the step so a throttled background tab does not send hands flying
+        const dt = Math.min(0.1, Math.max(0, (time - this.lastTickTime) / 1000));
+        this.lastTickTime = time;
+        
+        const hands = [];
+        for (const name of this.enabled) {
+            const source = this.sources[name];
+            source.update(dt);
+            
+            for (const state of source.getStates()) {
+                hands.push(this.createHand({ ...state, source: name }));
+            }
+        }
+        
+        if (this.onHands) {
+            this.onHands(hands, time);
+        }
+    }
+    
+    /**
+     * Add raw camera-space landmarks to a hand state
+     */
+    createHand(state) {
+        const landmarks = this.landmarkBuilder.buildLandmarks(
+            { x: state.x, y: state.y, size: VIRTUAL_HAND_SIZE, pose: state.pose },
+            { label: state.label },
+            {}
+        );
+        return { ...state, landmarks };
+    }
+}
+
+// Export for use in main application
+window.VirtualHandInput = VirtualHandInput;
+window.VIRTUAL_HAND_KEYS = VIRTUAL_HAND_KEYS;
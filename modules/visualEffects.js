@@ -1,8 +1,34 @@
 /**
  * Visual Effects Module
  * Handles drawing, particles, and visual interactions for music therapy
+ *
+ * What hands make on the canvas comes from visual modes registered with VisualEffects.registerMode().
+ * A mode is an object with a displayName, a description, an icon for the choice board, a settings
+ * schema and any of these hooks, called with `this` as the mode's own instance (this.effects is
+ * the VisualEffects, this.settings the mode's current settings):
+ *   init()                  - the mode has been chosen
+ *   processHands(hands)     - new hand data has arrived
+ *   update()                - once per animation frame, before render
+ *   render()                - draw the frame
+ *   resize()                - the canvas has changed size
+ *   updateSettings(changes) - some of this.settings have changed
+ *   clear()                 - the canvas has been cleared
+ *   dispose()               - another mode has been chosen
+ *
+ * Particles (this.effects.createParticle, createBurst) are drawn over every mode after its render.
+ *
+ * Settings schema entries become controls in the settings panel:
+ *   { type: 'range', label, min, max, step, default }
+ *   { type: 'select', label, options: [{ value, label }], default }
+ *   { type: 'checkbox', label, default }
  */
 
+// Registered visual modes by name, in the order they appear in the mode list
+const VISUAL_MODES = {};
+
+const VISUAL_MODE_HOOKS = ['init', 'processHands', 'update', 'render', 'resize', 'updateSettings', 'clear', 'dispose'];
+const VISUAL_MODE_SETTING_TYPES = ['range', 'select', 'checkbox'];
+
 class VisualEffects {
     constructor(canvas) {
         if (!canvas) {
@@ -14,22 +40,41 @@ class VisualEffects {
         this.width = canvas.width;
         this.height = canvas.height;
         
-        // Visual modes
-        this.mode = 'drawing'; // 'drawing', 'particles', 'shapes'
+        // Visual mode: its name and the running instance
+        this.mode = null;
+        this.activeMode = null;
+        this.modeSettings = {}; // Settings chosen for each mode, kept when switching between them
         this.colorMode = 'rainbow'; // 'rainbow', 'speed', 'position', 'audio'
         
         // Drawing settings
         this.brushSize = 15;
-        this.trailLength = 50;
-        this.symmetryMode = false;
+        
+        // Mirror axes and kaleidoscope segments, applied to every mode
+        this.symmetry = new SymmetryTransform();
+        
+        // Where each hand draws from: 'center', 'wrist', a fingertip ('thumb', 'index',
+        // 'middle', 'ring', 'pinky') or 'fingertips' for all five at once
+        this.drawPoint = 'center';
+        
+        // When the pen is on the page: 'always', 'pinch', 'point' or 'pinch-or-point'
+        this.penMode = 'always';
+        
+        // What reaching toward the camera changes (hand.depth: 0 far - 1 near)
+        this.depthControls = {
+            brushSize: false, // Thicker lines when near
+            spread: false, // Particles fly wider when near
+            opacity: false // Fainter when far
+        };
         
         // Particle system
         this.particles = [];
         this.maxParticles = 500;
         
-        // Drawing trails
-        this.trails = new Map(); // For each hand
-        this.maxTrailLength = 100;
+        // Drawing strokes, kept here so undo, redo and saving work whichever mode made them
+        this.strokes = new StrokeHistory();
+        
+        // Colours set for particular hands, e.g. by a trigger zone; these win over the colour mode
+        this.handColors = new Map();
         
         // Color palettes - optimized for music therapy with less bright/white colors
         this.colorPalettes = {
@@ -48,6 +93,7 @@ class VisualEffects {
         this.audioIntensity = 0;
         
         this.initCanvas();
+        this.setMode('drawing');
         // Don't start animation automatically - will be started when camera starts
     }
     
@@ -84,6 +130,112 @@ class VisualEffects {
         this.canvas.height = container.clientHeight;
         this.width = container.clientWidth;
         this.height = container.clientHeight;
+        
+        if (this.activeMode && this.activeMode.resize) {
+            this.activeMode.resize();
+        }
+    }
+    
+    /**
+     * Register a visual mode so it appears in the mode list; see the top of this file for its shape
+     */
+    static registerMode(name, mode) {
+        if (!name || typeof name !== 'string') {
+            throw new Error('Visual mode needs a name');
+        }
+        if (!mode || typeof mode.displayName !== 'string') {
+            throw new Error(`Visual mode "${name}" needs a displayName`);
+        }
+        
+        for (const hook of VISUAL_MODE_HOOKS) {
+            if (mode[hook] !== undefined && typeof mode[hook] !== 'function') {
+                throw new Error(`Visual mode "${name}" has a ${hook} that is not a function`);
+            }
+        }
+        if (!mode.processHands && !mode.render) {
+            throw new Error(`Visual mode "${name}" needs processHands or render to draw anything`);
+        }
+        
+        for (const [key, setting] of Object.entries(mode.settings || {})) {
+            if (!setting || !VISUAL_MODE_SETTING_TYPES.includes(setting.type)) {
+                throw new Error(`Visual mode "${name}" setting "${key}" needs a type of ${VISUAL_MODE_SETTING_TYPES.join(', ')}`);
+            }
+            if (setting.type === 'select' && !(setting.options && setting.options.length)) {
+                throw new Error(`Visual mode "${name}" setting "${key}" needs options`);
+            }
+        }
+        
+        VISUAL_MODES[name] = mode;
+    }
+    
+    /**
+     * Registered modes for the mode list
+     */
+    getAvailableModes() {
+        return Object.entries(VISUAL_MODES).map(([name, mode]) => ({
+            name,
+            displayName: mode.displayName,
+            description: mode.description || '',
+            icon: mode.icon || '',
+            settings: mode.settings || {}
+        }));
+    }
+    
+    /**
+     * Switch to a registered mode; returns whether it was found
+     */
+    setMode(name) {
+        const definition = VISUAL_MODES[name];
+        if (!definition) {
+            console.warn(`Unknown visual mode "${name}"`);
+            return false;
+        }
+        if (name === this.mode) return true;
+        
+        if (this.activeMode && this.activeMode.dispose) {
+            this.activeMode.dispose();
+        }
+        
+        // Each mode runs as its own instance, so its state starts fresh every time it is chosen
+        const mode = Object.create(definition);
+        mode.effects = this;
+        mode.settings = { ...this.getDefaultModeSettings(name), ...this.modeSettings[name] };
+        
+        this.mode = name;
+        this.activeMode = mode;
+        if (mode.init) mode.init();
+        return true;
+    }
+    
+    getDefaultModeSettings(name) {
+        const defaults = {};
+        for (const [key, setting] of Object.entries(VISUAL_MODES[name].settings || {})) {
+            defaults[key] = setting.default;
+        }
+        return defaults;
+    }
+    
+    /**
+     * Settings of the current mode, or another registered one
+     */
+    getModeSettings(name = this.mode) {
+        if (name === this.mode && this.activeMode) return { ...this.activeMode.settings };
+        if (!VISUAL_MODES[name]) return {};
+        
+        return { ...this.getDefaultModeSettings(name), ...this.modeSettings[name] };
+    }
+    
+    /**
+     * Change some of the current mode's settings
+     */
+    updateModeSettings(changes) {
+        if (!this.activeMode) return;
+        
+        this.modeSettings[this.mode] = { ...this.modeSettings[this.mode], ...changes };
+        Object.assign(this.activeMode.settings, changes);
+        if (this.activeMode.updateSettings) {
+            this.activeMode.updateSettings(changes);
+        }
     }
     
     /**
@@ -120,35 +272,17 @@ class VisualEffects {
     update() {
         // Update particles
         this.updateParticles();
+        this.cleanupParticles();
         
-        // Fade trails for drawing mode
-        if (this.mode === 'drawing') {
-            this.fadeTrails();
+        if (this.activeMode && this.activeMode.update) {
+            this.activeMode.update();
         }
-        
-        // Clean up old trails to prevent memory leaks
-        this.cleanupTrails();
     }
     
     /**
-     * Clean up old trails and particles to prevent memory leaks
+     * Limit particles to prevent memory issues
      */
-    cleanupTrails() {
-        // Remove trails that haven't been updated recently
-        const now = Date.now();
-        for (const [handId, trail] of this.trails.entries()) {
-            if (trail.length === 0) {
-                this.trails.delete(handId);
-                continue;
-            }
-            
-            // Remove trails older than 5 seconds
-            const lastPoint = trail[trail.length - 1];
-            if (lastPoint && now - lastPoint.timestamp > 5000) {
-                this.trails.delete(handId);
-            }
-        }
-        
+    cleanupParticles() {
         // Limit particle count to prevent memory issues
         if (this.particles.length > this.maxParticles) {
             this.particles = this.particles.slice(-this.maxParticles);
@@ -166,20 +300,17 @@ class VisualEffects {
         
         // Only log occasionally to avoid console spam
         if (Math.random() < 0.01) { // 1% chance to log
-            console.log('render() called, mode:', this.mode, 'trails count:', this.trails.size);
+            console.log('render() called, mode:', this.mode, 'strokes:', this.strokes.getAll().length);
+        }
+        
+        // Some modes draw as hands arrive and have nothing to render
+        if (this.activeMode && this.activeMode.render) {
+            this.activeMode.render();
         }
         
-        // Render based on current mode
-        switch (this.mode) {
-            case 'drawing':
-                this.renderTrails();
-                break;
-            case 'particles':
-                this.renderParticles();
-                break;
-            case 'shapes':
-                // Shapes are rendered immediately in handleShapes, no separate rendering needed
-                break;
+        // Particles go on top in every mode, so bursts from zones, gestures and choices always show
+        if (this.particles.length > 0) {
+            this.renderParticles();
         }
     }
     
@@ -192,161 +323,92 @@ class VisualEffects {
             console.log('VisualEffects.processHands called with:', hands.length, 'hands');
         }
         
-        switch (this.mode) {
-            case 'drawing':
-                this.handleDrawing(hands);
-                break;
-            case 'particles':
-                this.handleParticles(hands);
-                break;
-            case 'shapes':
-                this.handleShapes(hands);
-                break;
+        if (this.activeMode && this.activeMode.processHands) {
+            this.activeMode.processHands(hands);
         }
     }
     
     /**
-     * Handle drawing mode
+     * End the strokes a hand is drawing, e.g. when it enters or leaves a trigger zone
      */
-    handleDrawing(hands) {
-        // Reduce logging to prevent memory issues
-        if (Math.random() < 0.001) { // 0.1% chance to log
-            console.log('handleDrawing called with', hands.length, 'hands');
-        }
-        
-        for (const hand of hands) {
-            const x = hand.center.x * this.width;
-            const y = hand.center.y * this.height;
-            
-            // Get or create trail for this hand
-            let trail = this.trails.get(hand.id);
-            if (!trail) {
-                trail = [];
-                this.trails.set(hand.id, trail);
-                if (Math.random() < 0.01) { // 1% chance to log
-                    console.log(`Created new trail for hand ${hand.id}`);
-                }
-            }
-            
-            // Add point to trail
-            const point = {
-                x: x,
-                y: y,
-                velocity: hand.velocity.magnitude,
-                timestamp: Date.now(),
-                color: this.getColor(hand, x, y)
-            };
-            
-            trail.push(point);
-            
-            // Limit trail length to prevent memory issues
-            if (trail.length > this.maxTrailLength) {
-                trail.shift();
-            }
-            
-            // Add symmetry point if enabled
-            if (this.symmetryMode) {
-                const symmetryPoint = {
-                    x: this.width - x,
-                    y: y,
-                    velocity: hand.velocity.magnitude,
-                    timestamp: Date.now(),
-                    color: this.getColor(hand, this.width - x, y)
-                };
-                
-                let symmetryTrail = this.trails.get(hand.id + '_symmetry');
-                if (!symmetryTrail) {
-                    symmetryTrail = [];
-                    this.trails.set(hand.id + '_symmetry', symmetryTrail);
-                }
-                
-                symmetryTrail.push(symmetryPoint);
-                if (symmetryTrail.length > this.maxTrailLength) {
-                    symmetryTrail.shift();
-                }
-            }
+    endHandStrokes(handId) {
+        this.strokes.endHandStrokes(handId);
+    }
+    
+    /**
+     * Take the last stroke off the picture; returns whether there was one
+     */
+    undo() {
+        return this.strokes.undo();
+    }
+    
+    /**
+     * Put the last undone stroke back; returns whether there was one
+     */
+    redo() {
+        return this.strokes.redo();
+    }
+    
+    /**
+     * Points a hand draws from, in canvas coordinates: [{ key, x, y }]
+     * Each point draws its own stroke; recordings made before hands had points draw from the centre
+     */
+    getDrawPoints(hand) {
+        const points = hand.points;
+        if (this.drawPoint === 'center' || !points) {
+            return [{ key: hand.id, x: hand.center.x, y: hand.center.y }];
         }
         
-        // Clean up old trails
-        this.cleanupTrails();
+        const names = this.drawPoint === 'fingertips' ?
+            ['thumb', 'index', 'middle', 'ring', 'pinky'] : [this.drawPoint];
+        return names.filter(name => points[name]).map(name => ({ key: `${hand.id}_${name}`, ...points[name] }));
     }
     
     /**
-     * Handle particle mode
+     * Brush size, particle spread and opacity factors from how near the hand is
+     * Each is 1 when its depth control is off or the hand is at its usual distance
      */
-    handleParticles(hands) {
-        for (const hand of hands) {
-            const x = hand.center.x * this.width;
-            const y = hand.center.y * this.height;
-            
-            // Create particles based on hand movement
-            const particleCount = Math.max(1, Math.floor(hand.velocity.magnitude * 10));
-            
-            for (let i = 0; i < particleCount; i++) {
-                if (this.particles.length < this.maxParticles) {
-                    this.createParticle(x, y, hand);
-                }
-            }
-        }
+    getDepthStyle(hand) {
+        const depth = typeof hand.depth === 'number' ? hand.depth : 0.5;
+        return {
+            brushScale: this.depthControls.brushSize ? 0.3 + depth * 1.4 : 1,
+            spread: this.depthControls.spread ? 0.2 + depth * 1.6 : 1,
+            opacity: this.depthControls.opacity ? Math.min(1, 0.15 + depth * 1.7) : 1
+        };
     }
     
     /**
-     * Handle shapes mode
+     * Whether the hand's pen is on the page, from its gesture flags
      */
-    handleShapes(hands) {
-        this.ctx.clearRect(0, 0, this.width, this.height);
-        
-        for (const hand of hands) {
-            const x = hand.center.x * this.width;
-            const y = hand.center.y * this.height;
-            const size = this.brushSize + (hand.velocity.magnitude * 50);
-            
-            this.ctx.fillStyle = this.getColor(hand, x, y);
-            this.ctx.globalAlpha = 0.7;
-            
-            // Draw different shapes based on gestures
-            if (hand.gestures.isPointing) {
-                this.drawTriangle(x, y, size);
-            } else if (hand.gestures.isFist) {
-                this.drawSquare(x, y, size);
-            } else if (hand.gestures.isOpen) {
-                this.drawStar(x, y, size);
-            } else {
-                this.drawCircle(x, y, size);
-            }
-            
-            // Add symmetry if enabled
-            if (this.symmetryMode) {
-                const symX = this.width - x;
-                this.ctx.fillStyle = this.getColor(hand, symX, y);
-                
-                if (hand.gestures.isPointing) {
-                    this.drawTriangle(symX, y, size);
-                } else if (hand.gestures.isFist) {
-                    this.drawSquare(symX, y, size);
-                } else if (hand.gestures.isOpen) {
-                    this.drawStar(symX, y, size);
-                } else {
-                    this.drawCircle(symX, y, size);
-                }
-            }
+    isPenDown(hand) {
+        const gestures = hand.gestures || {};
+        switch (this.penMode) {
+            case 'pinch':
+                return Boolean(gestures.isPinching);
+            case 'point':
+                return Boolean(gestures.isPointing);
+            case 'pinch-or-point':
+                return Boolean(gestures.isPinching || gestures.isPointing);
+            default:
+                return true;
         }
-        
-        this.ctx.globalAlpha = 1.0;
     }
     
     /**
-     * Create a particle
+     * Create a particle; matrix turns the hand's velocity for a symmetry copy
      */
-    createParticle(x, y, hand) {
+    createParticle(x, y, hand, matrix = null) {
+        const { spread, opacity } = this.getDepthStyle(hand);
+        const velocity = matrix ? this.symmetry.transformVector(matrix, hand.velocity.x, hand.velocity.y) : hand.velocity;
         const particle = {
-            x: x + (Math.random() - 0.5) * 20,
-            y: y + (Math.random() - 0.5) * 20,
-            vx: (Math.random() - 0.5) * 4 + hand.velocity.x * 100,
-            vy: (Math.random() - 0.5) * 4 + hand.velocity.y * 100,
+            x: x + (Math.random() - 0.5) * 20 * spread,
+            y: y + (Math.random() - 0.5) * 20 * spread,
+            vx: (Math.random() - 0.5) * 4 * spread + velocity.x * 100,
+            vy: (Math.random() - 0.5) * 4 * spread + velocity.y * 100,
             life: 1.0,
             decay: Math.random() * 0.02 + 0.01,
             size: Math.random() * 8 + 2,
+            opacity,
             color: this.getColor(hand, x, y),
             type: Math.random() > 0.7 ? 'spark' : 'dot'
         };
@@ -355,42 +417,30 @@ class VisualEffects {
     }
     
     /**
-     * Update particles
+     * Burst of particles at a point (canvas units 0-1), e.g. to acknowledge a movement gesture
      */
-    updateParticles() {
-        for (let i = this.particles.length - 1; i >= 0; i--) {
-            const particle = this.particles[i];
-            
-            // Update position
-            particle.x += particle.vx;
-            particle.y += particle.vy;
-            
-            // Apply gravity and friction
-            particle.vy += 0.1;
-            particle.vx *= 0.99;
-            particle.vy *= 0.99;
-            
-            // Update life
-            particle.life -= particle.decay;
-            particle.size *= 0.99;
-            
-            // Remove dead particles
-            if (particle.life <= 0 || particle.size < 0.5) {
-                this.particles.splice(i, 1);
-            }
+    createBurst(position, count = 30) {
+        const x = position.x * this.width;
+        const y = position.y * this.height;
+        const hand = { velocity: { x: 0, y: 0, magnitude: 1 } };
+        
+        for (let i = 0; i < count && this.particles.length < this.maxParticles; i++) {
+            this.createParticle(x, y, hand);
         }
     }
     
     /**
-     * Render particles
+     * Draw the particles over whatever the mode has drawn
      */
     renderParticles() {
+        const ctx = this.ctx;
+        
         // Use normal blending to avoid white dominance from 'lighter' mode
-        this.ctx.globalCompositeOperation = 'source-over';
+        ctx.globalCompositeOperation = 'source-over';
         
         for (const particle of this.particles) {
-            this.ctx.globalAlpha = particle.life;
-            this.ctx.fillStyle = particle.color;
+            ctx.globalAlpha = particle.life * (particle.opacity || 1);
+            ctx.fillStyle = particle.color;
             
             if (particle.type === 'spark') {
                 this.drawSpark(particle.x, particle.y, particle.size);
@@ -399,56 +449,43 @@ class VisualEffects {
             }
         }
         
-        this.ctx.globalAlpha = 1.0;
-        this.ctx.globalCompositeOperation = 'source-over';
+        ctx.globalAlpha = 1.0;
     }
     
     /**
-     * Render drawing trails
+     * Update particles
      */
-    renderTrails() {
-        // Only log when we actually have trails to render
-        if (this.trails.size > 0) {
-            console.log('renderTrails called, trails:', this.trails.size);
-        }
-        
-        this.ctx.globalCompositeOperation = 'source-over';
-        this.ctx.lineCap = 'round';
-        this.ctx.lineJoin = 'round';
-        
-        for (const [handId, trail] of this.trails) {
-            if (this.trails.size > 0) {
-                console.log(`Rendering trail for ${handId}, length: ${trail.length}`);
-            }
-            if (trail.length < 2) continue;
+    updateParticles() {
+        for (let i = this.particles.length - 1; i >= 0; i--) {
+            const particle = this.particles[i];
             
-            for (let i = 1; i < trail.length; i++) {
-                const current = trail[i];
-                const previous = trail[i - 1];
-                
-                // Calculate line width based on velocity and age
-                const progress = i / trail.length;
-                const velocityScale = Math.min(current.velocity * 2, 1);
-                const lineWidth = this.brushSize * velocityScale * progress;
-                
-                this.ctx.strokeStyle = current.color;
-                this.ctx.lineWidth = Math.max(lineWidth, 1);
-                this.ctx.globalAlpha = progress * 0.8;
-                
-                this.ctx.beginPath();
-                this.ctx.moveTo(previous.x, previous.y);
-                this.ctx.lineTo(current.x, current.y);
-                this.ctx.stroke();
+            // Update position
+            particle.x += particle.vx;
+            particle.y += particle.vy;
+            
+            // Apply gravity and friction
+            particle.vy += 0.1;
+            particle.vx *= 0.99;
+            particle.vy *= 0.99;
+            
+            // Update life
+            particle.life -= particle.decay;
+            particle.size *= 0.99;
+            
+            // Remove dead particles
+            if (particle.life <= 0 || particle.size < 0.5) {
+                this.particles.splice(i, 1);
             }
         }
-        
-        this.ctx.globalAlpha = 1.0;
     }
     
     /**
      * Get color based on current color mode
      */
     getColor(hand, x, y) {
+        const handColor = hand.id && this.handColors.get(hand.id);
+        if (handColor) return handColor;
+        
         switch (this.colorMode) {
             case 'rainbow':
                 return this.getRainbowColor(Date.now() / 10);
@@ -468,6 +505,24 @@ class VisualEffects {
         }
     }
     
+    /**
+     * Draw a hand in a fixed colour until it is cleared
+     */
+    setHandColor(handId, color) {
+        this.handColors.set(handId, color);
+    }
+    
+    /**
+     * Go back to the colour mode for one hand, or for every hand if none is given
+     */
+    clearHandColor(handId) {
+        if (handId === undefined) {
+            this.handColors.clear();
+        } else {
+            this.handColors.delete(handId);
+        }
+    }
+    
     /**
      * Get rainbow color
      */
@@ -560,43 +615,34 @@ class VisualEffects {
         this.ctx.stroke();
     }
     
-    /**
-     * Utility functions
-     */
-    fadeTrails() {
-        const now = Date.now();
-        for (const [handId, trail] of this.trails) {
-            for (let i = trail.length - 1; i >= 0; i--) {
-                const age = now - trail[i].timestamp;
-                if (age > this.trailLength * 100) {
-                    trail.splice(i, 1);
-                }
-            }
-            
-            if (trail.length === 0) {
-                this.trails.delete(handId);
-            }
-        }
-    }
-    
     /**
      * Clear canvas
      */
     clear() {
         this.ctx.clearRect(0, 0, this.width, this.height);
-        this.trails.clear();
+        this.strokes.clear();
         this.particles = [];
+        
+        if (this.activeMode && this.activeMode.clear) {
+            this.activeMode.clear();
+        }
     }
     
     /**
      * Update settings
      */
     updateSettings(settings) {
-        if (settings.mode) this.mode = settings.mode;
+        if (settings.mode) this.setMode(settings.mode);
         if (settings.colorMode) this.colorMode = settings.colorMode;
         if (settings.brushSize) this.brushSize = settings.brushSize;
-        if (settings.trailLength) this.trailLength = settings.trailLength;
-        if (settings.symmetryMode !== undefined) this.symmetryMode = settings.symmetryMode;
+        if (settings.symmetry) {
+            // Strokes being drawn would jump to their new copies
+            this.strokes.endAll();
+            this.symmetry.configure(settings.symmetry);
+        }
+        if (settings.drawPoint) this.drawPoint = settings.drawPoint;
+        if (settings.penMode) this.penMode = settings.penMode;
+        if (settings.depthControls) this.depthControls = { ...this.depthControls, ...settings.depthControls };
     }
     
     /**
@@ -609,4 +655,5 @@ class VisualEffects {
 }
 
 // Export for use in main application
+window.VISUAL_MODES = VISUAL_MODES;
 window.VisualEffects = VisualEffects;
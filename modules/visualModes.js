@@ -0,0 +1,273 @@
+/**
+ * Built-in Visual Modes
+ * Drawing, particles and shapes, registered through VisualEffects.registerMode() like any
+ * other mode - see VisualEffects for the hooks a mode can have.
+ */
+
+VisualEffects.registerMode('drawing', {
+    displayName: 'Drawing Mode',
+    icon: '🖌️',
+    description: 'Hands paint lines that fade away or build up a picture',
+    
+    settings: {
+        paintMode: {
+            type: 'select',
+            label: 'Painting',
+            options: [
+                { value: 'fading', label: 'Fading lines' },
+                { value: 'permanent', label: 'Permanent picture' }
+            ],
+            default: 'fading'
+        },
+        trailLength: { type: 'range', label: 'Trail Length', min: 10, max: 100, step: 5, default: 50 }
+    },
+    
+    // ms without movement that ends a stroke
+    strokePause: 1000,
+    
+    init() {
+        // Finished permanent strokes are drawn once onto this layer rather than every frame
+        this.strokeLayer = null;
+        this.layerRevision = -1;
+        this.layerStrokeCount = 0;
+    },
+    
+    processHands(hands) {
+        const effects = this.effects;
+        const { width: canvasWidth, height: canvasHeight } = effects;
+        
+        for (const hand of hands) {
+            const penDown = effects.isPenDown(hand);
+            const { brushScale, opacity } = effects.getDepthStyle(hand);
+            
+            // Faster movement paints a thicker line
+            const velocityScale = Math.min(hand.velocity.magnitude * 2, 1);
+            const width = Math.max(effects.brushSize * velocityScale * brushScale, 1);
+            const time = Date.now();
+            
+            for (const drawPoint of effects.getDrawPoints(hand)) {
+                // Each symmetry copy is a stroke of its own
+                const copies = effects.symmetry.getCopies(
+                    drawPoint.x * canvasWidth, drawPoint.y * canvasHeight, canvasWidth, canvasHeight);
+                
+                copies.forEach((copy, index) => {
+                    const key = index === 0 ? drawPoint.key : `${drawPoint.key}_symmetry${index}`;
+                    if (!penDown) {
+                        // Lifting the pen ends the stroke
+                        effects.strokes.endStroke(key);
+                        return;
+                    }
+                    
+                    effects.strokes.addPoint(key, {
+                        x: copy.x / canvasWidth,
+                        y: copy.y / canvasHeight,
+                        width,
+                        color: effects.getColor(hand, copy.x, copy.y),
+                        opacity,
+                        time
+                    }, hand.id);
+                });
+            }
+        }
+    },
+    
+    update() {
+        // A hand that stops drawing for a moment has finished its stroke
+        const now = Date.now();
+        this.effects.strokes.endIdleStrokes(now, this.strokePause);
+        
+        if (this.settings.paintMode === 'fading') {
+            this.effects.strokes.removeOlderThan(now, this.getFadeTime());
+        }
+    },
+    
+    /**
+     * Redraw the picture from its strokes
+     */
+    render() {
+        const effects = this.effects;
+        const ctx = effects.ctx;
+        ctx.clearRect(0, 0, effects.width, effects.height);
+        ctx.globalCompositeOperation = 'source-over';
+        
+        if (this.settings.paintMode === 'permanent') {
+            this.updateStrokeLayer();
+            ctx.globalAlpha = 1.0;
+            ctx.drawImage(this.strokeLayer, 0, 0, effects.width, effects.height);
+            
+            for (const stroke of effects.strokes.activeStrokes.values()) {
+                this.drawStroke(ctx, stroke);
+            }
+        } else {
+            // Lines thin out and fade as they age
+            const now = Date.now();
+            const fadeTime = this.getFadeTime();
+            for (const stroke of effects.strokes.getAll()) {
+                this.drawStroke(ctx, stroke, (point) => 1 - (now - point.time) / fadeTime);
+            }
+        }
+        
+        ctx.globalAlpha = 1.0;
+    },
+    
+    // Strokes are kept in canvas units, so the picture is redrawn to fit
+    resize() {
+        this.layerRevision = -1;
+    },
+    
+    updateSettings() {
+        this.layerRevision = -1;
+    },
+    
+    dispose() {
+        this.strokeLayer = null;
+    },
+    
+    getFadeTime() {
+        return this.settings.trailLength * 100;
+    },
+    
+    /**
+     * Draw finished strokes onto the stroke layer: only new ones, or all of them after undo, redo or a resize
+     */
+    updateStrokeLayer() {
+        const effects = this.effects;
+        if (!this.strokeLayer) {
+            this.strokeLayer = document.createElement('canvas');
+        }
+        
+        const layer = this.strokeLayer;
+        if (layer.width !== effects.canvas.width || layer.height !== effects.canvas.height) {
+            layer.width = effects.canvas.width;
+            layer.height = effects.canvas.height;
+            this.layerRevision = -1;
+        }
+        
+        const strokes = effects.strokes;
+        const finished = strokes.strokes;
+        const ctx = layer.getContext('2d');
+        if (this.layerRevision !== strokes.revision || finished.length < this.layerStrokeCount) {
+            ctx.setTransform(1, 0, 0, 1, 0, 0);
+            ctx.clearRect(0, 0, layer.width, layer.height);
+            this.layerStrokeCount = 0;
+            this.layerRevision = strokes.revision;
+        }
+        
+        // Strokes are drawn in canvas pixels, like on the visible canvas
+        ctx.setTransform(layer.width / effects.width, 0, 0, layer.height / effects.height, 0, 0);
+        for (let i = this.layerStrokeCount; i < finished.length; i++) {
+            this.drawStroke(ctx, finished[i]);
+        }
+        this.layerStrokeCount = finished.length;
+    },
+    
+    /**
+     * Draw one stroke; getLife gives a fading point's remaining life (1 new - 0 gone)
+     */
+    drawStroke(ctx, stroke, getLife = null) {
+        const { width, height } = this.effects;
+        const points = stroke.points;
+        ctx.lineCap = 'round';
+        ctx.lineJoin = 'round';
+        
+        for (let i = 1; i < points.length; i++) {
+            const current = points[i];
+            const previous = points[i - 1];
+            const life = getLife ? Math.max(0, getLife(current)) : 1;
+            
+            ctx.strokeStyle = current.color;
+            ctx.lineWidth = Math.max(current.width * life, 1);
+            ctx.globalAlpha = life * 0.8 * (current.opacity || 1);
+            
+            ctx.beginPath();
+            ctx.moveTo(previous.x * width, previous.y * height);
+            ctx.lineTo(current.x * width, current.y * height);
+            ctx.stroke();
+        }
+        
+        ctx.globalAlpha = 1.0;
+    }
+});
+
+VisualEffects.registerMode('particles', {
+    displayName: 'Particle Mode',
+    icon: '✨',
+    description: 'Moving hands throw out sparks and dots',
+    
+    settings: {
+        amount: { type: 'range', label: 'Particles', min: 0.5, max: 3, step: 0.5, default: 1 }
+    },
+    
+    // Only makes particles: VisualEffects draws them over every mode
+    processHands(hands) {
+        const effects = this.effects;
+        
+        for (const hand of hands) {
+            const x = hand.center.x * effects.width;
+            const y = hand.center.y * effects.height;
+            
+            // Create particles based on hand movement
+            const particleCount = Math.max(1, Math.floor(hand.velocity.magnitude * 10 * this.settings.amount));
+            
+            for (const copy of effects.symmetry.getCopies(x, y, effects.width, effects.height)) {
+                for (let i = 0; i < particleCount; i++) {
+                    if (effects.particles.length < effects.maxParticles) {
+                        effects.createParticle(copy.x, copy.y, hand, copy.matrix);
+                    }
+                }
+            }
+        }
+    }
+});
+
+VisualEffects.registerMode('shapes', {
+    displayName: 'Shape Mode',
+    icon: '🔷',
+    description: 'Each hand shape makes a shape: point for a triangle, fist for a square, open hand for a star',
+    
+    settings: {
+        size: { type: 'range', label: 'Shape Size', min: 0.5, max: 2, step: 0.25, default: 1 }
+    },
+    
+    // Shapes are drawn as hands arrive, so there is nothing to do each frame
+    processHands(hands) {
+        const effects = this.effects;
+        const ctx = effects.ctx;
+        ctx.clearRect(0, 0, effects.width, effects.height);
+        
+        for (const hand of hands) {
+            const x = hand.center.x * effects.width;
+            const y = hand.center.y * effects.height;
+            const size = (effects.brushSize + (hand.velocity.magnitude * 50)) * this.settings.size;
+            ctx.globalAlpha = 0.7;
+            
+            // Copies are turned and mirrored like their position
+            for (const copy of effects.symmetry.getCopies(x, y, effects.width, effects.height)) {
+                const [a, b, c, d] = copy.matrix;
+                ctx.save();
+                ctx.transform(a, c, b, d, copy.x, copy.y);
+                ctx.fillStyle = effects.getColor(hand, copy.x, copy.y);
+                this.drawShape(hand, size);
+                ctx.restore();
+            }
+        }
+        
+        ctx.globalAlpha = 1.0;
+    },
+    
+    /**
+     * Draw the shape for a hand's gesture at the origin
+     */
+    drawShape(hand, size) {
+        const effects = this.effects;
+        if (hand.gestures.isPointing) {
+            effects.drawTriangle(0, 0, size);
+        } else if (hand.gestures.isFist) {
+            effects.drawSquare(0, 0, size);
+        } else if (hand.gestures.isOpen) {
+            effects.drawStar(0, 0, size);
+        } else {
+            effects.drawCircle(0, 0, size);
+        }
+    }
+});
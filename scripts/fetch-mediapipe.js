@@ -0,0 +1,91 @@
+/**
+ * Download the pinned MediaPipe files into vendor/mediapipe so the app can run offline
+ * Usage: npm run vendor [-- --force]
+ *
+ * The file list comes from modules/mediaPipeAssets.js, the same list the app checks
+ * at startup and the service worker caches.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const https = require('https');
+const vm = require('vm');
+
+const root = path.join(__dirname, '..');
+const force = process.argv.includes('--force');
+
+/**
+ * Evaluate the browser module to read MEDIAPIPE_ASSETS
+ */
+function readAssets() {
+    const source = fs.readFileSync(path.join(root, 'modules', 'mediaPipeAssets.js'), 'utf8');
+    const sandbox = { window: {} };
+    vm.runInNewContext(source, sandbox);
+    return sandbox.window.MEDIAPIPE_ASSETS;
+}
+
+/**
+ * Download a URL to a file, following redirects
+ */
+function download(url, destination, redirects = 5) {
+    return new Promise((resolve, reject) => {
+        https.get(url, (response) => {
+            if (response.statusCode >= 300 && response.statusCode < 400 && response.headers.location) {
+                response.resume();
+                if (redirects === 0) {
+                    reject(new Error(`Too many redirects for ${url}`));
+                    return;
+                }
+                resolve(download(new URL(response.headers.location, url).toString(), destination, redirects - 1));
+                return;
+            }
+            
+            if (response.statusCode !== 200) {
+                response.resume();
+                reject(new Error(`${url} returned ${response.statusCode}`));
+                return;
+            }
+            
+            // Write to a temporary file so an interrupted download is not mistaken for a complete one
+            const partial = `${destination}.partial`;
+            const file = fs.createWriteStream(partial);
+            response.pipe(file);
+            file.on('finish', () => file.close(() => {
+                fs.renameSync(partial, destination);
+                resolve();
+            }));
+            file.on('error', reject);
+        }).on('error', reject);
+    });
+}
+
+async function main() {
+    const assets = readAssets();
+    let downloaded = 0;
+    let failed = 0;
+    
+    for (const [key, pkg] of Object.entries(assets.packages)) {
+        const directory = path.join(root, assets.localPath, key);
+        fs.mkdirSync(directory, { recursive: true });
+        
+        for (const file of pkg.files) {
+            const destination = path.join(directory, file);
+            if (!force && fs.existsSync(destination)) continue;
+            
+            const url = `${assets.cdnPath}/${pkg.name}@${pkg.version}/${file}`;
+            try {
+                await download(url, destination);
+                downloaded++;
+                console.log(`Downloaded ${pkg.name}@${pkg.version}/${file}`);
+            } catch (error) {
+                failed++;
+                console.error(`Failed: ${error.message}`);
+            }
+        }
+    }
+    
+    console.log(`${downloaded} file(s) downloaded to ${assets.localPath}${failed ? `, ${failed} failed` : ''}`);
+    if (failed) process.exit(1);
+}
+
+main();
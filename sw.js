@@ -0,0 +1,134 @@
+/**
+ * Service worker - caches the whole app so sessions run without internet
+ *
+ * App files are network-first, so updates arrive whenever the school is online;
+ * the pinned MediaPipe files never change, so they are served from the cache first.
+ * Bump CACHE_VERSION to drop old caches after a release.
+ */
+
+const CACHE_VERSION = 'v1';
+const APP_CACHE = `little-hands-app-${CACHE_VERSION}`;
+const MEDIAPIPE_CACHE = `little-hands-mediapipe-${CACHE_VERSION}`;
+
+// The shared asset list is written for the page, which exports through window
+self.window = self;
+importScripts('modules/mediaPipeAssets.js');
+
+const APP_SHELL = ['./', 'index.html', 'styles.css', 'app.js'];
+
+/**
+ * Every script the page loads, read from index.html so new modules are cached without editing this list
+ */
+async function getAppFiles() {
+    // The tracking worker is started from script, so it has no tag of its own
+    const files = [...APP_SHELL, 'modules/mediaPipeAssets.js', 'modules/trackingWorker.js'];
+    
+    try {
+        const response = await fetch('index.html', { cache: 'no-cache' });
+        const html = await response.text();
+        for (const match of html.matchAll(/<script src="([^":]+)"/g)) {
+            files.push(match[1]);
+        }
+    } catch (error) {
+        console.warn('Service worker could not read index.html:', error);
+    }
+    
+    return [...new Set(files)];
+}
+
+function getMediaPipeFiles() {
+    const files = [];
+    for (const [key, pkg] of Object.entries(MEDIAPIPE_ASSETS.packages)) {
+        for (const file of pkg.files) {
+            files.push(`${MEDIAPIPE_ASSETS.localPath}/${key}/${file}`);
+        }
+    }
+    return files;
+}
+
+/**
+ * Cache what is available; a missing file is reported by the page's startup check
+ * instead of failing the whole install
+ */
+async function cacheFiles(cacheName, files) {
+    const cache = await caches.open(cacheName);
+    await Promise.all(files.map(file =>
+        cache.add(file).catch(error => console.warn(`Service worker could not cache ${file}:`, error))));
+}
+
+self.addEventListener('install', (event) => {
+    event.waitUntil((async () => {
+        await cacheFiles(APP_CACHE, await getAppFiles());
+        await cacheFiles(MEDIAPIPE_CACHE, getMediaPipeFiles());
+        await self.skipWaiting();
+    })());
+});
+
+self.addEventListener('activate', (event) => {
+    event.waitUntil((async () => {
+        const keep = [APP_CACHE, MEDIAPIPE_CACHE];
+        for (const name of await caches.keys()) {
+            if (name.startsWith('little-hands-') && !keep.includes(name)) {
+                await caches.delete(name);
+            }
+        }
+        await self.clients.claim();
+    })());
+});
+
+self.addEventListener('fetch', (event) => {
+    const request = event.request;
+    const url = new URL(request.url);
+    const localMediaPipe = url.origin === self.location.origin &&
+        url.pathname.includes(`/${MEDIAPIPE_ASSETS.localPath}/`);
+    
+    // The page's startup check asks whether each MediaPipe file exists; cached counts
+    if (request.method === 'HEAD' && localMediaPipe) {
+        event.respondWith(headFromCache(request));
+        return;
+    }
+    
+    if (request.method !== 'GET') return;
+    
+    // Pinned MediaPipe files, local or from the CDN fallback, never change
+    if (localMediaPipe || url.href.startsWith(MEDIAPIPE_ASSETS.cdnPath)) {
+        event.respondWith(cacheFirst(request, MEDIAPIPE_CACHE));
+    } else if (url.origin === self.location.origin) {
+        event.respondWith(networkFirst(request, APP_CACHE));
+    }
+});
+
+async function headFromCache(request) {
+    const cached = await caches.match(request.url);
+    if (cached) {
+        return new Response(null, { status: cached.status, headers: cached.headers });
+    }
+    return fetch(request);
+}
+
+async function cacheFirst(request, cacheName) {
+    const cached = await caches.match(request);
+    if (cached) return cached;
+    
+    const response = await fetch(request);
+    if (response.ok) {
+        const cache = await caches.open(cacheName);
+        cache.put(request, response.clone());
+    }
+    return response;
+}
+
+async function networkFirst(request, cacheName) {
+    try {
+        const response = await fetch(request);
+        if (response.ok) {
+            const cache = await caches.open(cacheName);
+            cache.put(request, response.clone());
+        }
+        return response;
+    } catch (error) {
+        const cached = await caches.match(request, { ignoreSearch: true });
+        if (cached) return cached;
+        throw error;
+    }
+}